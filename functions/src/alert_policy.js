@@ -0,0 +1,256 @@
+// Filename: alert_policy.js
+// Purpose: Alert deduplication, flapping suppression and escalation
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: firebase-functions, firebase-admin, notifications.js
+// Platform Compatibility: Firebase Cloud Functions
+
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+const {buildAlertEvent} = require("./notifications");
+
+// MARK: - Constants
+const ALERT_STATE_COLLECTION = "alert_state";
+const ISSUE_STATUSES = ["degraded", "down"];
+const ALERT_STATUSES = ["operational", ...ISSUE_STATUSES];
+const TIMESTAMP_FIELDS = ["openedAt", "acknowledgedAt", "escalatedAt"];
+
+// Defaults for services without an `alertPolicy` in the catalog
+const DEFAULT_ALERT_POLICY = {
+  failuresBeforeAlert: 2,
+  flapThreshold: 4,
+  flapWindowMinutes: 30,
+  escalateAfterMinutes: 30,
+};
+
+// MARK: - Policy Evaluation
+/**
+ * Evaluates the alert policy for one service check. Pure function: takes
+ * the stored alert state and returns the next state plus the alerts to send.
+ *
+ * - Issues only alert after `failuresBeforeAlert` consecutive failing checks
+ * - `flapThreshold` status changes within `flapWindowMinutes` collapse into
+ *   a single "flapping" alert; other alerts are muted until it settles
+ * - Open issues that nobody acknowledged within `escalateAfterMinutes` send
+ *   one "escalated" alert to escalation-tier channels
+ * @param {Object} state - Stored alert state (millisecond timestamps)
+ * @param {Object} result - Current service check result
+ * @param {Object} policy - Alert policy for the service
+ * @param {number} nowMs - Current time in milliseconds
+ * @return {Object} Object with the next state and an alerts array
+ */
+function evaluateAlertPolicy(state, result, policy, nowMs) {
+  const resolvedPolicy = {...DEFAULT_ALERT_POLICY, ...(policy || {})};
+  const next = {
+    alertedStatus: "operational",
+    lastStatus: null,
+    failureCount: 0,
+    recentTransitions: [],
+    flapping: false,
+    openedAt: null,
+    acknowledgedAt: null,
+    acknowledgedBy: null,
+    escalatedAt: null,
+    ...state,
+  };
+  const alerts = [];
+  const status = result.status;
+
+  // Unknown results are inconclusive and maintenance is planned, so both
+  // leave the state untouched (no alerts, no escalation). Services impacted
+  // by a failing dependency are covered by the root cause's alert.
+  if (!ALERT_STATUSES.includes(status) || result.rootCause) {
+    return {state: next, alerts};
+  }
+
+  // Track raw status changes inside the flapping window
+  const windowStart = nowMs - resolvedPolicy.flapWindowMinutes * 60 * 1000;
+  next.recentTransitions = next.recentTransitions.filter((t) =>
+    t >= windowStart,
+  );
+  if (next.lastStatus && next.lastStatus !== status) {
+    next.recentTransitions.push(nowMs);
+  }
+  next.lastStatus = status;
+  next.failureCount = ISSUE_STATUSES.includes(status) ?
+    next.failureCount + 1 :
+    0;
+
+  const isFlapping =
+    next.recentTransitions.length >= resolvedPolicy.flapThreshold;
+
+  if (isFlapping && !next.flapping) {
+    // Collapse the storm into a single flapping alert
+    alerts.push(buildAlertEvent("flapping", next.alertedStatus, result));
+    next.flapping = true;
+    next.alertedStatus = "flapping";
+    next.openedAt = next.openedAt || nowMs;
+  } else if (!isFlapping) {
+    next.flapping = false;
+
+    if (ISSUE_STATUSES.includes(status)) {
+      const confirmed =
+        next.failureCount >= resolvedPolicy.failuresBeforeAlert;
+      if (confirmed && next.alertedStatus !== status) {
+        alerts.push(buildAlertEvent(status, next.alertedStatus, result));
+        if (next.alertedStatus === "operational") {
+          // A new outage starts a new acknowledgement/escalation cycle
+          next.openedAt = nowMs;
+          next.acknowledgedAt = null;
+          next.acknowledgedBy = null;
+          next.escalatedAt = null;
+        }
+        next.alertedStatus = status;
+      }
+    } else if (next.alertedStatus !== "operational") {
+      alerts.push(buildAlertEvent("recovered", next.alertedStatus, result));
+      next.alertedStatus = "operational";
+      next.openedAt = null;
+      next.acknowledgedAt = null;
+      next.acknowledgedBy = null;
+      next.escalatedAt = null;
+    }
+  }
+
+  // Escalate open issues nobody has acknowledged
+  const escalateAfterMs = resolvedPolicy.escalateAfterMinutes * 60 * 1000;
+  if (next.alertedStatus !== "operational" && next.openedAt &&
+      !next.acknowledgedAt && !next.escalatedAt &&
+      nowMs - next.openedAt >= escalateAfterMs) {
+    alerts.push({
+      ...buildAlertEvent("escalated", next.alertedStatus, result),
+      tier: "escalation",
+    });
+    next.escalatedAt = nowMs;
+  }
+
+  return {state: next, alerts};
+}
+
+// MARK: - State Persistence
+/**
+ * Converts a stored alert state document to millisecond timestamps
+ * @param {Object} data - Firestore document data
+ * @return {Object} Alert state
+ */
+function fromFirestore(data) {
+  const state = {...data};
+  for (const field of TIMESTAMP_FIELDS) {
+    state[field] = data[field] ? data[field].toMillis() : null;
+  }
+  delete state.updatedAt;
+  return state;
+}
+
+/**
+ * Converts an alert state to Firestore document data
+ * @param {Object} state - Alert state
+ * @return {Object} Firestore document data
+ */
+function toFirestore(state) {
+  const data = {...state};
+  for (const field of TIMESTAMP_FIELDS) {
+    data[field] = state[field] ?
+      admin.firestore.Timestamp.fromMillis(state[field]) :
+      null;
+  }
+  data.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+  return data;
+}
+
+/**
+ * Runs the alert policy for one check result in a transaction, so an
+ * acknowledgement written while the run is in progress is read (or the
+ * transaction retried) instead of being overwritten
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} result - Service check result
+ * @param {Object|undefined} policy - Alert policy for the service
+ * @param {number} nowMs - Current time in milliseconds
+ * @return {Promise<Array>} Alerts to deliver
+ */
+async function applyAlertPolicy(db, result, policy, nowMs) {
+  const docRef = db.collection(ALERT_STATE_COLLECTION).doc(result.id);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    const evaluation = evaluateAlertPolicy(
+        doc.exists ? fromFirestore(doc.data()) : {},
+        result,
+        policy,
+        nowMs,
+    );
+    transaction.set(docRef, toFirestore(evaluation.state));
+    return evaluation.alerts;
+  });
+}
+
+/**
+ * Runs the alert policy for every check result and persists the new state.
+ * A service whose state cannot be read or saved sends nothing this run,
+ * since without state every outage would re-alert.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Array} results - Service check results
+ * @param {Array} services - Service definitions (for `alertPolicy`)
+ * @return {Promise<Array>} Alerts to deliver
+ */
+async function applyAlertPolicies(db, results, services) {
+  const policies = new Map(services.map((s) => [s.id, s.alertPolicy]));
+  const nowMs = Date.now();
+
+  const alerts = await Promise.all(results.map(async (result) => {
+    try {
+      return await applyAlertPolicy(
+          db,
+          result,
+          policies.get(result.id),
+          nowMs,
+      );
+    } catch (e) {
+      console.warn(`Could not apply alert policy for ${result.id}:`,
+          e.message);
+      return [];
+    }
+  }));
+
+  return alerts.flat();
+}
+
+// MARK: - Acknowledgement
+/**
+ * Acknowledges the open alert for a service so it is not escalated
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} serviceId - Service id
+ * @param {string} uid - Uid of the admin acknowledging the alert
+ * @return {Promise<void>}
+ */
+async function acknowledgeAlert(db, serviceId, uid) {
+  const docRef = db.collection(ALERT_STATE_COLLECTION).doc(serviceId);
+
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    if (!doc.exists || (doc.data().alertedStatus || "operational") ===
+        "operational") {
+      throw new functions.https.HttpsError(
+          "failed-precondition",
+          `No open alert for ${serviceId}`,
+      );
+    }
+
+    transaction.update(docRef, {
+      acknowledgedAt: admin.firestore.FieldValue.serverTimestamp(),
+      acknowledgedBy: uid,
+    });
+  });
+}
+
+module.exports = {
+  ALERT_STATE_COLLECTION,
+  DEFAULT_ALERT_POLICY,
+  evaluateAlertPolicy,
+  applyAlertPolicies,
+  acknowledgeAlert,
+};
+
+// Suggestions For Features and Additions Later:
+// - Add quiet hours per channel
+// - Support multi-level escalation chains
@@ -0,0 +1,117 @@
+// Filename: auth.js
+// Purpose: Authorization helpers and admin claim management for callable
+//   functions
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: firebase-functions, firebase-admin
+// Platform Compatibility: Firebase Cloud Functions
+
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+
+// MARK: - Admin Checks
+/**
+ * Checks whether the caller has the admin custom claim
+ * @param {Object} context - Callable function context
+ * @return {boolean} True if the caller is an admin
+ */
+function isAdmin(context) {
+  return context?.auth?.token?.admin === true;
+}
+
+/**
+ * Throws unless the caller is signed in with the admin custom claim
+ * @param {Object} context - Callable function context
+ */
+function assertAdmin(context) {
+  if (!context?.auth) {
+    throw new functions.https.HttpsError(
+        "unauthenticated",
+        "Authentication is required",
+    );
+  }
+  if (!isAdmin(context)) {
+    throw new functions.https.HttpsError(
+        "permission-denied",
+        "Admin privileges are required",
+    );
+  }
+}
+
+// MARK: - Admin Claim Management
+/**
+ * Looks up a user by uid or email
+ * @param {Object} input - Object with uid or email
+ * @return {Promise<Object>} Firebase Auth user record
+ */
+async function findUser(input) {
+  const {uid, email} = input || {};
+  if (!(typeof uid === "string" && uid) &&
+      !(typeof email === "string" && email)) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "uid or email is required",
+    );
+  }
+
+  try {
+    return uid ?
+      await admin.auth().getUser(uid) :
+      await admin.auth().getUserByEmail(email);
+  } catch (e) {
+    if (e.code === "auth/user-not-found") {
+      throw new functions.https.HttpsError("not-found", "User not found");
+    }
+    if (e.code === "auth/invalid-email" || e.code === "auth/invalid-uid") {
+      throw new functions.https.HttpsError("invalid-argument", e.message);
+    }
+    throw e;
+  }
+}
+
+/**
+ * Grants or revokes the admin custom claim, keeping the user's other
+ * claims. Revoking also revokes refresh tokens so the claim is gone once
+ * the current ID token expires (within an hour). Admins cannot revoke
+ * their own claim, so the last admin cannot lock everyone out.
+ * @param {Object} input - uid or email, and admin (true to grant)
+ * @param {string} callerUid - Uid of the admin making the change
+ * @return {Promise<Object>} uid, email and admin of the user
+ */
+async function setAdminClaim(input, callerUid) {
+  if (typeof input?.admin !== "boolean") {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "admin must be a boolean",
+    );
+  }
+  const user = await findUser(input);
+  if (!input.admin && user.uid === callerUid) {
+    throw new functions.https.HttpsError(
+        "failed-precondition",
+        "Admins cannot revoke their own admin claim",
+    );
+  }
+
+  const claims = {...(user.customClaims || {})};
+  if (input.admin) {
+    claims.admin = true;
+  } else {
+    delete claims.admin;
+  }
+  await admin.auth().setCustomUserClaims(user.uid, claims);
+  if (!input.admin) await admin.auth().revokeRefreshTokens(user.uid);
+
+  console.log(`${input.admin ? "Granted" : "Revoked"} admin claim for ` +
+    `${user.uid} by ${callerUid}`);
+  return {uid: user.uid, email: user.email || null, admin: input.admin};
+}
+
+module.exports = {
+  isAdmin,
+  assertAdmin,
+  setAdminClaim,
+};
+
+// Suggestions For Features and Additions Later:
+// - Add finer-grained roles (viewer, operator)
@@ -0,0 +1,269 @@
+// Filename: badges.js
+// Purpose: Shields-style SVG status and uptime badges
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: rollups.js
+// Platform Compatibility: Firebase Cloud Functions
+
+const {computeWindowUptime} = require("./rollups");
+
+// MARK: - Constants
+const BADGE_STYLES = ["flat", "flat-square", "plastic", "for-the-badge"];
+const MAX_LABEL_LENGTH = 40;
+
+// Uptime windows accepted by the `uptime` query parameter
+const UPTIME_WINDOWS = {
+  "24h": 24 * 60 * 60 * 1000,
+  "7d": 7 * 24 * 60 * 60 * 1000,
+  "30d": 30 * 24 * 60 * 60 * 1000,
+};
+
+// Badge colors match the status colors used by the Flutter client
+const STATUS_BADGES = {
+  "operational": {message: "operational", color: "#10B981"},
+  "degraded": {message: "degraded", color: "#F59E0B"},
+  "down": {message: "down", color: "#EF4444"},
+  "maintenance": {message: "maintenance", color: "#6366F1"},
+  "unknown": {message: "unknown", color: "#6B7280"},
+};
+
+// Shields color names accepted as overrides
+const NAMED_COLORS = {
+  "brightgreen": "#4C1",
+  "green": "#97CA00",
+  "yellowgreen": "#A4A61D",
+  "yellow": "#DFB317",
+  "orange": "#FE7D37",
+  "red": "#E05D44",
+  "blue": "#007EC6",
+  "lightgrey": "#9F9F9F",
+  "grey": "#555",
+  "gray": "#555",
+};
+
+const DEFAULT_LABEL_COLOR = "#555";
+
+// MARK: - Parameters
+/**
+ * Resolves a color override to a hex color. Only hex values and known
+ * names are accepted because the value is written into the SVG.
+ * @param {*} value - Color from the query string (hex with or without #)
+ * @param {string} fallback - Color to use when the override is invalid
+ * @return {string} Hex color
+ */
+function resolveColor(value, fallback) {
+  if (typeof value !== "string" || value.length === 0) return fallback;
+  const name = value.toLowerCase();
+  if (NAMED_COLORS[name]) return NAMED_COLORS[name];
+  const hex = value.replace(/^#/, "");
+  return /^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(hex) ? `#${hex}` : fallback;
+}
+
+/**
+ * Resolves the badge style, defaulting to flat
+ * @param {*} value - Style from the query string
+ * @return {string} Badge style
+ */
+function resolveStyle(value) {
+  return BADGE_STYLES.includes(value) ? value : "flat";
+}
+
+// MARK: - Rendering
+/**
+ * Escapes text for use in SVG
+ * @param {string} text - Text to escape
+ * @return {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;");
+}
+
+/**
+ * Approximates the rendered width of text in 11px Verdana
+ * @param {string} text - Text to measure
+ * @param {boolean} bold - Whether the text is bold (for-the-badge)
+ * @return {number} Width in pixels
+ */
+function measureText(text, bold = false) {
+  let width = 0;
+  for (const char of text) {
+    if ("iIl.,:;|!'".includes(char)) width += 3.5;
+    else if ("mwMW%".includes(char)) width += 10;
+    else if (/[A-Z0-9]/.test(char)) width += 7.5;
+    else if (char === " ") width += 3.5;
+    else width += 6.5;
+  }
+  return Math.ceil(bold ? width * 1.1 : width);
+}
+
+/**
+ * Renders a two-part shields-style badge
+ * @param {Object} badge - label, message, color, labelColor and style
+ * @return {string} SVG document
+ */
+function renderBadge({label, message, color, labelColor, style = "flat"}) {
+  const tall = style === "for-the-badge";
+  const labelText = tall ? label.toUpperCase() : label;
+  const messageText = tall ? message.toUpperCase() : message;
+  const padding = tall ? 18 : 10;
+  const height = tall ? 28 : 20;
+  const labelWidth = measureText(labelText, tall) + padding;
+  const messageWidth = measureText(messageText, tall) + padding;
+  const width = labelWidth + messageWidth;
+  const radius = style === "flat" || style === "plastic" ? 3 : 0;
+  const textY = tall ? 17.5 : 14;
+  const spacing = tall ? " letter-spacing=\"1\"" : "";
+  const weight = tall ? " font-weight=\"bold\"" : "";
+  const gradient = style === "flat-square" || tall ? "" :
+    "<linearGradient id=\"s\" x2=\"0\" y2=\"100%\">" +
+    "<stop offset=\"0\" stop-color=\"#bbb\" stop-opacity=\".1\"/>" +
+    "<stop offset=\"1\" stop-opacity=\".1\"/></linearGradient>";
+  const title = escapeXml(`${label}: ${message}`);
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" ` +
+      `height="${height}" role="img" aria-label="${title}">`,
+    `<title>${title}</title>`,
+    gradient,
+    `<clipPath id="r"><rect width="${width}" height="${height}" ` +
+      `rx="${radius}" fill="#fff"/></clipPath>`,
+    "<g clip-path=\"url(#r)\">",
+    `<rect width="${labelWidth}" height="${height}" fill="${labelColor}"/>`,
+    `<rect x="${labelWidth}" width="${messageWidth}" height="${height}" ` +
+      `fill="${color}"/>`,
+    gradient ? `<rect width="${width}" height="${height}" fill="url(#s)"/>` :
+      "",
+    "</g>",
+    "<g fill=\"#fff\" text-anchor=\"middle\" " +
+      "font-family=\"Verdana,Geneva,DejaVu Sans,sans-serif\" " +
+      `font-size="11"${weight}${spacing}>`,
+    `<text x="${labelWidth / 2}" y="${textY}">${escapeXml(labelText)}</text>`,
+    `<text x="${labelWidth + messageWidth / 2}" y="${textY}">` +
+      `${escapeXml(messageText)}</text>`,
+    "</g>",
+    "</svg>",
+  ].join("");
+}
+
+// MARK: - Uptime
+/**
+ * Picks a badge color for an uptime percentage
+ * @param {number} percent - Uptime percentage
+ * @return {string} Hex color
+ */
+function uptimeColor(percent) {
+  if (percent >= 99.9) return "#10B981";
+  if (percent >= 99) return "#84CC16";
+  if (percent >= 95) return "#F59E0B";
+  return "#EF4444";
+}
+
+/**
+ * Checks an `uptime` query value against the supported windows
+ * @param {*} value - Query value
+ * @return {boolean} True if the window is supported
+ */
+function isUptimeWindow(value) {
+  return typeof value === "string" && Object.hasOwn(UPTIME_WINDOWS, value);
+}
+
+/**
+ * Formats an uptime percentage without misleading rounding to 100%
+ * @param {number} percent - Uptime percentage
+ * @return {string} Formatted percentage
+ */
+function formatUptime(percent) {
+  if (percent >= 100) return "100%";
+  return `${Math.min(Math.floor(percent * 100) / 100, 99.99)}%`;
+}
+
+// MARK: - Badge Building
+/**
+ * Builds the SVG badge for a service from its cached status or uptime
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} service - Service definition
+ * @param {Object|undefined} cached - Cached status document
+ * @param {Object} query - Query parameters (uptime, style, color,
+ *   labelColor, label)
+ * @return {Promise<string>} SVG document
+ */
+async function buildServiceBadge(db, service, cached, query) {
+  const style = resolveStyle(query.style);
+  const labelColor = resolveColor(query.labelColor, DEFAULT_LABEL_COLOR);
+  const customLabel = typeof query.label === "string" && query.label.length ?
+    query.label.slice(0, MAX_LABEL_LENGTH) :
+    null;
+
+  if (query.uptime) {
+    if (!isUptimeWindow(query.uptime)) return buildInvalidWindowBadge(query);
+    const windowMs = UPTIME_WINDOWS[query.uptime];
+    const percent = await computeWindowUptime(db, service.id, windowMs);
+    return renderBadge({
+      label: customLabel || `uptime ${query.uptime}`,
+      message: percent === null ? "no data" : formatUptime(percent),
+      color: resolveColor(
+          query.color,
+          percent === null ? STATUS_BADGES.unknown.color : uptimeColor(percent),
+      ),
+      labelColor: labelColor,
+      style: style,
+    });
+  }
+
+  const status = STATUS_BADGES[cached?.status] || STATUS_BADGES.unknown;
+  return renderBadge({
+    label: customLabel || service.name,
+    message: status.message,
+    color: resolveColor(query.color, status.color),
+    labelColor: labelColor,
+    style: style,
+  });
+}
+
+/**
+ * Builds the badge shown for ids that are not in the catalog
+ * @param {Object} query - Query parameters
+ * @return {string} SVG document
+ */
+function buildNotFoundBadge(query) {
+  return renderBadge({
+    label: "status",
+    message: "service not found",
+    color: STATUS_BADGES.unknown.color,
+    labelColor: resolveColor(query.labelColor, DEFAULT_LABEL_COLOR),
+    style: resolveStyle(query.style),
+  });
+}
+
+/**
+ * Builds the badge shown for unsupported `uptime` windows, so embeds show
+ * the problem instead of a broken image
+ * @param {Object} query - Query parameters
+ * @return {string} SVG document
+ */
+function buildInvalidWindowBadge(query) {
+  return renderBadge({
+    label: "uptime",
+    message: "invalid window",
+    color: STATUS_BADGES.unknown.color,
+    labelColor: resolveColor(query.labelColor, DEFAULT_LABEL_COLOR),
+    style: resolveStyle(query.style),
+  });
+}
+
+module.exports = {
+  UPTIME_WINDOWS,
+  isUptimeWindow,
+  renderBadge,
+  buildServiceBadge,
+  buildNotFoundBadge,
+  buildInvalidWindowBadge,
+};
+
+// Suggestions For Features and Additions Later:
+// - Add a combined badge for every Infinitum service
@@ -0,0 +1,1056 @@
+// Filename: catalog.js
+// Purpose: Firestore-backed catalog of monitored services
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: firebase-functions, firebase-admin, parsers/index.js,
+//   http_check.js, content_rules.js, url_guard.js, dependencies.js,
+//   network_checks.js, synthetic_checks.js
+// Platform Compatibility: Firebase Cloud Functions
+
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+const {getParserNames} = require("./parsers");
+const {validateCheckConfig} = require("./http_check");
+const {
+  DATA_FEED_ISSUE_RULE_ID,
+  validateContentRules,
+} = require("./content_rules");
+const {describeUrlProblem} = require("./url_guard");
+const {validateDependencies} = require("./dependencies");
+const {
+  NETWORK_CHECK_TYPES,
+  validateNetworkCheck,
+} = require("./network_checks");
+const {validateSyntheticCheck} = require("./synthetic_checks");
+
+// MARK: - Constants
+const MONITORED_SERVICES_COLLECTION = "monitored_services";
+const CATALOG_MIGRATIONS_COLLECTION = "catalog_migrations";
+const SERVICE_TYPES = ["infinitum", "thirdParty"];
+const COMPONENT_TYPES = ["main", "auth", "api", "database", "cdn", "other"];
+const CHECK_TYPES = ["http", "synthetic", ...NETWORK_CHECK_TYPES];
+const SERVICE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+const MAX_COMPONENTS = 50;
+const MAX_OPTIONS_BYTES = 10000;
+const ALERT_POLICY_FIELDS = [
+  "failuresBeforeAlert",
+  "flapThreshold",
+  "flapWindowMinutes",
+  "escalateAfterMinutes",
+];
+
+// Firebase components the Infinitum apps are built on
+const FIREBASE_APP_DEPENDENCIES = [
+  "firebase.firebase-authentication",
+  "firebase.firebase-cloud-firestore",
+  "firebase.firebase-hosting",
+];
+
+// MARK: - Default Service Definitions
+// Seeds the monitored_services collection on first run and is used as a
+// fallback when the collection cannot be read
+const DEFAULT_SERVICES = [
+  {
+    id: "infinitum-view",
+    name: "iView/InfiniView",
+    url: "https://view.infinitumlive.com/",
+    type: "infinitum",
+    components: [],
+    dependencies: FIREBASE_APP_DEPENDENCIES,
+    contentRules: [{
+      id: DATA_FEED_ISSUE_RULE_ID,
+      type: "mustNotContain",
+      value: ["stats may be delayed/inaccurate", "data feed issue"],
+      status: "degraded",
+      message: "Data feed issue detected",
+    }],
+  },
+  {
+    id: "infinitum-live",
+    name: "Infinitum Live",
+    url: "https://infinitumlive.com/",
+    type: "infinitum",
+    components: [],
+    dependencies: FIREBASE_APP_DEPENDENCIES,
+  },
+  {
+    id: "infinitum-crm",
+    name: "Infinitum CRM",
+    url: "https://crm.infinitumlive.com/",
+    type: "infinitum",
+    components: [],
+    dependencies: FIREBASE_APP_DEPENDENCIES,
+  },
+  {
+    id: "infinitum-onboarding",
+    name: "Onboarding",
+    url: "https://infinitum-onboarding.web.app/",
+    type: "infinitum",
+    components: [],
+    dependencies: FIREBASE_APP_DEPENDENCIES,
+  },
+  {
+    id: "infinitum-board",
+    name: "InfiniBoard",
+    url: "https://iboard2--infinitum-dashboard.us-east4.hosted.app/",
+    type: "infinitum",
+    // The dashboard root requires sign-in and legitimately returns 401
+    check: {
+      expectedStatusCodes: ["2xx", "3xx", 401],
+    },
+    components: [],
+    // Served from App Hosting rather than classic Hosting
+    dependencies: [
+      "firebase.firebase-authentication",
+      "firebase.firebase-cloud-firestore",
+      "firebase.firebase-app-hosting",
+    ],
+  },
+  {
+    id: "infinitum-imagery",
+    name: "Infinitum Imagery",
+    url: "https://www.infinitumimagery.com/",
+    type: "infinitum",
+    components: [],
+    dependencies: FIREBASE_APP_DEPENDENCIES,
+  },
+  {
+    id: "infinitum-certificates",
+    name: "Infinitum Certificates",
+    url: "https://infinitumlive.com/",
+    type: "infinitum",
+    // Watches certificate expiry for every Infinitum domain; each other
+    // domain is a component so one card shows them all
+    checkType: "tls",
+    check: {warnDays: 21},
+    components: [
+      {
+        id: "view-infinitumlive",
+        name: "view.infinitumlive.com",
+        url: "https://view.infinitumlive.com/",
+        type: "main",
+      },
+      {
+        id: "crm-infinitumlive",
+        name: "crm.infinitumlive.com",
+        url: "https://crm.infinitumlive.com/",
+        type: "main",
+      },
+      {
+        id: "infinitumimagery",
+        name: "www.infinitumimagery.com",
+        url: "https://www.infinitumimagery.com/",
+        type: "main",
+      },
+      {
+        id: "infiniboard-hosted-app",
+        name: "InfiniBoard (hosted.app)",
+        url: "https://iboard2--infinitum-dashboard.us-east4.hosted.app/",
+        type: "main",
+      },
+    ],
+  },
+  {
+    id: "firebase",
+    name: "Firebase",
+    url: "https://status.firebase.google.com/",
+    type: "thirdParty",
+    parser: "firebase",
+    parserOptions: {
+      windowChars: 200,
+      stripPrefixes: ["firebase "],
+      downKeywords: ["service disruption", "outage", "down", "incident"],
+      degradedKeywords: ["degraded", "partial", "issue"],
+      degradedMessage: "Service degradation reported",
+    },
+    components: [
+      {
+        id: "firebase-app-hosting",
+        name: "App Hosting",
+        url: "https://status.firebase.google.com/",
+        type: "other",
+      },
+      {
+        id: "firebase-authentication",
+        name: "Authentication",
+        url: "https://status.firebase.google.com/",
+        type: "auth",
+      },
+      {
+        id: "firebase-cloud-firestore",
+        name: "Cloud Firestore",
+        url: "https://status.firebase.google.com/",
+        type: "database",
+      },
+      {
+        id: "firebase-cloud-messaging",
+        name: "Cloud Messaging",
+        url: "https://status.firebase.google.com/",
+        type: "other",
+      },
+      {
+        id: "firebase-cloud-functions",
+        name: "Cloud Functions",
+        url: "https://status.firebase.google.com/",
+        type: "api",
+      },
+      {
+        id: "firebase-console",
+        name: "Console",
+        url: "https://status.firebase.google.com/",
+        type: "other",
+      },
+      {
+        id: "firebase-crashlytics",
+        name: "Crashlytics",
+        url: "https://status.firebase.google.com/",
+        type: "other",
+      },
+      {
+        id: "firebase-hosting",
+        name: "Hosting",
+        url: "https://status.firebase.google.com/",
+        type: "cdn",
+      },
+      {
+        id: "firebase-performance-monitoring",
+        name: "Performance Monitoring",
+        url: "https://status.firebase.google.com/",
+        type: "other",
+      },
+      {
+        id: "firebase-realtime-database",
+        name: "Realtime Database",
+        url: "https://status.firebase.google.com/",
+        type: "database",
+      },
+      {
+        id: "firebase-storage",
+        name: "Storage",
+        url: "https://status.firebase.google.com/",
+        type: "other",
+      },
+    ],
+  },
+  {
+    id: "google",
+    name: "Google Services",
+    url: "https://www.google.com/appsstatus/dashboard/",
+    type: "thirdParty",
+    parser: "google-workspace",
+    components: [
+      {
+        id: "google-apps-script",
+        name: "Apps Script",
+        url: "https://www.google.com/appsstatus/dashboard/",
+        type: "other",
+      },
+      {
+        id: "google-appsheet",
+        name: "AppSheet",
+        url: "https://www.google.com/appsstatus/dashboard/",
+        type: "other",
+      },
+      {
+        id: "google-gmail",
+        name: "Gmail",
+        url: "https://www.google.com/appsstatus/dashboard/",
+        type: "other",
+      },
+      {
+        id: "google-calendar",
+        name: "Google Calendar",
+        url: "https://www.google.com/appsstatus/dashboard/",
+        type: "other",
+      },
+      {
+        id: "google-docs",
+        name: "Google Docs",
+        url: "https://www.google.com/appsstatus/dashboard/",
+        type: "other",
+      },
+      {
+        id: "google-drive",
+        name: "Google Drive",
+        url: "https://www.google.com/appsstatus/dashboard/",
+        type: "other",
+      },
+      {
+        id: "google-forms",
+        name: "Google Forms",
+        url: "https://www.google.com/appsstatus/dashboard/",
+        type: "other",
+      },
+      {
+        id: "google-sheets",
+        name: "Google Sheets",
+        url: "https://www.google.com/appsstatus/dashboard/",
+        type: "other",
+      },
+      {
+        id: "google-slides",
+        name: "Google Slides",
+        url: "https://www.google.com/appsstatus/dashboard/",
+        type: "other",
+      },
+    ],
+  },
+  {
+    id: "apple",
+    name: "Apple Services",
+    url: "https://www.apple.com/support/systemstatus/",
+    type: "thirdParty",
+    parser: "html-keyword",
+    parserOptions: {
+      stripPrefixes: ["apple "],
+      degradedKeywords: ["outage", "down", "unavailable", "issue"],
+    },
+    components: [
+      {
+        id: "apple-app-store-connect",
+        name: "App Store Connect",
+        url: "https://www.apple.com/support/systemstatus/",
+        type: "other",
+      },
+      {
+        id: "apple-apns",
+        name: "Apple Push Notification Service",
+        url: "https://www.apple.com/support/systemstatus/",
+        type: "other",
+      },
+      {
+        id: "apple-sign-in",
+        name: "Sign in with Apple",
+        url: "https://www.apple.com/support/systemstatus/",
+        type: "auth",
+      },
+      {
+        id: "apple-testflight",
+        name: "TestFlight",
+        url: "https://www.apple.com/support/systemstatus/",
+        type: "other",
+      },
+      {
+        id: "apple-icloud",
+        name: "iCloud",
+        url: "https://www.apple.com/support/systemstatus/",
+        type: "other",
+      },
+    ],
+  },
+  {
+    id: "discord",
+    name: "Discord",
+    url: "https://discordstatus.com/",
+    type: "thirdParty",
+    parser: "statuspage",
+    components: [
+      {
+        id: "discord-api",
+        name: "API",
+        url: "https://discordstatus.com/",
+        type: "api",
+      },
+      {
+        id: "discord-gateway",
+        name: "Gateway",
+        url: "https://discordstatus.com/",
+        type: "other",
+      },
+      {
+        id: "discord-media-proxy",
+        name: "Media Proxy",
+        url: "https://discordstatus.com/",
+        type: "cdn",
+      },
+      {
+        id: "discord-voice",
+        name: "Voice",
+        url: "https://discordstatus.com/",
+        type: "other",
+      },
+    ],
+  },
+  {
+    id: "tiktok",
+    name: "TikTok",
+    url: "https://www.tiktok.com/",
+    type: "thirdParty",
+    // TikTok doesn't have a public status page
+    parser: "availability",
+    components: [
+      {
+        id: "tiktok-api",
+        name: "API",
+        url: "https://www.tiktok.com/",
+        type: "api",
+      },
+      {
+        id: "tiktok-live",
+        name: "LIVE",
+        url: "https://www.tiktok.com/",
+        type: "other",
+      },
+      {
+        id: "tiktok-cdn",
+        name: "CDN",
+        url: "https://www.tiktok.com/",
+        type: "cdn",
+      },
+    ],
+  },
+  {
+    id: "aws",
+    name: "AWS",
+    url: "https://status.aws.amazon.com/",
+    type: "thirdParty",
+    parser: "html-keyword",
+    parserOptions: {
+      stripPrefixes: ["aws ", "amazon "],
+      degradedKeywords: [
+        "service disruption",
+        "outage",
+        "down",
+        "incident",
+        "degraded",
+      ],
+    },
+    components: [
+      {
+        id: "aws-ec2",
+        name: "EC2",
+        url: "https://status.aws.amazon.com/",
+        type: "other",
+      },
+      {
+        id: "aws-s3",
+        name: "S3",
+        url: "https://status.aws.amazon.com/",
+        type: "other",
+      },
+      {
+        id: "aws-cloudfront",
+        name: "CloudFront",
+        url: "https://status.aws.amazon.com/",
+        type: "cdn",
+      },
+      {
+        id: "aws-api-gateway",
+        name: "API Gateway",
+        url: "https://status.aws.amazon.com/",
+        type: "api",
+      },
+      {
+        id: "aws-rds",
+        name: "RDS",
+        url: "https://status.aws.amazon.com/",
+        type: "database",
+      },
+      {
+        id: "aws-lambda",
+        name: "Lambda",
+        url: "https://status.aws.amazon.com/",
+        type: "api",
+      },
+    ],
+  },
+];
+
+// MARK: - Validation Helpers
+/**
+ * Builds an invalid-argument error for a catalog field
+ * @param {string} message - Error message
+ * @return {functions.https.HttpsError} Error to throw
+ */
+function invalid(message) {
+  return new functions.https.HttpsError("invalid-argument", message);
+}
+
+/**
+ * Checks that a value is a non-empty string within a maximum length
+ * @param {*} value - Value to check
+ * @param {number} maxLength - Maximum allowed length
+ * @return {boolean} True if valid
+ */
+function isNonEmptyString(value, maxLength = 200) {
+  return typeof value === "string" &&
+    value.trim().length > 0 &&
+    value.length <= maxLength;
+}
+
+/**
+ * Checks that a value is an http(s) URL
+ * @param {*} value - Value to check
+ * @return {boolean} True if valid
+ */
+function isHttpUrl(value) {
+  if (!isNonEmptyString(value, 2048)) return false;
+  try {
+    const url = new URL(value);
+    return url.protocol === "https:" || url.protocol === "http:";
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Checks that a value is a plain object (not null or an array)
+ * @param {*} value - Value to check
+ * @return {boolean} True if valid
+ */
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Validates and normalizes a component definition
+ * @param {Object} comp - Component definition
+ * @param {number} index - Position in the components array
+ * @return {Object} Normalized component definition
+ */
+function validateComponent(comp, index) {
+  const label = `components[${index}]`;
+
+  if (!isPlainObject(comp)) throw invalid(`${label} must be an object`);
+  if (!isNonEmptyString(comp.id, 100) || !SERVICE_ID_PATTERN.test(comp.id)) {
+    throw invalid(`${label}.id must be a lowercase slug`);
+  }
+  if (!isNonEmptyString(comp.name, 100)) {
+    throw invalid(`${label}.name is required`);
+  }
+  if (!isHttpUrl(comp.url)) {
+    throw invalid(`${label}.url must be an http(s) URL`);
+  }
+
+  const type = comp.type || "other";
+  if (!COMPONENT_TYPES.includes(type)) {
+    throw invalid(`${label}.type must be one of ${COMPONENT_TYPES.join(", ")}`);
+  }
+
+  const normalized = {id: comp.id, name: comp.name.trim(), url: comp.url, type};
+
+  if (comp.statuspageName != null) {
+    if (!isNonEmptyString(comp.statuspageName, 200)) {
+      throw invalid(`${label}.statuspageName must be a string`);
+    }
+    normalized.statuspageName = comp.statuspageName;
+  }
+  if (comp.searchTerms != null) {
+    if (!Array.isArray(comp.searchTerms) ||
+        !comp.searchTerms.every((t) => isNonEmptyString(t, 100))) {
+      throw invalid(`${label}.searchTerms must be an array of strings`);
+    }
+    normalized.searchTerms = comp.searchTerms;
+  }
+
+  return normalized;
+}
+
+/**
+ * Validates and normalizes the latency/threshold settings of a service
+ * @param {*} thresholds - Threshold settings
+ * @return {Object} Normalized thresholds
+ */
+function validateThresholds(thresholds) {
+  if (thresholds == null) {
+    return {degradedResponseTimeMs: null, slaTargetPercent: null};
+  }
+  if (!isPlainObject(thresholds)) throw invalid("thresholds must be an object");
+
+  const degradedResponseTimeMs = thresholds.degradedResponseTimeMs ?? null;
+  if (degradedResponseTimeMs !== null &&
+      (!Number.isInteger(degradedResponseTimeMs) ||
+       degradedResponseTimeMs <= 0)) {
+    throw invalid("thresholds.degradedResponseTimeMs must be a positive int");
+  }
+
+  const slaTargetPercent = thresholds.slaTargetPercent ?? null;
+  if (slaTargetPercent !== null &&
+      (typeof slaTargetPercent !== "number" || !(slaTargetPercent > 0) ||
+       slaTargetPercent > 100)) {
+    throw invalid("thresholds.slaTargetPercent must be between 0 and 100");
+  }
+
+  return {degradedResponseTimeMs, slaTargetPercent};
+}
+
+/**
+ * Validates and normalizes the alert policy of a service
+ * @param {*} alertPolicy - Alert policy settings
+ * @return {Object|null} Normalized alert policy or null for defaults
+ */
+function validateAlertPolicy(alertPolicy) {
+  if (alertPolicy == null) return null;
+  if (!isPlainObject(alertPolicy)) {
+    throw invalid("alertPolicy must be an object");
+  }
+
+  const normalized = {};
+  for (const field of ALERT_POLICY_FIELDS) {
+    const value = alertPolicy[field];
+    if (value == null) continue;
+    if (!Number.isInteger(value) || value < 1) {
+      throw invalid(`alertPolicy.${field} must be a positive integer`);
+    }
+    normalized[field] = value;
+  }
+  return normalized;
+}
+
+// MARK: - Service Validation
+/**
+ * Validates and normalizes a monitored service definition
+ * @param {Object} input - Service definition from an admin or the defaults
+ * @return {Object} Normalized service definition
+ */
+function validateServiceDefinition(input) {
+  if (!isPlainObject(input)) throw invalid("service must be an object");
+
+  if (!isNonEmptyString(input.id, 63) || !SERVICE_ID_PATTERN.test(input.id)) {
+    throw invalid("id must be a lowercase slug (a-z, 0-9, -)");
+  }
+  if (!isNonEmptyString(input.name, 100)) throw invalid("name is required");
+  if (!isHttpUrl(input.url)) throw invalid("url must be an http(s) URL");
+  const urlProblem = describeUrlProblem(input.url);
+  if (urlProblem) throw invalid(`url ${urlProblem}`);
+  if (!SERVICE_TYPES.includes(input.type)) {
+    throw invalid(`type must be one of ${SERVICE_TYPES.join(", ")}`);
+  }
+
+  const checkType = input.checkType || "http";
+  if (!CHECK_TYPES.includes(checkType)) {
+    throw invalid(`checkType must be one of ${CHECK_TYPES.join(", ")}`);
+  }
+
+  if (input.enabled != null && typeof input.enabled !== "boolean") {
+    throw invalid("enabled must be a boolean");
+  }
+
+  const components = input.components ?? [];
+  if (!Array.isArray(components) || components.length > MAX_COMPONENTS) {
+    throw invalid(`components must be an array of at most ${MAX_COMPONENTS}`);
+  }
+  const normalizedComponents = components.map(validateComponent);
+  const componentIds = new Set(normalizedComponents.map((c) => c.id));
+  if (componentIds.size !== normalizedComponents.length) {
+    throw invalid("component ids must be unique");
+  }
+
+  let check;
+  let contentRules;
+  let dependencies;
+  try {
+    if (checkType === "http") {
+      check = validateCheckConfig(input.check);
+    } else if (checkType === "synthetic") {
+      check = validateSyntheticCheck(input.check, input.url);
+    } else {
+      check = validateNetworkCheck(checkType, input.check, input.url);
+    }
+    contentRules = validateContentRules(input.contentRules);
+    dependencies = validateDependencies(input.dependencies, input.id);
+  } catch (e) {
+    throw invalid(e.message);
+  }
+
+  // Only HTTP checks have a response body or status page to evaluate
+  if (checkType !== "http" &&
+      (contentRules.length > 0 || input.parser != null)) {
+    throw invalid("contentRules and parser require checkType http");
+  }
+  // Synthetic steps are reported as the service's components
+  if (checkType === "synthetic" && normalizedComponents.length > 0) {
+    throw invalid("synthetic checks report their steps as components");
+  }
+
+  const normalized = {
+    id: input.id,
+    name: input.name.trim(),
+    url: input.url,
+    type: input.type,
+    enabled: input.enabled ?? true,
+    checkType: checkType,
+    check: check,
+    contentRules: contentRules,
+    components: normalizedComponents,
+    dependencies: dependencies,
+    thresholds: validateThresholds(input.thresholds),
+  };
+
+  const alertPolicy = validateAlertPolicy(input.alertPolicy);
+  if (alertPolicy) normalized.alertPolicy = alertPolicy;
+
+  if (input.parser != null) {
+    if (!getParserNames().includes(input.parser)) {
+      throw invalid(`parser must be one of ${getParserNames().join(", ")}`);
+    }
+    normalized.parser = input.parser;
+  }
+
+  if (input.parserOptions != null) {
+    if (!isPlainObject(input.parserOptions) ||
+        JSON.stringify(input.parserOptions).length > MAX_OPTIONS_BYTES) {
+      throw invalid("parserOptions must be an object under 10KB");
+    }
+    normalized.parserOptions = input.parserOptions;
+  }
+
+  return normalized;
+}
+
+// MARK: - Default Migrations
+// Seeding only fills an empty catalog, so changes to the defaults reach a
+// deployed catalog through these one-off migrations. `migrate` receives
+// the stored definition (null if there is none) and returns the
+// definition to write, or null to leave it alone. Each migration runs once
+// and is recorded in catalog_migrations, so admin edits made afterwards
+// (including deleting a service) are kept.
+const CATALOG_MIGRATIONS = [
+  ...DEFAULT_SERVICES.filter((service) => service.dependencies).map(
+      (service) => ({
+        id: `dependencies-${service.id}`,
+        serviceId: service.id,
+        // Definitions saved since dependencies existed always have the
+        // field, so only older ones are filled in. Runs first because the
+        // other migrations save normalized definitions, which add it.
+        migrate: (stored) => stored && stored.dependencies === undefined ?
+          {...stored, dependencies: service.dependencies} :
+          null,
+      }),
+  ),
+  {
+    id: "infinitum-view-data-feed-rule",
+    serviceId: "infinitum-view",
+    migrate: (stored) => {
+      const rules = stored?.contentRules || [];
+      if (!stored || rules.some((r) => r.id === DATA_FEED_ISSUE_RULE_ID)) {
+        return null;
+      }
+      return {
+        ...stored,
+        contentRules: [
+          ...rules,
+          ...findDefaultService("infinitum-view").contentRules,
+        ],
+      };
+    },
+  },
+  {
+    id: "infiniboard-expected-status-codes",
+    serviceId: "infinitum-board",
+    migrate: (stored) => stored && !stored.check?.expectedStatusCodes ? {
+      ...stored,
+      check: {
+        ...stored.check,
+        expectedStatusCodes:
+          findDefaultService("infinitum-board").check.expectedStatusCodes,
+      },
+    } : null,
+  },
+  {
+    id: "infinitum-certificates-service",
+    serviceId: "infinitum-certificates",
+    migrate: (stored) =>
+      stored ? null : findDefaultService("infinitum-certificates"),
+  },
+];
+
+// Migrations known to be applied, so warm instances skip the marker reads
+const appliedMigrations = new Set();
+
+/**
+ * Looks up a default service definition
+ * @param {string} serviceId - Service id
+ * @return {Object} Default definition
+ */
+function findDefaultService(serviceId) {
+  return DEFAULT_SERVICES.find((service) => service.id === serviceId);
+}
+
+/**
+ * Applies the default migrations that have not run yet. A failing
+ * migration is logged and retried on the next run.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @return {Promise<boolean>} True if any service definition was written
+ */
+async function applyCatalogMigrations(db) {
+  const pending = CATALOG_MIGRATIONS.filter((migration) =>
+    !appliedMigrations.has(migration.id));
+  if (pending.length === 0) return false;
+
+  const markersRef = db.collection(CATALOG_MIGRATIONS_COLLECTION);
+  const markers = await db.getAll(...pending.map((migration) =>
+    markersRef.doc(migration.id)));
+  let changed = false;
+
+  for (const [index, migration] of pending.entries()) {
+    if (markers[index].exists) {
+      appliedMigrations.add(migration.id);
+      continue;
+    }
+
+    try {
+      changed = await db.runTransaction(async (transaction) => {
+        const markerRef = markersRef.doc(migration.id);
+        const serviceRef = db.collection(MONITORED_SERVICES_COLLECTION)
+            .doc(migration.serviceId);
+        const marker = await transaction.get(markerRef);
+        const stored = await transaction.get(serviceRef);
+        if (marker.exists) return false;
+
+        const now = admin.firestore.FieldValue.serverTimestamp();
+        const next = migration.migrate(stored.exists ? stored.data() : null);
+        if (next) {
+          const service = validateServiceDefinition({
+            ...next,
+            id: migration.serviceId,
+          });
+          transaction.set(serviceRef, {
+            ...service,
+            createdAt: stored.exists ? stored.data().createdAt ?? now : now,
+            updatedAt: now,
+            updatedBy: `migration:${migration.id}`,
+          });
+        }
+        transaction.set(markerRef, {appliedAt: now, changed: Boolean(next)});
+        return Boolean(next);
+      }) || changed;
+      appliedMigrations.add(migration.id);
+      console.log(`Applied catalog migration ${migration.id}`);
+    } catch (e) {
+      console.warn(`Catalog migration ${migration.id} failed:`, e.message);
+    }
+  }
+
+  return changed;
+}
+
+// MARK: - Catalog Access
+/**
+ * Writes the default service definitions to the catalog
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @return {Promise<Array>} Seeded service definitions
+ */
+async function seedServiceCatalog(db) {
+  const services = DEFAULT_SERVICES.map(validateServiceDefinition);
+  const batch = db.batch();
+  const now = admin.firestore.FieldValue.serverTimestamp();
+
+  for (const service of services) {
+    batch.set(db.collection(MONITORED_SERVICES_COLLECTION).doc(service.id), {
+      ...service,
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+  // The defaults already include every migration
+  for (const migration of CATALOG_MIGRATIONS) {
+    batch.set(
+        db.collection(CATALOG_MIGRATIONS_COLLECTION).doc(migration.id),
+        {appliedAt: now, changed: false},
+    );
+  }
+
+  await batch.commit();
+  CATALOG_MIGRATIONS.forEach((migration) =>
+    appliedMigrations.add(migration.id));
+  console.log(`Seeded ${services.length} monitored services`);
+  return services;
+}
+
+/**
+ * Loads the enabled services to monitor. Seeds the catalog from the
+ * defaults when it is empty, applies pending default migrations otherwise
+ * and falls back to the defaults when it cannot be read, so a Firestore
+ * hiccup never stops the scheduled check.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @return {Promise<Array>} Enabled service definitions
+ */
+async function loadServiceCatalog(db) {
+  let snapshot;
+  try {
+    snapshot = await db.collection(MONITORED_SERVICES_COLLECTION).get();
+  } catch (e) {
+    console.warn("Could not load service catalog, using defaults:", e.message);
+    return DEFAULT_SERVICES.map(validateServiceDefinition);
+  }
+
+  if (snapshot.empty) {
+    try {
+      return await seedServiceCatalog(db);
+    } catch (e) {
+      console.warn("Could not seed service catalog:", e.message);
+      return DEFAULT_SERVICES.map(validateServiceDefinition);
+    }
+  }
+
+  try {
+    if (await applyCatalogMigrations(db)) {
+      snapshot = await db.collection(MONITORED_SERVICES_COLLECTION).get();
+    }
+  } catch (e) {
+    console.warn("Could not apply catalog migrations:", e.message);
+  }
+
+  const services = [];
+  for (const doc of snapshot.docs) {
+    try {
+      const service = validateServiceDefinition({...doc.data(), id: doc.id});
+      if (service.enabled) services.push(service);
+    } catch (e) {
+      console.warn(`Skipping invalid service definition ${doc.id}:`, e.message);
+    }
+  }
+
+  // Keep Infinitum services first, matching the client's ordering
+  return services.sort((a, b) =>
+    SERVICE_TYPES.indexOf(a.type) - SERVICE_TYPES.indexOf(b.type),
+  );
+}
+
+/**
+ * Checks whether the catalog has ever been seeded. Once it has, services
+ * missing from it were deleted by an admin and must not come back from
+ * the defaults.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @return {Promise<boolean>} True if the catalog has no services at all
+ */
+async function isCatalogUnseeded(db) {
+  const snapshot = await db.collection(MONITORED_SERVICES_COLLECTION)
+      .limit(1)
+      .get();
+  return snapshot.empty;
+}
+
+/**
+ * Looks up service definitions by id for on-demand checks. Disabled
+ * services are omitted unless `includeDisabled` is set. Ids fall back to
+ * the defaults only while the catalog has never been seeded; unknown ids
+ * are omitted.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Array<string>} serviceIds - Service ids to look up
+ * @param {Object} options - Optional includeDisabled flag
+ * @return {Promise<Map>} Map of service id to service definition
+ */
+async function getServiceDefinitions(
+    db,
+    serviceIds,
+    {includeDisabled = false} = {},
+) {
+  const ids = [...new Set(serviceIds.filter((id) =>
+    typeof id === "string" && SERVICE_ID_PATTERN.test(id),
+  ))];
+  const definitions = new Map();
+  if (ids.length === 0) return definitions;
+
+  let docs;
+  try {
+    docs = await db.getAll(...ids.map((id) =>
+      db.collection(MONITORED_SERVICES_COLLECTION).doc(id),
+    ));
+  } catch (e) {
+    console.warn("Could not load service definitions:", e.message);
+    return definitions;
+  }
+
+  const keep = (service) => includeDisabled || service.enabled;
+  for (const doc of docs) {
+    if (!doc.exists) continue;
+    try {
+      const service = validateServiceDefinition({...doc.data(), id: doc.id});
+      if (keep(service)) definitions.set(doc.id, service);
+    } catch (e) {
+      console.warn(`Invalid service definition ${doc.id}:`, e.message);
+    }
+  }
+
+  if (docs.some((doc) => !doc.exists)) {
+    let unseeded = false;
+    try {
+      unseeded = await isCatalogUnseeded(db);
+    } catch (e) {
+      console.warn("Could not read service catalog:", e.message);
+    }
+    for (const service of unseeded ? DEFAULT_SERVICES : []) {
+      if (ids.includes(service.id)) {
+        const normalized = validateServiceDefinition(service);
+        if (keep(normalized)) definitions.set(service.id, normalized);
+      }
+    }
+  }
+
+  return definitions;
+}
+
+// MARK: - Catalog Management
+/**
+ * Creates, updates, enables or disables a catalog entry
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} action - "create", "update", "enable" or "disable"
+ * @param {Object} input - Service definition (or {id} for enable/disable)
+ * @param {string} uid - Uid of the admin making the change
+ * @return {Promise<Object>} Saved service definition
+ */
+async function manageServiceCatalog(db, action, input, uid) {
+  if (!isPlainObject(input) || !isNonEmptyString(input.id, 63)) {
+    throw invalid("service.id is required");
+  }
+
+  const docRef = db.collection(MONITORED_SERVICES_COLLECTION).doc(input.id);
+  const now = admin.firestore.FieldValue.serverTimestamp();
+
+  return db.runTransaction(async (transaction) => {
+    const existing = await transaction.get(docRef);
+
+    if (action === "create" && existing.exists) {
+      throw new functions.https.HttpsError(
+          "already-exists",
+          `Service ${input.id} already exists`,
+      );
+    }
+    if (action !== "create" && !existing.exists) {
+      throw new functions.https.HttpsError(
+          "not-found",
+          `Service ${input.id} does not exist`,
+      );
+    }
+
+    let merged;
+    if (action === "create") {
+      merged = input;
+    } else if (action === "update") {
+      merged = {...existing.data(), ...input};
+    } else if (action === "enable" || action === "disable") {
+      merged = {...existing.data(), enabled: action === "enable"};
+    } else {
+      throw invalid("action must be create, update, enable or disable");
+    }
+
+    // Write the full normalized definition so removed fields are dropped
+    const service = validateServiceDefinition(merged);
+    transaction.set(docRef, {
+      ...service,
+      createdAt: existing.exists ? existing.data().createdAt ?? now : now,
+      updatedAt: now,
+      updatedBy: uid,
+    });
+
+    return service;
+  });
+}
+
+module.exports = {
+  MONITORED_SERVICES_COLLECTION,
+  SERVICE_TYPES,
+  DEFAULT_SERVICES,
+  validateServiceDefinition,
+  loadServiceCatalog,
+  getServiceDefinitions,
+  seedServiceCatalog,
+  applyCatalogMigrations,
+  manageServiceCatalog,
+};
+
+// Suggestions For Features and Additions Later:
+// - Add a display order field for the client
+// - Keep an audit log of catalog changes
@@ -0,0 +1,546 @@
+// Filename: check_engine.js
+// Purpose: Shared service check used by the callable and scheduled checks
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: firebase-functions, firebase-admin, axios, parsers/index.js,
+//   http_check.js, content_rules.js, url_guard.js, maintenance.js,
+//   network_checks.js, synthetic_checks.js
+// Platform Compatibility: Firebase Cloud Functions
+
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+const axios = require("axios");
+const {parseComponentStatuses} = require("./parsers");
+const {
+  buildComponentStatus,
+  markAllComponents,
+} = require("./parsers/common");
+const {
+  DEFAULT_CHECK,
+  buildRequestConfig,
+  classifyStatusCode,
+  checkLatencyThreshold,
+  stringifyBody,
+} = require("./http_check");
+const {
+  DATA_FEED_ISSUE_RULE_ID,
+  evaluateContentRules,
+} = require("./content_rules");
+const {URL_NOT_ALLOWED, assertAllowedUrl} = require("./url_guard");
+const {
+  findActiveMaintenance,
+  applyComponentMaintenance,
+} = require("./maintenance");
+const {
+  NETWORK_CHECK_TYPES,
+  runNetworkProbe,
+  probeComponentCertificates,
+} = require("./network_checks");
+const {
+  stepComponents,
+  runSyntheticSteps,
+} = require("./synthetic_checks");
+
+// MARK: - Constants
+const MAX_CHECK_BATCH_SIZE = 25;
+const CHECK_CONCURRENCY = 5;
+const ISSUE_RANK = ["degraded", "down"];
+
+// MARK: - Service Definitions
+/**
+ * Builds a minimal service definition for a URL that is not in the
+ * catalog, so ad-hoc callable checks run through the same engine
+ * @param {string} url - URL to check
+ * @param {string|null} id - Service id supplied by the caller
+ * @param {string|null} name - Display name supplied by the caller
+ * @return {Object} Service definition with default check settings
+ */
+function buildAdHocService(url, id = null, name = null) {
+  return {
+    id: id || url,
+    name: name || url,
+    url: url,
+    type: "thirdParty",
+    check: DEFAULT_CHECK,
+    contentRules: [],
+    components: [],
+    thresholds: {degradedResponseTimeMs: null, slaTargetPercent: null},
+  };
+}
+
+/**
+ * Resolves the service to check for a callable request. Catalog services
+ * are checked from their definition and disabled ones are refused;
+ * anything else is an ad-hoc check of the caller's URL, which must be
+ * public and is refused entirely when RESTRICT_CHECKS_TO_CATALOG is "true".
+ * @param {Map} definitions - Catalog definitions by service id, including
+ *   disabled services
+ * @param {Object} input - Object with url, id and name from the caller
+ * @return {Promise<Object>} Service definition to check
+ */
+async function resolveCheckTarget(definitions, input) {
+  const {url, id = null, name = null} = input || {};
+  if (definitions.has(id)) {
+    const service = definitions.get(id);
+    if (!service.enabled) {
+      throw new functions.https.HttpsError(
+          "failed-precondition",
+          `Service ${id} is disabled`,
+      );
+    }
+    return service;
+  }
+
+  if (process.env.RESTRICT_CHECKS_TO_CATALOG === "true") {
+    throw new functions.https.HttpsError(
+        "permission-denied",
+        "Only services in the catalog can be checked",
+    );
+  }
+  if (typeof url !== "string" || url.length === 0 || url.length > 2048) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "URL is required",
+    );
+  }
+
+  try {
+    await assertAllowedUrl(url);
+  } catch (e) {
+    throw new functions.https.HttpsError("invalid-argument", e.message);
+  }
+  return buildAdHocService(url, id, name);
+}
+
+// MARK: - Response Helpers
+/**
+ * Maps a failed request to a status and error message
+ * @param {Error} error - axios error
+ * @return {Object} Object with status and errorMessage
+ */
+function describeRequestError(error) {
+  const message = error.message || "";
+
+  // Redirects wrap the guard's error, so look at the cause as well
+  const blocked = [error, error.cause].find((e) =>
+    e?.code === URL_NOT_ALLOWED,
+  );
+  if (blocked) {
+    return {status: "unknown", errorMessage: blocked.message};
+  }
+
+  if (error.code === "ECONNABORTED" || message.includes("timeout")) {
+    return {status: "down", errorMessage: "Connection timeout"};
+  } else if (error.code === "ENOTFOUND" || error.code === "ECONNREFUSED") {
+    return {status: "down", errorMessage: "Connection error"};
+  } else if (error.response) {
+    // Server responded with an unexpected error status
+    return {
+      status: error.response.status >= 500 ? "down" : "degraded",
+      errorMessage: `HTTP ${error.response.status}`,
+    };
+  }
+  return {status: "down", errorMessage: message || "Unknown error"};
+}
+
+// MARK: - Status Aggregation
+/**
+ * Folds component statuses into the service status. Any down component
+ * makes the service down, any degraded component makes it degraded and
+ * all-operational components clear the error. Mixed operational/unknown
+ * components keep the HTTP-derived status.
+ * @param {string} status - Status from the HTTP and content checks
+ * @param {string|null} errorMessage - Error message so far
+ * @param {Array} componentStatuses - Component status objects
+ * @return {Object} Object with status and errorMessage
+ */
+function summarizeComponents(status, errorMessage, componentStatuses) {
+  if (componentStatuses.length === 0) return {status, errorMessage};
+
+  for (const issue of ["down", "degraded"]) {
+    const affected = componentStatuses.filter((c) => c.status === issue);
+    if (affected.length > 0) {
+      const names = affected.map((c) => c.name).join(", ");
+      return {
+        status: issue,
+        errorMessage: errorMessage ||
+          `${affected.length} component(s) ${issue}: ${names}`,
+      };
+    }
+  }
+
+  if (componentStatuses.every((c) => c.status === "operational")) {
+    return {status: "operational", errorMessage: null};
+  }
+  return {status, errorMessage};
+}
+
+/**
+ * Tracks consecutive failures and the last time the service was up.
+ * Maintenance is planned downtime, so it leaves both unchanged.
+ * @param {string} status - Final status of this check
+ * @param {Object|null} previousStatus - Previous cached status
+ * @param {admin.firestore.Timestamp} now - Time of this check
+ * @return {Object} Object with consecutiveFailures and lastUpTime
+ */
+function trackAvailability(status, previousStatus, now) {
+  if (status === "operational") {
+    return {consecutiveFailures: 0, lastUpTime: now};
+  }
+  if (status === "maintenance") {
+    return {
+      consecutiveFailures: previousStatus?.consecutiveFailures || 0,
+      lastUpTime: previousStatus?.lastUpTime || null,
+    };
+  }
+
+  // Increment consecutive failures if previous status was not operational
+  const wasNotOperational =
+    previousStatus && previousStatus.status !== "operational";
+  return {
+    consecutiveFailures: wasNotOperational ?
+      (previousStatus.consecutiveFailures || 0) + 1 :
+      1,
+    // Preserve lastUpTime from previous status if available
+    lastUpTime: previousStatus?.lastUpTime || null,
+  };
+}
+
+// MARK: - Probes
+/**
+ * Requests an HTTP service and applies status code classification,
+ * content rules, component parsing and the latency threshold
+ * @param {Object} service - Service definition from the catalog
+ * @param {Object|null} maintenance - Active maintenance for the service
+ * @param {number} startTime - Time the check started
+ * @return {Promise<Object>} Check outcome
+ */
+async function probeHttp(service, maintenance, startTime) {
+  const check = service.check || DEFAULT_CHECK;
+  const components = service.components || [];
+
+  try {
+    const response = await axios.request(
+        buildRequestConfig(service.url, check),
+    );
+    const responseTime = Date.now() - startTime;
+    const responseBody = stringifyBody(response.data);
+
+    let {status, errorMessage} = classifyStatusCode(response.status, check);
+
+    // Content rules from the catalog can degrade an otherwise healthy page
+    const contentFailure = status === "operational" ?
+      evaluateContentRules(service.contentRules, responseBody, response.data) :
+      null;
+    if (contentFailure) {
+      ({status, errorMessage} = contentFailure);
+    }
+
+    // Parse component statuses with the parser registered for this service
+    let componentStatuses = markAllComponents(components, "unknown");
+    if (components.length > 0 && responseBody) {
+      try {
+        componentStatuses = await parseComponentStatuses(
+            service,
+            components,
+            responseBody,
+            response.status,
+        );
+      } catch (e) {
+        console.warn(
+            `Error parsing component statuses for ${service.id}:`,
+            e.message,
+        );
+      }
+    }
+    componentStatuses =
+      applyComponentMaintenance(componentStatuses, maintenance);
+    ({status, errorMessage} =
+      summarizeComponents(status, errorMessage, componentStatuses));
+
+    // Report slow responses as degraded when the catalog sets a threshold
+    const slowResponse = checkLatencyThreshold(
+        status,
+        responseTime,
+        service.thresholds,
+    );
+    if (slowResponse) {
+      ({status, errorMessage} = slowResponse);
+    }
+
+    const failedRules = contentFailure?.failedRules || [];
+    return {
+      success: true,
+      status: status,
+      statusCode: response.status,
+      responseTimeMs: responseTime,
+      errorMessage: errorMessage,
+      components: componentStatuses,
+      hasDataFeedIssue: failedRules.includes(DATA_FEED_ISSUE_RULE_ID),
+      failedRules: failedRules,
+    };
+  } catch (error) {
+    const {status, errorMessage} = describeRequestError(error);
+    return {
+      success: false,
+      status: status,
+      statusCode: error.response?.status || null,
+      responseTimeMs: Date.now() - startTime,
+      errorMessage: errorMessage,
+      // Without a response body, every component is considered down
+      components: applyComponentMaintenance(
+          markAllComponents(
+              components,
+              "down",
+              errorMessage || "Service unavailable",
+          ),
+          maintenance,
+      ),
+      hasDataFeedIssue: false,
+      failedRules: [],
+    };
+  }
+}
+
+/**
+ * Runs a tcp, dns or tls probe. Components of a tls service are the other
+ * domains whose certificates it watches; for tcp and dns they are unknown.
+ * @param {Object} service - Service definition from the catalog
+ * @param {Object|null} maintenance - Active maintenance for the service
+ * @param {number} startTime - Time the check started
+ * @return {Promise<Object>} Check outcome
+ */
+async function probeNetwork(service, maintenance, startTime) {
+  const components = service.components || [];
+  const {success, status: probedStatus, errorMessage: probedError, ...details} =
+    await runNetworkProbe(service.checkType, service.check);
+  const responseTime = Date.now() - startTime;
+  let status = probedStatus;
+  let errorMessage = probedError;
+
+  let componentStatuses = markAllComponents(components, "unknown");
+  if (service.checkType === "tls" && components.length > 0) {
+    const certificates =
+      await probeComponentCertificates(components, service.check);
+    const now = admin.firestore.Timestamp.now();
+    componentStatuses = components.map((comp, i) => ({
+      ...buildComponentStatus(comp, certificates[i].status, {
+        lastChecked: now,
+        errorMessage: certificates[i].errorMessage,
+      }),
+      certificate: certificates[i].certificate,
+    }));
+  }
+  componentStatuses = applyComponentMaintenance(componentStatuses, maintenance);
+  // A worse component (another domain's certificate) sets the status
+  const folded = summarizeComponents(status, null, componentStatuses);
+  if (ISSUE_RANK.indexOf(folded.status) > ISSUE_RANK.indexOf(status)) {
+    ({status, errorMessage} = folded);
+  }
+
+  if (success) {
+    const slowResponse = checkLatencyThreshold(
+        status,
+        responseTime,
+        service.thresholds,
+    );
+    if (slowResponse) {
+      ({status, errorMessage} = slowResponse);
+    }
+  }
+
+  return {
+    success: success,
+    status: status,
+    statusCode: null,
+    responseTimeMs: responseTime,
+    errorMessage: errorMessage,
+    components: componentStatuses,
+    hasDataFeedIssue: false,
+    failedRules: [],
+    ...details,
+  };
+}
+
+/**
+ * Runs the steps of a synthetic check. Each step is reported as a
+ * component with its own timing and status code; the first failing step
+ * sets the service status and error message.
+ * @param {Object} service - Service definition from the catalog
+ * @param {Object|null} maintenance - Active maintenance for the service
+ * @param {number} startTime - Time the check started
+ * @return {Promise<Object>} Check outcome
+ */
+async function probeSynthetic(service, maintenance, startTime) {
+  const steps = await runSyntheticSteps(service);
+  const responseTime = Date.now() - startTime;
+  const now = admin.firestore.Timestamp.now();
+
+  const componentStatuses = applyComponentMaintenance(
+      stepComponents(service).map((comp, i) => ({
+        ...buildComponentStatus(comp, steps[i].status, {
+          lastChecked: now,
+          responseTimeMs: steps[i].responseTimeMs,
+          errorMessage: steps[i].errorMessage,
+        }),
+        statusCode: steps[i].statusCode,
+      })),
+      maintenance,
+  );
+
+  const failedIndex = steps.findIndex((step) =>
+    step.status !== "operational");
+  const failed = failedIndex === -1 ? null : steps[failedIndex];
+  let {status, errorMessage} = summarizeComponents(
+      failed?.status === "unknown" ? "unknown" : "operational",
+      failed ?
+        `${componentStatuses[failedIndex].name}: ${failed.errorMessage}` :
+        null,
+      componentStatuses,
+  );
+  if (status === "operational") errorMessage = null;
+
+  const slowResponse = checkLatencyThreshold(
+      status,
+      responseTime,
+      service.thresholds,
+  );
+  if (slowResponse) {
+    ({status, errorMessage} = slowResponse);
+  }
+
+  const responded = steps.filter((step) => step.statusCode !== null);
+  return {
+    success: !failed || failed.statusCode !== null,
+    status: status,
+    statusCode: responded.length > 0 ?
+      responded[responded.length - 1].statusCode :
+      null,
+    responseTimeMs: responseTime,
+    errorMessage: errorMessage,
+    components: componentStatuses,
+    hasDataFeedIssue: false,
+    failedRules: steps.flatMap((step, i) =>
+      step.failedRules.map((rule) => `${componentStatuses[i].id}:${rule}`)),
+  };
+}
+
+// MARK: - Service Check
+/**
+ * Checks a service: the probe for its checkType (HTTP request with status
+ * code classification, content rules and component parsing, synthetic
+ * steps, or a tcp, dns or tls probe), latency threshold, maintenance
+ * windows and failure tracking. Every entry point uses this so on-demand
+ * and scheduled checks agree. The service is still probed during
+ * maintenance; the probed status is kept as observedStatus.
+ * @param {Object} service - Service definition from the catalog
+ * @param {Object|null} previousStatus - Previous cached status
+ * @param {Array} maintenanceWindows - Scheduled maintenance windows
+ * @return {Promise<Object>} Service status object
+ */
+async function runServiceCheck(
+    service,
+    previousStatus = null,
+    maintenanceWindows = [],
+) {
+  const startTime = Date.now();
+  const maintenance = findActiveMaintenance(
+      maintenanceWindows,
+      service,
+      startTime,
+  );
+
+  let probe = probeHttp;
+  if (service.checkType === "synthetic") {
+    probe = probeSynthetic;
+  } else if (NETWORK_CHECK_TYPES.includes(service.checkType)) {
+    probe = probeNetwork;
+  }
+  let outcome = await probe(service, maintenance, startTime);
+
+  // Planned downtime replaces the probed status for the whole service
+  if (maintenance?.wholeService) {
+    outcome = {
+      ...outcome,
+      observedStatus: outcome.status,
+      status: "maintenance",
+      errorMessage: maintenance.message,
+    };
+  }
+
+  const now = admin.firestore.Timestamp.now();
+  return {
+    id: service.id,
+    name: service.name,
+    url: service.url,
+    type: service.type,
+    ...outcome,
+    maintenanceWindowIds: maintenance?.windowIds || [],
+    lastChecked: now,
+    ...trackAvailability(outcome.status, previousStatus, now),
+  };
+}
+
+/**
+ * Checks several services with at most `concurrency` checks in flight
+ * @param {Array} services - Service definitions
+ * @param {Map} previousStatuses - Previous cached statuses by service id
+ * @param {Array} maintenanceWindows - Scheduled maintenance windows
+ * @param {number} concurrency - Maximum parallel checks
+ * @return {Promise<Array>} Service status objects in input order
+ */
+async function runServiceChecks(
+    services,
+    previousStatuses,
+    maintenanceWindows = [],
+    concurrency = CHECK_CONCURRENCY,
+) {
+  const results = new Array(services.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < services.length) {
+      const index = next++;
+      const service = services[index];
+      results[index] = await runServiceCheck(
+          service,
+          previousStatuses.get(service.id) || null,
+          maintenanceWindows,
+      );
+    }
+  };
+
+  const workerCount = Math.min(concurrency, services.length);
+  await Promise.all(Array.from({length: workerCount}, worker));
+  return results;
+}
+
+// MARK: - Serialization
+/**
+ * Converts Firestore timestamps in a check result to ISO strings so the
+ * result can be returned from a callable function
+ * @param {*} value - Check result or part of it
+ * @return {*} JSON-safe copy
+ */
+function serializeResult(value) {
+  if (value === null || typeof value !== "object") return value;
+  if (typeof value.toDate === "function") return value.toDate().toISOString();
+  if (Array.isArray(value)) return value.map(serializeResult);
+  return Object.fromEntries(Object.entries(value).map(([key, v]) =>
+    [key, serializeResult(v)],
+  ));
+}
+
+module.exports = {
+  MAX_CHECK_BATCH_SIZE,
+  buildAdHocService,
+  resolveCheckTarget,
+  describeRequestError,
+  summarizeComponents,
+  runServiceCheck,
+  runServiceChecks,
+  serializeResult,
+};
+
+// Suggestions For Features and Additions Later:
+// - Retry once before reporting a connection error
@@ -0,0 +1,261 @@
+// Filename: content_rules.js
+// Purpose: Declarative content assertions on service responses
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: None
+// Platform Compatibility: Firebase Cloud Functions
+
+// MARK: - Constants
+const RULE_TYPES = [
+  "mustContain",
+  "mustNotContain",
+  "mustMatch",
+  "mustNotMatch",
+  "jsonPath",
+];
+const RULE_STATUSES = ["degraded", "down"];
+const MAX_RULES = 20;
+const MAX_PATTERN_LENGTH = 500;
+// Rule id behind the legacy `hasDataFeedIssue` flag read by the client
+const DATA_FEED_ISSUE_RULE_ID = "data-feed-issue";
+const JSON_PATH_TOKEN =
+  /\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\["([^"]+)"\]|\['([^']+)'\]/g;
+
+// MARK: - Text Helpers
+/**
+ * Normalizes text for substring checks: lowercase, collapsed whitespace and
+ * no trailing punctuation, so "Data feed issue." matches "data  feed issue"
+ * @param {string} text - Text to normalize
+ * @return {string} Normalized text
+ */
+function normalizeText(text) {
+  return String(text).toLowerCase().replace(/\s+/g, " ").trim()
+      .replace(/[.!]+$/, "");
+}
+
+/**
+ * Checks whether every fragment appears in the (normalized) body
+ * @param {string} normalizedBody - Normalized response body
+ * @param {string|Array<string>} value - Fragment or fragments
+ * @return {boolean} True if all fragments are present
+ */
+function containsAll(normalizedBody, value) {
+  const fragments = Array.isArray(value) ? value : [value];
+  return fragments.every((fragment) =>
+    normalizedBody.includes(normalizeText(fragment)),
+  );
+}
+
+// MARK: - JSONPath
+/**
+ * Checks that a path only uses the supported JSONPath subset
+ * @param {string} path - JSONPath expression
+ * @return {boolean} True if the whole path is made of supported tokens
+ */
+function isSupportedJsonPath(path) {
+  const relative = path.replace(/^\$/, "");
+  return relative.length > 0 && relative.replace(JSON_PATH_TOKEN, "") === "";
+}
+
+/**
+ * Resolves a simple JSONPath ($.a.b[0]["c-d"]) against a value.
+ * Wildcards and filters are intentionally not supported.
+ * @param {*} data - Parsed JSON
+ * @param {string} path - JSONPath expression
+ * @return {Object} Object with found (boolean) and value
+ */
+function resolveJsonPath(data, path) {
+  const tokens = [...path.matchAll(JSON_PATH_TOKEN)]
+      .map((m) => m[1] ?? (m[2] !== undefined ? Number(m[2]) : m[3] ?? m[4]));
+
+  let current = data;
+  for (const token of tokens) {
+    if (current === null || typeof current !== "object" ||
+        !(token in current)) {
+      return {found: false, value: undefined};
+    }
+    current = current[token];
+  }
+  return {found: true, value: current};
+}
+
+/**
+ * Evaluates a jsonPath rule's assertion
+ * @param {Object} rule - jsonPath rule
+ * @param {*} json - Parsed JSON response, or undefined if not JSON
+ * @return {boolean} True if the assertion holds
+ */
+function jsonPathAssertionHolds(rule, json) {
+  if (json === undefined) return false;
+  const {found, value} = resolveJsonPath(json, rule.path);
+
+  if (rule.exists === false) return !found;
+  if (!found) return false;
+  if ("equals" in rule) return value === rule.equals;
+  if ("notEquals" in rule) return value !== rule.notEquals;
+  if (Array.isArray(rule.in)) return rule.in.includes(value);
+  return true; // exists: true (the default)
+}
+
+// MARK: - Validation
+/**
+ * Validates and normalizes a service's content rules.
+ * Throws an Error describing the first invalid rule.
+ * @param {*} rules - Content rules from the catalog
+ * @return {Array} Normalized rules
+ */
+function validateContentRules(rules) {
+  if (rules == null) return [];
+  if (!Array.isArray(rules) || rules.length > MAX_RULES) {
+    throw new Error(`contentRules must be an array of at most ${MAX_RULES}`);
+  }
+
+  return rules.map((rule, index) => {
+    const label = `contentRules[${index}]`;
+    if (typeof rule !== "object" || rule === null) {
+      throw new Error(`${label} must be an object`);
+    }
+    if (!RULE_TYPES.includes(rule.type)) {
+      throw new Error(`${label}.type must be one of ${RULE_TYPES.join(", ")}`);
+    }
+
+    const status = rule.status || "degraded";
+    if (!RULE_STATUSES.includes(status)) {
+      throw new Error(`${label}.status must be degraded or down`);
+    }
+    const normalized = {
+      type: rule.type,
+      status: status,
+      message: typeof rule.message === "string" && rule.message.length > 0 ?
+        rule.message.slice(0, 200) :
+        null,
+    };
+    if (typeof rule.id === "string") normalized.id = rule.id;
+
+    if (rule.type === "mustContain" || rule.type === "mustNotContain") {
+      const values = Array.isArray(rule.value) ? rule.value : [rule.value];
+      if (values.length === 0 || !values.every((v) =>
+        typeof v === "string" && v.length > 0 && v.length <= 500)) {
+        throw new Error(`${label}.value must be a string or array of strings`);
+      }
+      normalized.value = rule.value;
+    } else if (rule.type === "mustMatch" || rule.type === "mustNotMatch") {
+      if (typeof rule.pattern !== "string" ||
+          rule.pattern.length > MAX_PATTERN_LENGTH) {
+        throw new Error(`${label}.pattern must be a regular expression`);
+      }
+      const flags = rule.flags || "i";
+      try {
+        new RegExp(rule.pattern, flags);
+      } catch (e) {
+        throw new Error(`${label}.pattern is invalid: ${e.message}`);
+      }
+      normalized.pattern = rule.pattern;
+      normalized.flags = flags;
+    } else {
+      if (typeof rule.path !== "string" || !isSupportedJsonPath(rule.path)) {
+        throw new Error(`${label}.path must be a simple JSONPath ($.a.b[0])`);
+      }
+      normalized.path = rule.path;
+      for (const key of ["equals", "notEquals", "in", "exists"]) {
+        if (key in rule) normalized[key] = rule[key];
+      }
+    }
+
+    return normalized;
+  });
+}
+
+// MARK: - Evaluation
+/**
+ * Describes a failed rule when it has no custom message
+ * @param {Object} rule - Content rule
+ * @return {string} Failure message
+ */
+function defaultMessage(rule) {
+  switch (rule.type) {
+    case "mustContain":
+      return "Expected content missing";
+    case "mustNotContain":
+      return "Unexpected content found";
+    case "mustMatch":
+      return `Content does not match ${rule.pattern}`;
+    case "mustNotMatch":
+      return `Content matches ${rule.pattern}`;
+    default:
+      return `JSON assertion failed at ${rule.path}`;
+  }
+}
+
+/**
+ * Evaluates content rules against a response. The worst failing rule
+ * decides the status; all failing messages are reported.
+ * @param {Array} rules - Normalized content rules
+ * @param {string} responseBody - Response body as a string
+ * @param {*} responseData - Response data as parsed by axios
+ * @return {Object|null} Status, errorMessage and failedRules, or null if
+ *   every rule passed
+ */
+function evaluateContentRules(rules, responseBody, responseData) {
+  if (!rules || rules.length === 0) return null;
+
+  let normalizedBody = null;
+  let json;
+  let jsonParsed = false;
+  const failed = [];
+
+  rules.forEach((rule, index) => {
+    let holds;
+    if (rule.type === "mustContain" || rule.type === "mustNotContain") {
+      normalizedBody = normalizedBody ?? normalizeText(responseBody || "");
+      const present = containsAll(normalizedBody, rule.value);
+      holds = rule.type === "mustContain" ? present : !present;
+    } else if (rule.type === "mustMatch" || rule.type === "mustNotMatch") {
+      const matches = new RegExp(rule.pattern, rule.flags)
+          .test(responseBody || "");
+      holds = rule.type === "mustMatch" ? matches : !matches;
+    } else {
+      if (!jsonParsed) {
+        jsonParsed = true;
+        if (responseData !== null && typeof responseData === "object") {
+          json = responseData;
+        } else {
+          try {
+            json = JSON.parse(responseBody);
+          } catch (e) {
+            json = undefined;
+          }
+        }
+      }
+      holds = jsonPathAssertionHolds(rule, json);
+    }
+
+    if (!holds) failed.push({rule, index});
+  });
+
+  if (failed.length === 0) return null;
+
+  const status = failed.some(({rule}) => rule.status === "down") ?
+    "down" :
+    "degraded";
+  const messages = [...new Set(failed.map(({rule}) =>
+    rule.message || defaultMessage(rule),
+  ))];
+
+  return {
+    status: status,
+    errorMessage: messages.join("; "),
+    failedRules: failed.map(({rule, index}) => rule.id || `rule-${index}`),
+  };
+}
+
+module.exports = {
+  DATA_FEED_ISSUE_RULE_ID,
+  validateContentRules,
+  evaluateContentRules,
+  isSupportedJsonPath,
+  resolveJsonPath,
+};
+
+// Suggestions For Features and Additions Later:
+// - Add response header assertions
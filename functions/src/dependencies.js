@@ -0,0 +1,173 @@
+// Filename: dependencies.js
+// Purpose: Service dependency graph and root-cause status propagation
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: None
+// Platform Compatibility: Firebase Cloud Functions
+
+// MARK: - Constants
+const ISSUE_STATUSES = ["degraded", "down"];
+const MAX_DEPENDENCIES = 20;
+
+// "serviceId" or "serviceId.componentId", the ids used by the public API
+const DEPENDENCY_PATTERN =
+  /^[a-z0-9][a-z0-9-]{0,62}(\.[a-z0-9][a-z0-9-]{0,62})?$/;
+
+// MARK: - Validation
+/**
+ * Validates the dependencies of a service definition. Targets may be added
+ * to the catalog later, so only the format and self-references are checked.
+ * @param {*} dependencies - Dependency ids
+ * @param {string} serviceId - Id of the service declaring them
+ * @return {Array<string>} Normalized dependency ids
+ */
+function validateDependencies(dependencies, serviceId) {
+  if (dependencies == null) return [];
+  if (!Array.isArray(dependencies) ||
+      dependencies.length > MAX_DEPENDENCIES) {
+    throw new Error(
+        `dependencies must be an array of at most ${MAX_DEPENDENCIES}`,
+    );
+  }
+
+  const normalized = [];
+  for (const dependency of dependencies) {
+    if (typeof dependency !== "string" ||
+        !DEPENDENCY_PATTERN.test(dependency)) {
+      throw new Error(
+          "dependencies must be service ids or serviceId.componentId",
+      );
+    }
+    if (parseDependency(dependency).serviceId === serviceId) {
+      throw new Error("a service cannot depend on itself");
+    }
+    if (!normalized.includes(dependency)) normalized.push(dependency);
+  }
+  return normalized;
+}
+
+/**
+ * Splits a dependency id into its service and optional component
+ * @param {string} dependency - "serviceId" or "serviceId.componentId"
+ * @return {Object} serviceId and componentId (null for whole services)
+ */
+function parseDependency(dependency) {
+  const [serviceId, componentId = null] = dependency.split(".");
+  return {serviceId, componentId};
+}
+
+// MARK: - Propagation
+/**
+ * Looks up the current status of a dependency in this run's results
+ * @param {string} dependency - Dependency id
+ * @param {Map} resultsById - Check results by service id
+ * @return {Object|null} id, serviceId, label and status, or null if the
+ *   dependency is not monitored
+ */
+function resolveDependency(dependency, resultsById) {
+  const {serviceId, componentId} = parseDependency(dependency);
+  const result = resultsById.get(serviceId);
+  if (!result) return null;
+
+  if (!componentId) {
+    return {id: dependency, serviceId, label: serviceId, status: result.status};
+  }
+  const component = (result.components || [])
+      .find((c) => c.id === componentId);
+  if (!component) return null;
+  return {
+    id: dependency,
+    serviceId,
+    label: componentId,
+    status: component.status,
+  };
+}
+
+/**
+ * Annotates check results with the failing dependencies behind their
+ * issues. A degraded or down service whose dependencies are also degraded
+ * or down gets `impactedBy` (the failing dependencies), `rootCause` (the
+ * first failing dependency that is not itself impacted, following chains
+ * of services) and an "Impacted by ..." error message. Root-cause services
+ * get `impactedServices`. Every result has the fields set, so stale
+ * annotations are cleared when merged into the status cache.
+ * @param {Array} results - Check results of this run
+ * @param {Array} services - Service definitions (for `dependencies`)
+ * @return {Array} The same results, annotated
+ */
+function annotateDependencyImpact(results, services) {
+  const resultsById = new Map(results.map((r) => [r.id, r]));
+  const dependenciesById = new Map(
+      services.map((s) => [s.id, s.dependencies || []]),
+  );
+  const rootCauses = new Map();
+
+  /**
+   * Finds the root cause of a service's issue, memoized per service
+   * @param {string} serviceId - Service id
+   * @param {Set} visiting - Services on the current path (cycle guard)
+   * @return {Object|null} Root-cause dependency or null
+   */
+  function findRootCause(serviceId, visiting) {
+    if (rootCauses.has(serviceId)) return rootCauses.get(serviceId);
+    const result = resultsById.get(serviceId);
+    if (!result || !ISSUE_STATUSES.includes(result.status) ||
+        visiting.has(serviceId)) {
+      return null;
+    }
+
+    visiting.add(serviceId);
+    let rootCause = null;
+    for (const dependency of dependenciesById.get(serviceId) || []) {
+      const resolved = resolveDependency(dependency, resultsById);
+      if (!resolved || !ISSUE_STATUSES.includes(resolved.status)) continue;
+      // A whole-service dependency that is itself impacted passes on its
+      // own root cause
+      rootCause = (!parseDependency(dependency).componentId &&
+        findRootCause(resolved.serviceId, visiting)) || resolved;
+      break;
+    }
+    visiting.delete(serviceId);
+
+    rootCauses.set(serviceId, rootCause);
+    return rootCause;
+  }
+
+  for (const result of results) {
+    result.impactedBy = [];
+    result.rootCause = null;
+    result.impactedServices = [];
+  }
+
+  for (const result of results) {
+    const rootCause = findRootCause(result.id, new Set());
+    if (!rootCause) continue;
+
+    result.impactedBy = (dependenciesById.get(result.id) || [])
+        .map((dependency) => resolveDependency(dependency, resultsById))
+        .filter((d) => d && ISSUE_STATUSES.includes(d.status))
+        .map((d) => ({id: d.id, status: d.status}));
+    result.rootCause = {
+      id: rootCause.id,
+      serviceId: rootCause.serviceId,
+      status: rootCause.status,
+    };
+    const detail = result.errorMessage ? ` (${result.errorMessage})` : "";
+    result.errorMessage = `Impacted by ${rootCause.label}${detail}`;
+
+    const rootResult = resultsById.get(rootCause.serviceId);
+    rootResult.impactedServices.push({id: result.id, name: result.name});
+  }
+
+  return results;
+}
+
+module.exports = {
+  validateDependencies,
+  parseDependency,
+  annotateDependencyImpact,
+};
+
+// Suggestions For Features and Additions Later:
+// - Draw the dependency graph on the status page
+// - Reject dependency cycles when the catalog is saved
@@ -0,0 +1,312 @@
+// Filename: feeds.js
+// Purpose: Atom, RSS 2.0 and JSON Feed documents of status changes and
+//   incident updates
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: firebase-admin, status_cache.js, incidents.js
+// Platform Compatibility: Firebase Cloud Functions
+
+const admin = require("firebase-admin");
+const {STATUS_HISTORY_COLLECTION} = require("./status_cache");
+const {INCIDENTS_COLLECTION} = require("./incidents");
+
+// MARK: - Constants
+const FEED_FORMATS = {
+  atom: "application/atom+xml; charset=utf-8",
+  rss: "application/rss+xml; charset=utf-8",
+  json: "application/feed+json; charset=utf-8",
+};
+const MAX_FEED_ITEMS = 50;
+const FEED_WINDOW_DAYS = 30;
+const MAX_FEED_INCIDENTS = 50;
+const FEED_ID_PREFIX = "urn:infinitum-down-detector";
+
+const STATUS_LABELS = {
+  "operational": "Operational",
+  "degraded": "Degraded",
+  "down": "Down",
+  "maintenance": "Under Maintenance",
+  "unknown": "Unknown",
+};
+
+// MARK: - Formatting
+/**
+ * Checks whether XML 1.0 allows a character (tab, newline and carriage
+ * return are the only control characters it accepts, and surrogates are
+ * only valid as a pair)
+ * @param {string} char - Single character (paired surrogates count as one)
+ * @return {boolean} True if the character may appear in XML
+ */
+function isXmlChar(char) {
+  const code = char.codePointAt(0);
+  if (code < 0x20) return code === 0x09 || code === 0x0A || code === 0x0D;
+  if (code >= 0xD800 && code <= 0xDFFF) return false;
+  return code !== 0xFFFE && code !== 0xFFFF;
+}
+
+/**
+ * Escapes text for XML, dropping characters XML 1.0 does not allow
+ * @param {string} text - Text to escape
+ * @return {string} Escaped text
+ */
+function escapeXml(text) {
+  return Array.from(String(text)).filter(isXmlChar).join("")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;");
+}
+
+/**
+ * Returns the display label for a status
+ * @param {string|null} status - Service status
+ * @return {string} Label
+ */
+function statusLabel(status) {
+  return STATUS_LABELS[status] || STATUS_LABELS.unknown;
+}
+
+/**
+ * Capitalizes an incident status (investigating -> Investigating)
+ * @param {string} status - Incident status
+ * @return {string} Capitalized status
+ */
+function capitalize(status) {
+  return status ? status.charAt(0).toUpperCase() + status.slice(1) : "";
+}
+
+// MARK: - Feed Items
+/**
+ * Loads status transitions for services from their history entries.
+ * Only entries marked statusChanged by scheduledHealthCheck are read,
+ * which needs a composite index on entries (statusChanged, timestamp desc).
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Array} services - Service definitions
+ * @param {Date} since - Oldest transition to include
+ * @return {Promise<Array>} Feed items
+ */
+async function loadStatusTransitions(db, services, since) {
+  const perService = await Promise.all(services.map(async (service) => {
+    const snapshot = await db.collection(STATUS_HISTORY_COLLECTION)
+        .doc(service.id)
+        .collection("entries")
+        .where("statusChanged", "==", true)
+        .where("timestamp", ">=", admin.firestore.Timestamp.fromDate(since))
+        .orderBy("timestamp", "desc")
+        .limit(MAX_FEED_ITEMS)
+        .get();
+
+    return snapshot.docs.map((doc) => {
+      const entry = doc.data();
+      const date = entry.timestamp.toDate();
+      const detail = entry.errorMessage ? ` ${entry.errorMessage}` : "";
+      return {
+        id: `${FEED_ID_PREFIX}:status:${service.id}:${date.getTime()}`,
+        title: `${service.name} is ${statusLabel(entry.status)}`,
+        content: `${service.name} changed from ` +
+          `${statusLabel(entry.previousStatus)} to ` +
+          `${statusLabel(entry.status)}.${detail}`,
+        date: date,
+        categories: ["status-change", service.id],
+        extension: {
+          service_id: service.id,
+          status: entry.status,
+          previous_status: entry.previousStatus || null,
+        },
+      };
+    });
+  }));
+  return perService.flat();
+}
+
+/**
+ * Loads the public updates of recent incidents for services
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Array} services - Service definitions
+ * @param {Date} since - Oldest update to include
+ * @return {Promise<Array>} Feed items
+ */
+async function loadIncidentUpdates(db, services, since) {
+  const serviceIds = new Set(services.map((s) => s.id));
+  const snapshot = await db.collection(INCIDENTS_COLLECTION)
+      .orderBy("startTime", "desc")
+      .limit(MAX_FEED_INCIDENTS)
+      .get();
+
+  const items = [];
+  for (const doc of snapshot.docs) {
+    const incident = doc.data();
+    // Root-cause incidents also appear in the feeds of impacted services
+    if (!serviceIds.has(incident.serviceId) &&
+        !(incident.impactedServices || []).some((id) => serviceIds.has(id))) {
+      continue;
+    }
+
+    (incident.updates || []).forEach((update, index) => {
+      const date = update.timestamp?.toDate?.();
+      if (!date || date < since) return;
+      const status = update.status || incident.status;
+      items.push({
+        id: `${FEED_ID_PREFIX}:incident:${doc.id}:${index}`,
+        title: `${incident.title || incident.serviceName}: ` +
+          `${capitalize(status)}`,
+        content: update.message || "",
+        date: date,
+        categories: ["incident", incident.serviceId],
+        extension: {
+          service_id: incident.serviceId,
+          incident_id: doc.id,
+          incident_status: status,
+        },
+      });
+    });
+  }
+  return items;
+}
+
+/**
+ * Builds the newest status transitions and incident updates for services
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Array} services - Service definitions to include
+ * @return {Promise<Array>} Feed items, newest first
+ */
+async function buildFeedItems(db, services) {
+  const since = new Date(Date.now() - FEED_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const [transitions, incidentUpdates] = await Promise.all([
+    loadStatusTransitions(db, services, since),
+    loadIncidentUpdates(db, services, since),
+  ]);
+
+  return [...transitions, ...incidentUpdates]
+      .sort((a, b) => b.date - a.date || a.id.localeCompare(b.id))
+      .slice(0, MAX_FEED_ITEMS);
+}
+
+// MARK: - Rendering
+/**
+ * Renders an Atom 1.0 (RFC 4287) feed
+ * @param {Object} feed - Feed with id, title, description, feedUrl,
+ *   homeUrl, author, updated and items
+ * @return {string} XML document
+ */
+function renderAtom(feed) {
+  const links = [
+    `<link rel="self" type="${FEED_FORMATS.atom.split(";")[0]}" ` +
+      `href="${escapeXml(feed.feedUrl)}"/>`,
+    feed.homeUrl ?
+      `<link rel="alternate" type="text/html" ` +
+        `href="${escapeXml(feed.homeUrl)}"/>` :
+      "",
+  ];
+  const entries = feed.items.map((item) => [
+    "<entry>",
+    `<id>${escapeXml(item.id)}</id>`,
+    `<title type="text">${escapeXml(item.title)}</title>`,
+    `<published>${item.date.toISOString()}</published>`,
+    `<updated>${item.date.toISOString()}</updated>`,
+    feed.homeUrl ?
+      `<link rel="alternate" href="${escapeXml(feed.homeUrl)}"/>` :
+      "",
+    ...item.categories.map((c) => `<category term="${escapeXml(c)}"/>`),
+    `<content type="text">${escapeXml(item.content)}</content>`,
+    "</entry>",
+  ].join(""));
+
+  return [
+    "<?xml version=\"1.0\" encoding=\"utf-8\"?>",
+    "<feed xmlns=\"http://www.w3.org/2005/Atom\">",
+    `<id>${escapeXml(feed.id)}</id>`,
+    `<title type="text">${escapeXml(feed.title)}</title>`,
+    `<subtitle type="text">${escapeXml(feed.description)}</subtitle>`,
+    `<updated>${feed.updated.toISOString()}</updated>`,
+    `<author><name>${escapeXml(feed.author)}</name></author>`,
+    ...links,
+    ...entries,
+    "</feed>",
+  ].filter(Boolean).join("\n");
+}
+
+/**
+ * Renders an RSS 2.0 feed. Dates use the RFC 822 format from toUTCString.
+ * @param {Object} feed - Feed as for renderAtom
+ * @return {string} XML document
+ */
+function renderRss(feed) {
+  const items = feed.items.map((item) => [
+    "<item>",
+    `<title>${escapeXml(item.title)}</title>`,
+    feed.homeUrl ? `<link>${escapeXml(feed.homeUrl)}</link>` : "",
+    `<description>${escapeXml(item.content)}</description>`,
+    `<pubDate>${item.date.toUTCString()}</pubDate>`,
+    `<guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+    ...item.categories.map((c) => `<category>${escapeXml(c)}</category>`),
+    "</item>",
+  ].join(""));
+
+  return [
+    "<?xml version=\"1.0\" encoding=\"utf-8\"?>",
+    "<rss version=\"2.0\" xmlns:atom=\"http://www.w3.org/2005/Atom\">",
+    "<channel>",
+    `<title>${escapeXml(feed.title)}</title>`,
+    `<link>${escapeXml(feed.homeUrl || feed.feedUrl)}</link>`,
+    `<description>${escapeXml(feed.description)}</description>`,
+    "<language>en</language>",
+    `<lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    "<ttl>5</ttl>",
+    `<atom:link href="${escapeXml(feed.feedUrl)}" rel="self" ` +
+      `type="${FEED_FORMATS.rss.split(";")[0]}"/>`,
+    ...items,
+    "</channel>",
+    "</rss>",
+  ].join("\n");
+}
+
+/**
+ * Renders a JSON Feed 1.1 document
+ * @param {Object} feed - Feed as for renderAtom
+ * @return {Object} JSON Feed object
+ */
+function renderJsonFeed(feed) {
+  return {
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    description: feed.description,
+    ...(feed.homeUrl ? {home_page_url: feed.homeUrl} : {}),
+    feed_url: feed.feedUrl,
+    language: "en",
+    authors: [{name: feed.author}],
+    items: feed.items.map((item) => ({
+      id: item.id,
+      title: item.title,
+      content_text: item.content,
+      ...(feed.homeUrl ? {url: feed.homeUrl} : {}),
+      date_published: item.date.toISOString(),
+      tags: item.categories,
+      _infinitum: item.extension,
+    })),
+  };
+}
+
+/**
+ * Renders a feed in one of FEED_FORMATS
+ * @param {string} format - atom, rss or json
+ * @param {Object} feed - Feed as for renderAtom
+ * @return {string|Object} XML document or JSON Feed object
+ */
+function renderFeed(format, feed) {
+  if (format === "atom") return renderAtom(feed);
+  if (format === "rss") return renderRss(feed);
+  return renderJsonFeed(feed);
+}
+
+module.exports = {
+  FEED_FORMATS,
+  FEED_ID_PREFIX,
+  buildFeedItems,
+  renderFeed,
+};
+
+// Suggestions For Features and Additions Later:
+// - Link items to incident pages once the status page has them
+// - Support WebSub so readers are pushed new items
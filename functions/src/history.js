@@ -0,0 +1,233 @@
+// Filename: history.js
+// Purpose: Change-only writes and retention of service_status_history
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: firebase-admin, status_cache.js
+// Platform Compatibility: Firebase Cloud Functions
+
+const admin = require("firebase-admin");
+const {STATUS_HISTORY_COLLECTION} = require("./status_cache");
+
+// MARK: - Constants
+const HISTORY_WRITE_MODES = ["changes", "all"];
+const DEFAULT_HEARTBEAT_MINUTES = 60;
+const DEFAULT_RESPONSE_TIME_THRESHOLD_MS = 1000;
+const DEFAULT_RETENTION_DAYS = 90;
+
+// Rollups are built from raw entries up to a day late, so keep at least 2
+const MIN_RETENTION_DAYS = 2;
+const DELETE_PAGE_SIZE = 500;
+const MAX_DELETES_PER_RUN = 20000;
+
+// MARK: - Settings
+/**
+ * Reads a positive number from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @return {number} Setting value
+ */
+function readPositiveNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Returns the history write mode. "changes" (default) writes an entry
+ * only when something changed or the heartbeat is due; "all" writes every
+ * check. Clients read statistics from the rollups, which weight each
+ * entry by how long its status held.
+ * @return {string} HISTORY_WRITE_MODE
+ */
+function getHistoryWriteMode() {
+  const mode = process.env.HISTORY_WRITE_MODE;
+  return HISTORY_WRITE_MODES.includes(mode) ? mode : "changes";
+}
+
+/**
+ * Returns how many days of raw history entries are kept
+ * @return {number} Retention in days
+ */
+function getRetentionDays() {
+  return Math.max(
+      readPositiveNumber("HISTORY_RETENTION_DAYS", DEFAULT_RETENTION_DAYS),
+      MIN_RETENTION_DAYS,
+  );
+}
+
+// MARK: - Change Detection
+/**
+ * Reduces an error message to a stable code by dropping the measured
+ * response time, so "Slow response (1204ms)" and "Slow response (1388ms)"
+ * count as the same error while "HTTP 502" and "HTTP 503" do not
+ * @param {string|null|undefined} message - Error message
+ * @return {string|null} Error code, or null without an error
+ */
+function historyErrorCode(message) {
+  if (!message) return null;
+  return message.replace(/ \(\d+ms\)/g, "");
+}
+
+/**
+ * Checks whether a response time moved across the service's latency
+ * threshold (thresholds.degradedResponseTimeMs, otherwise
+ * HISTORY_RESPONSE_TIME_THRESHOLD_MS)
+ * @param {number|null} previousMs - Previous response time
+ * @param {number|null} currentMs - Current response time
+ * @param {Object|undefined} service - Service definition
+ * @return {boolean} True if the threshold was crossed
+ */
+function crossedResponseTimeThreshold(previousMs, currentMs, service) {
+  if (previousMs == null || currentMs == null) return false;
+  const threshold = service?.thresholds?.degradedResponseTimeMs ||
+    readPositiveNumber(
+        "HISTORY_RESPONSE_TIME_THRESHOLD_MS",
+        DEFAULT_RESPONSE_TIME_THRESHOLD_MS,
+    );
+  return (previousMs > threshold) !== (currentMs > threshold);
+}
+
+/**
+ * Decides whether a check result gets a raw history entry. In change-only
+ * mode an entry is written when the status or error code changes, the
+ * response time crosses the latency threshold, or no entry was written for
+ * HISTORY_HEARTBEAT_MINUTES, so charts and rollups keep regular samples.
+ * @param {Object} result - Check result
+ * @param {Object|null} previousStatus - Previous status from the cache
+ * @param {Object|undefined} service - Service definition
+ * @param {number} nowMs - Current time in milliseconds
+ * @return {boolean} True if an entry should be written
+ */
+function shouldWriteHistoryEntry(result, previousStatus, service, nowMs) {
+  if (getHistoryWriteMode() === "all" || !previousStatus) return true;
+
+  const lastWrittenMs = previousStatus.historyWrittenAt?.toMillis?.() ?? null;
+  const heartbeatMs = readPositiveNumber(
+      "HISTORY_HEARTBEAT_MINUTES",
+      DEFAULT_HEARTBEAT_MINUTES,
+  ) * 60 * 1000;
+
+  return previousStatus.status !== result.status ||
+    historyErrorCode(previousStatus.errorMessage) !==
+      historyErrorCode(result.errorMessage) ||
+    crossedResponseTimeThreshold(
+        previousStatus.responseTimeMs ?? null,
+        result.responseTimeMs ?? null,
+        service,
+    ) ||
+    lastWrittenMs === null ||
+    nowMs - lastWrittenMs >= heartbeatMs;
+}
+
+// MARK: - Writing
+/**
+ * Queues history entries for the results that need one and records on
+ * each result when its last entry was written (historyWrittenAt), which
+ * the next run reads back from the status cache
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.WriteBatch} batch - Batch to queue writes on
+ * @param {Array} results - Check results
+ * @param {Map} previousStatuses - Previous statuses by service id
+ * @param {Array} services - Service definitions
+ * @param {admin.firestore.Timestamp} now - Time of this run
+ * @return {number} Number of entries queued
+ */
+function queueHistoryEntries(
+    db,
+    batch,
+    results,
+    previousStatuses,
+    services,
+    now,
+) {
+  const servicesById = new Map(services.map((s) => [s.id, s]));
+  let written = 0;
+
+  for (const result of results) {
+    const previous = previousStatuses.get(result.id) || null;
+    if (!shouldWriteHistoryEntry(
+        result,
+        previous,
+        servicesById.get(result.id),
+        now.toMillis(),
+    )) {
+      result.historyWrittenAt = previous.historyWrittenAt;
+      continue;
+    }
+
+    const previousStatus = previous?.status || null;
+    batch.set(
+        db.collection(STATUS_HISTORY_COLLECTION)
+            .doc(result.id)
+            .collection("entries")
+            .doc(now.toMillis().toString()),
+        {
+          timestamp: now,
+          status: result.status,
+          responseTimeMs: result.responseTimeMs || 0,
+          errorMessage: result.errorMessage || null,
+          hasDataFeedIssue: result.hasDataFeedIssue || false,
+          // Marks transitions so feeds can query them directly
+          previousStatus: previousStatus,
+          statusChanged: previousStatus !== null &&
+            previousStatus !== result.status,
+        },
+    );
+    result.historyWrittenAt = now;
+    written++;
+  }
+
+  return written;
+}
+
+// MARK: - Retention
+/**
+ * Deletes raw history entries older than HISTORY_RETENTION_DAYS (default
+ * 90) in pages, for every service with history including ones no longer
+ * in the catalog. Rollups are kept. Stops after MAX_DELETES_PER_RUN so a
+ * large backlog is worked off over several runs.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {number} nowMs - Current time in milliseconds
+ * @return {Promise<Object>} deleted count, cutoff and whether more remain
+ */
+async function pruneStatusHistory(db, nowMs = Date.now()) {
+  const cutoff = admin.firestore.Timestamp.fromMillis(
+      nowMs - getRetentionDays() * 24 * 60 * 60 * 1000,
+  );
+  const serviceRefs = await db.collection(STATUS_HISTORY_COLLECTION)
+      .listDocuments();
+
+  let deleted = 0;
+  for (const serviceRef of serviceRefs) {
+    let pageSize = DELETE_PAGE_SIZE;
+    while (pageSize === DELETE_PAGE_SIZE) {
+      if (deleted >= MAX_DELETES_PER_RUN) {
+        return {deleted, cutoff: cutoff.toDate(), complete: false};
+      }
+
+      const snapshot = await serviceRef.collection("entries")
+          .where("timestamp", "<", cutoff)
+          .orderBy("timestamp")
+          .limit(DELETE_PAGE_SIZE)
+          .get();
+      pageSize = snapshot.size;
+      if (pageSize === 0) break;
+
+      const batch = db.batch();
+      snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+      await batch.commit();
+      deleted += pageSize;
+    }
+  }
+
+  return {deleted, cutoff: cutoff.toDate(), complete: true};
+}
+
+module.exports = {
+  getHistoryWriteMode,
+  shouldWriteHistoryEntry,
+  queueHistoryEntries,
+  pruneStatusHistory,
+};
+
+// Suggestions For Features and Additions Later:
+// - Let the catalog override the heartbeat per service
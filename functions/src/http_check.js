@@ -0,0 +1,216 @@
+// Filename: http_check.js
+// Purpose: Per-service HTTP check configuration and status classification
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: url_guard.js
+// Platform Compatibility: Firebase Cloud Functions
+
+const {GUARDED_REQUEST_OPTIONS} = require("./url_guard");
+
+// MARK: - Constants
+const HTTP_METHODS = ["GET", "HEAD", "POST"];
+const MAX_TIMEOUT_MS = 30000;
+const MAX_REDIRECTS = 10;
+const STATUS_CLASS_PATTERN = /^[1-5]xx$/i;
+
+// Defaults match the behaviour of checks before per-service configuration
+const DEFAULT_CHECK = {
+  method: "GET",
+  headers: {},
+  body: null,
+  expectedStatusCodes: null,
+  timeoutMs: 10000,
+  maxRedirects: 5,
+};
+
+// MARK: - Validation
+/**
+ * Validates and normalizes the `check` settings of a service definition.
+ * Throws an Error describing the first invalid field.
+ * @param {*} check - Check settings from the catalog
+ * @return {Object} Normalized check settings
+ */
+function validateCheckConfig(check) {
+  if (check == null) return {...DEFAULT_CHECK};
+  if (typeof check !== "object" || Array.isArray(check)) {
+    throw new Error("check must be an object");
+  }
+
+  const normalized = {...DEFAULT_CHECK};
+
+  if (check.method != null) {
+    const method = String(check.method).toUpperCase();
+    if (!HTTP_METHODS.includes(method)) {
+      throw new Error(`check.method must be one of ${HTTP_METHODS.join(", ")}`);
+    }
+    normalized.method = method;
+  }
+
+  if (check.headers != null) {
+    if (typeof check.headers !== "object" || Array.isArray(check.headers) ||
+        !Object.values(check.headers).every((v) => typeof v === "string")) {
+      throw new Error("check.headers must be an object of strings");
+    }
+    normalized.headers = check.headers;
+  }
+
+  if (check.body != null) {
+    if (normalized.method !== "POST") {
+      throw new Error("check.body is only allowed for POST checks");
+    }
+    if (JSON.stringify(check.body).length > 10000) {
+      throw new Error("check.body must be under 10KB");
+    }
+    normalized.body = check.body;
+  }
+
+  if (check.expectedStatusCodes != null) {
+    const codes = check.expectedStatusCodes;
+    const isValidCode = (code) =>
+      (Number.isInteger(code) && code >= 100 && code <= 599) ||
+      (typeof code === "string" && STATUS_CLASS_PATTERN.test(code));
+    if (!Array.isArray(codes) || codes.length === 0 ||
+        !codes.every(isValidCode)) {
+      throw new Error(
+          "check.expectedStatusCodes must list status codes or classes (2xx)",
+      );
+    }
+    normalized.expectedStatusCodes = codes;
+  }
+
+  if (check.timeoutMs != null) {
+    if (!Number.isInteger(check.timeoutMs) || check.timeoutMs < 1000 ||
+        check.timeoutMs > MAX_TIMEOUT_MS) {
+      throw new Error(`check.timeoutMs must be 1000-${MAX_TIMEOUT_MS}`);
+    }
+    normalized.timeoutMs = check.timeoutMs;
+  }
+
+  if (check.maxRedirects != null) {
+    if (!Number.isInteger(check.maxRedirects) || check.maxRedirects < 0 ||
+        check.maxRedirects > MAX_REDIRECTS) {
+      throw new Error(`check.maxRedirects must be 0-${MAX_REDIRECTS}`);
+    }
+    normalized.maxRedirects = check.maxRedirects;
+  }
+
+  return normalized;
+}
+
+// MARK: - Request Building
+/**
+ * Checks whether a status code is listed in the expected status codes
+ * @param {number} statusCode - HTTP status code
+ * @param {Array} expectedStatusCodes - Codes (200) or classes ("2xx")
+ * @return {boolean} True if the status code is expected
+ */
+function isExpectedStatus(statusCode, expectedStatusCodes) {
+  return expectedStatusCodes.some((code) => typeof code === "number" ?
+    code === statusCode :
+    String(statusCode)[0] === code[0]);
+}
+
+/**
+ * Builds the axios request config for a service check
+ * @param {string} url - URL to check
+ * @param {Object} check - Check settings (see validateCheckConfig)
+ * @return {Object} axios request config
+ */
+function buildRequestConfig(url, check = DEFAULT_CHECK) {
+  const resolved = {...DEFAULT_CHECK, ...check};
+  const expected = resolved.expectedStatusCodes;
+
+  return {
+    url: url,
+    method: resolved.method,
+    data: resolved.method === "POST" ? resolved.body : undefined,
+    timeout: resolved.timeoutMs,
+    maxRedirects: resolved.maxRedirects,
+    // Accept status codes < 500, plus any 5xx the service expects
+    validateStatus: (status) =>
+      status < 500 || (expected !== null && isExpectedStatus(status, expected)),
+    headers: {
+      "User-Agent": "InfinitumDownDetector/1.0",
+      ...resolved.headers,
+    },
+    // Refuse private addresses on every connection, including redirects
+    ...GUARDED_REQUEST_OPTIONS,
+  };
+}
+
+// MARK: - Response Helpers
+/**
+ * Converts response data to a string for content checks
+ * @param {*} data - Response data as parsed by axios
+ * @return {string} Response body
+ */
+function stringifyBody(data) {
+  try {
+    return typeof data === "string" ? data : JSON.stringify(data) || "";
+  } catch (e) {
+    // If we can't serialize the body, continue with status code check
+    console.warn("Could not parse response body:", e.message);
+    return "";
+  }
+}
+
+// MARK: - Status Classification
+/**
+ * Classifies an HTTP status code for a service. Without expected status
+ * codes, 2xx/3xx are operational, 4xx degraded and 5xx down. With them,
+ * listed codes are operational and anything else is degraded (or down for
+ * 5xx).
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} check - Check settings
+ * @return {Object} Object with status and errorMessage
+ */
+function classifyStatusCode(statusCode, check = DEFAULT_CHECK) {
+  const expected = check.expectedStatusCodes ?? null;
+
+  if (expected !== null) {
+    if (isExpectedStatus(statusCode, expected)) {
+      return {status: "operational", errorMessage: null};
+    }
+    return {
+      status: statusCode >= 500 ? "down" : "degraded",
+      errorMessage: `Unexpected HTTP ${statusCode}`,
+    };
+  }
+
+  if (statusCode >= 200 && statusCode < 400) {
+    return {status: "operational", errorMessage: null};
+  } else if (statusCode >= 400 && statusCode < 500) {
+    return {status: "degraded", errorMessage: `HTTP ${statusCode}`};
+  }
+  return {status: "down", errorMessage: `HTTP ${statusCode}`};
+}
+
+/**
+ * Downgrades an operational result to degraded when it was too slow
+ * @param {string} status - Status after classification
+ * @param {number} responseTimeMs - Measured response time
+ * @param {Object} thresholds - Service thresholds
+ * @return {Object|null} Degraded status and message, or null if within limits
+ */
+function checkLatencyThreshold(status, responseTimeMs, thresholds) {
+  const limit = thresholds?.degradedResponseTimeMs || null;
+  if (status !== "operational" || !limit || responseTimeMs <= limit) {
+    return null;
+  }
+  return {
+    status: "degraded",
+    errorMessage: `Slow response (${responseTimeMs}ms)`,
+  };
+}
+
+module.exports = {
+  DEFAULT_CHECK,
+  validateCheckConfig,
+  buildRequestConfig,
+  classifyStatusCode,
+  checkLatencyThreshold,
+  stringifyBody,
+};
+
+// Suggestions For Features and Additions Later:
+// - Support PUT/PATCH checks for write-path APIs
@@ -0,0 +1,612 @@
+// Filename: incidents.js
+// Purpose: Automatic incident lifecycle driven by scheduled health checks
+//   and manual incident management for admins
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: firebase-functions, firebase-admin, catalog.js,
+//   status_cache.js
+// Platform Compatibility: Firebase Cloud Functions
+
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+const {getServiceDefinitions} = require("./catalog");
+const {STATUS_CACHE_COLLECTION} = require("./status_cache");
+
+// MARK: - Constants
+const INCIDENTS_COLLECTION = "incidents";
+const ISSUE_STATUSES = ["degraded", "down"];
+
+// Types and statuses understood by incident.dart
+const INCIDENT_TYPES = ["outage", "degraded", "maintenance", "security"];
+const INCIDENT_STATUSES = [
+  "investigating",
+  "identified",
+  "monitoring",
+  "resolved",
+  "postmortem",
+];
+const CLOSED_INCIDENT_STATUSES = ["resolved", "postmortem"];
+const MAX_TITLE_CHARS = 200;
+const MAX_MESSAGE_CHARS = 5000;
+
+// MARK: - Helper Functions
+/**
+ * Maps a service health status to an incident type (matches incident.dart)
+ * @param {string} status - Service health status
+ * @return {string} Incident type
+ */
+function incidentTypeForStatus(status) {
+  return status === "down" ? "outage" : "degraded";
+}
+
+/**
+ * Builds a human readable incident title for a service
+ * @param {Object} result - Service check result
+ * @return {string} Incident title
+ */
+function buildIncidentTitle(result) {
+  return result.status === "down" ?
+    `${result.name} outage` :
+    `${result.name} degraded performance`;
+}
+
+/**
+ * Collects the ids of components currently reporting issues
+ * @param {Object} result - Service check result
+ * @return {Array<string>} Affected component ids
+ */
+function getAffectedComponents(result) {
+  return (result.components || [])
+      .filter((c) => ISSUE_STATUSES.includes(c.status))
+      .map((c) => c.id);
+}
+
+/**
+ * Builds an entry for the incident updates array
+ * Server timestamps are not allowed inside arrays, so Timestamp.now() is used
+ * @param {string} message - Public update message
+ * @param {string} status - Incident status at the time of the update
+ * @return {Object} Incident update entry
+ */
+function buildIncidentUpdate(message, status) {
+  return {
+    timestamp: admin.firestore.Timestamp.now(),
+    message: message,
+    status: status,
+  };
+}
+
+// MARK: - Incident Lifecycle
+/**
+ * Moves automated incidents that were closed by hand (resolved or given a
+ * postmortem) from `activeIncidentId` to `closedIncidentId`, so the run
+ * no longer writes to them even if it loaded its previous statuses before
+ * the incident was closed. Read failures are logged and change nothing.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Map} previousStatuses - Previous statuses by service id, updated
+ *   in place
+ * @return {Promise<void>}
+ */
+async function markClosedIncidents(db, previousStatuses) {
+  const open = [...previousStatuses].filter(([, previous]) =>
+    previous.activeIncidentId);
+  if (open.length === 0) return;
+
+  let docs;
+  try {
+    docs = await db.getAll(...open.map(([, previous]) =>
+      db.collection(INCIDENTS_COLLECTION).doc(previous.activeIncidentId)));
+  } catch (e) {
+    console.warn("Could not load open incidents:", e.message);
+    return;
+  }
+
+  open.forEach(([serviceId, previous], index) => {
+    const incident = docs[index].exists ? docs[index].data() : null;
+    if (!CLOSED_INCIDENT_STATUSES.includes(incident?.status)) return;
+    previousStatuses.set(serviceId, {
+      ...previous,
+      activeIncidentId: null,
+      closedIncidentId: previous.activeIncidentId,
+    });
+  });
+}
+
+/**
+ * Carries the id of an incident closed by hand until the service is
+ * operational again
+ * @param {Object} result - Current service check result
+ * @param {Object|null} previousStatus - Previous status from the cache
+ * @return {string|null} Closed incident id, or null once recovered
+ */
+function carryClosedIncident(result, previousStatus) {
+  const closedIncidentId = previousStatus?.closedIncidentId || null;
+  return result.status === "operational" ? null : closedIncidentId;
+}
+
+/**
+ * Opens, updates or resolves the incident for a service based on the
+ * transition between its previous and current status. Writes are queued
+ * on the provided batch so they commit together with the status cache.
+ * An incident closed by hand (`closedIncidentId`) is never written to,
+ * and no new one is opened until the service has recovered.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.WriteBatch} batch - Batch to queue writes on
+ * @param {Object} result - Current service check result
+ * @param {Object|null} previousStatus - Previous status from the cache
+ * @return {string|null} Id of the incident still open after this check
+ */
+function syncIncidentForService(db, batch, result, previousStatus) {
+  const activeIncidentId = previousStatus?.activeIncidentId || null;
+  const previousState = previousStatus?.status || "unknown";
+  const isIssue = ISSUE_STATUSES.includes(result.status);
+
+  // Service is healthy and nothing is open - nothing to do
+  if (!activeIncidentId && !isIssue) {
+    return null;
+  }
+
+  // The issue's incident was closed by hand; leave it as the admin left it
+  if (!activeIncidentId && carryClosedIncident(result, previousStatus)) {
+    return null;
+  }
+
+  const now = admin.firestore.Timestamp.now();
+
+  // Open a new incident when a service first reports an issue
+  if (!activeIncidentId) {
+    const incidentRef = db.collection(INCIDENTS_COLLECTION).doc();
+    const message = result.errorMessage ?
+      `${result.name} is ${result.status}: ${result.errorMessage}` :
+      `${result.name} is ${result.status}`;
+
+    batch.set(incidentRef, {
+      serviceId: result.id,
+      serviceName: result.name,
+      type: incidentTypeForStatus(result.status),
+      status: "investigating",
+      title: buildIncidentTitle(result),
+      description: result.errorMessage || "",
+      startTime: now,
+      endTime: null,
+      createdAt: now,
+      updatedAt: now,
+      updates: [buildIncidentUpdate(message, "investigating")],
+      affectedComponents: getAffectedComponents(result),
+      automated: true,
+    });
+
+    console.log(`Opened incident ${incidentRef.id} for ${result.id}`);
+    return incidentRef.id;
+  }
+
+  const incidentRef = db.collection(INCIDENTS_COLLECTION)
+      .doc(activeIncidentId);
+
+  // Resolve the open incident once the service recovers
+  if (result.status === "operational") {
+    batch.set(incidentRef, {
+      status: "resolved",
+      endTime: now,
+      updatedAt: now,
+      updates: admin.firestore.FieldValue.arrayUnion(buildIncidentUpdate(
+          `${result.name} has recovered and is operational`,
+          "resolved",
+      )),
+    }, {merge: true});
+
+    console.log(`Resolved incident ${activeIncidentId} for ${result.id}`);
+    return null;
+  }
+
+  // Record status changes (degraded <-> down) on the open incident
+  // Unknown results are inconclusive, so the incident is left untouched
+  if (isIssue && result.status !== previousState) {
+    const message = result.errorMessage ?
+      `Status changed to ${result.status}: ${result.errorMessage}` :
+      `Status changed to ${result.status}`;
+    const update = {
+      updatedAt: now,
+      updates: admin.firestore.FieldValue.arrayUnion(
+          buildIncidentUpdate(message, "investigating"),
+      ),
+    };
+
+    // Escalate the incident type when a degradation becomes an outage
+    if (result.status === "down") {
+      update.type = "outage";
+      update.title = buildIncidentTitle(result);
+    }
+
+    const affectedComponents = getAffectedComponents(result);
+    if (affectedComponents.length > 0) {
+      update.affectedComponents = admin.firestore.FieldValue.arrayUnion(
+          ...affectedComponents,
+      );
+    }
+
+    batch.set(incidentRef, update, {merge: true});
+  }
+
+  return activeIncidentId;
+}
+
+/**
+ * Records a service impacted by another service's outage on the root-cause
+ * incident instead of opening an incident of its own
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.WriteBatch} batch - Batch to queue writes on
+ * @param {Object} result - Check result annotated with `rootCause`
+ * @param {Object|null} previousStatus - Previous status from the cache
+ * @param {string} incidentId - Id of the root-cause incident
+ * @return {string} Id of the incident the service is linked to
+ */
+function linkImpactedService(db, batch, result, previousStatus, incidentId) {
+  // Already linked by an earlier run
+  if (previousStatus?.linkedIncidentId === incidentId) return incidentId;
+
+  batch.set(db.collection(INCIDENTS_COLLECTION).doc(incidentId), {
+    updatedAt: admin.firestore.Timestamp.now(),
+    impactedServices: admin.firestore.FieldValue.arrayUnion(result.id),
+    updates: admin.firestore.FieldValue.arrayUnion(buildIncidentUpdate(
+        `${result.name} is ${result.status}, ` +
+          `impacted by ${result.rootCause.id}`,
+        "investigating",
+    )),
+  }, {merge: true});
+
+  console.log(`Linked ${result.id} to incident ${incidentId}`);
+  return incidentId;
+}
+
+/**
+ * Syncs incidents for every result of a run. Services impacted by a failing
+ * dependency (see dependencies.js) join the root-cause service's incident
+ * unless they already had one open, so one outage yields one incident.
+ * Sets `activeIncidentId`, `linkedIncidentId` and `closedIncidentId` on
+ * each result. Run markClosedIncidents on the previous statuses first.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.WriteBatch} batch - Batch to queue writes on
+ * @param {Array} results - Check results of this run
+ * @param {Map} previousStatuses - Previous statuses by service id
+ */
+function syncIncidents(db, batch, results, previousStatuses) {
+  const incidentIds = new Map();
+  const isLinkable = (result) => result.rootCause &&
+    !previousStatuses.get(result.id)?.activeIncidentId;
+
+  // Root causes first so their incident ids are known
+  for (const result of results.filter((r) => !isLinkable(r))) {
+    const previousStatus = previousStatuses.get(result.id) || null;
+    result.activeIncidentId = syncIncidentForService(
+        db,
+        batch,
+        result,
+        previousStatus,
+    );
+    result.linkedIncidentId = null;
+    result.closedIncidentId = carryClosedIncident(result, previousStatus);
+    incidentIds.set(result.id, result.activeIncidentId);
+  }
+
+  for (const result of results.filter(isLinkable)) {
+    const previousStatus = previousStatuses.get(result.id) || null;
+    const incidentId = incidentIds.get(result.rootCause.serviceId);
+    result.closedIncidentId = carryClosedIncident(result, previousStatus);
+    const rootClosed = results.find((r) =>
+      r.id === result.rootCause.serviceId)?.closedIncidentId;
+    if (!incidentId && rootClosed) {
+      // The root cause's incident was closed by hand; do not open a
+      // separate one for the outage it covered
+      result.activeIncidentId = null;
+      result.linkedIncidentId = null;
+    } else if (incidentId) {
+      result.activeIncidentId = null;
+      result.linkedIncidentId = linkImpactedService(
+          db,
+          batch,
+          result,
+          previousStatus,
+          incidentId,
+      );
+    } else {
+      // The root cause has no incident (e.g. it is not being synced)
+      result.activeIncidentId = syncIncidentForService(
+          db,
+          batch,
+          result,
+          previousStatus,
+      );
+      result.linkedIncidentId = null;
+    }
+  }
+}
+
+/**
+ * Opens or resolves the incident for a spike in user reports. Writes are
+ * queued on a batch or transaction.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.WriteBatch} writer - Batch or transaction
+ * @param {Object} service - Object with id and name
+ * @param {string|null} activeIncidentId - Open user report incident id
+ * @param {Object} report - flagged, count and windowMinutes
+ * @return {string|null} Id of the incident still open
+ */
+function syncUserReportIncident(db, writer, service, activeIncidentId, report) {
+  const now = admin.firestore.Timestamp.now();
+
+  if (report.flagged && !activeIncidentId) {
+    const incidentRef = db.collection(INCIDENTS_COLLECTION).doc();
+    const message = `${report.count} users reported problems with ` +
+      `${service.name} in the last ${report.windowMinutes} minutes`;
+
+    writer.set(incidentRef, {
+      serviceId: service.id,
+      serviceName: service.name,
+      type: "degraded",
+      status: "investigating",
+      title: `${service.name} problems reported by users`,
+      description: message,
+      startTime: now,
+      endTime: null,
+      createdAt: now,
+      updatedAt: now,
+      updates: [buildIncidentUpdate(message, "investigating")],
+      affectedComponents: [],
+      automated: true,
+      source: "userReports",
+    });
+
+    console.log(`Opened user report incident ${incidentRef.id} ` +
+      `for ${service.id}`);
+    return incidentRef.id;
+  }
+
+  if (!report.flagged && activeIncidentId) {
+    writer.set(db.collection(INCIDENTS_COLLECTION).doc(activeIncidentId), {
+      status: "resolved",
+      endTime: now,
+      updatedAt: now,
+      updates: admin.firestore.FieldValue.arrayUnion(buildIncidentUpdate(
+          `User reports for ${service.name} are back to normal`,
+          "resolved",
+      )),
+    }, {merge: true});
+
+    console.log(`Resolved user report incident ${activeIncidentId}`);
+    return null;
+  }
+
+  return activeIncidentId;
+}
+
+// MARK: - Manual Incident Management
+/**
+ * Builds an invalid-argument error for callers
+ * @param {string} message - Error message
+ * @return {functions.https.HttpsError} Error to throw
+ */
+function invalid(message) {
+  return new functions.https.HttpsError("invalid-argument", message);
+}
+
+/**
+ * Validates a trimmed text field
+ * @param {*} value - Field value
+ * @param {string} name - Field name for error messages
+ * @param {number} maxLength - Maximum length
+ * @param {boolean} required - Whether an empty value is rejected
+ * @return {string} Trimmed text
+ */
+function validateText(value, name, maxLength, required) {
+  if (value != null && typeof value !== "string") {
+    throw invalid(`${name} must be a string`);
+  }
+  const text = (value || "").trim();
+  if (required && !text) throw invalid(`${name} is required`);
+  if (text.length > maxLength) {
+    throw invalid(`${name} must be at most ${maxLength} characters`);
+  }
+  return text;
+}
+
+/**
+ * Validates the editable fields of an incident. Only fields present in the
+ * input are returned, so partial edits leave the others untouched.
+ * @param {Object} input - Incident fields from the admin
+ * @param {Object} service - Catalog definition of the incident's service
+ * @return {Object} Normalized fields
+ */
+function validateIncidentFields(input, service) {
+  const fields = {};
+  if (input.title !== undefined) {
+    fields.title = validateText(input.title, "title", MAX_TITLE_CHARS, true);
+  }
+  if (input.description !== undefined) {
+    fields.description = validateText(
+        input.description,
+        "description",
+        MAX_MESSAGE_CHARS,
+        false,
+    );
+  }
+  if (input.type !== undefined) {
+    if (!INCIDENT_TYPES.includes(input.type)) {
+      throw invalid(`type must be one of ${INCIDENT_TYPES.join(", ")}`);
+    }
+    fields.type = input.type;
+  }
+  if (input.affectedComponents !== undefined) {
+    const componentIds = new Set((service?.components || []).map((c) => c.id));
+    if (!Array.isArray(input.affectedComponents) ||
+        !input.affectedComponents.every((id) => componentIds.has(id))) {
+      throw invalid("affectedComponents must be component ids of the service");
+    }
+    fields.affectedComponents = [...new Set(input.affectedComponents)];
+  }
+  return fields;
+}
+
+/**
+ * Creates, edits, posts public updates to or resolves an incident for
+ * admins. Status changes always go through a public update message.
+ * Automated incidents can be managed too; closing one by hand moves it
+ * to `closedIncidentId` on the service's status cache document, so the
+ * scheduled check leaves it alone and opens a new one only after the
+ * service recovers and fails again.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} action - create, update, addUpdate or resolve
+ * @param {Object} input - Incident fields, with `id` except for create,
+ *   plus `message` and `status` for public updates
+ * @param {string} uid - Uid of the admin making the change
+ * @return {Promise<Object>} Saved incident with its id
+ */
+async function manageIncidents(db, action, input, uid) {
+  if (input == null || typeof input !== "object" || Array.isArray(input)) {
+    throw invalid("incident is required");
+  }
+  const now = admin.firestore.Timestamp.now();
+
+  if (action === "create") {
+    if (typeof input.serviceId !== "string" || !input.serviceId) {
+      throw invalid("incident.serviceId is required");
+    }
+    const service = (await getServiceDefinitions(db, [input.serviceId]))
+        .get(input.serviceId);
+    if (!service) {
+      throw new functions.https.HttpsError(
+          "not-found",
+          `Service ${input.serviceId} does not exist`,
+      );
+    }
+
+    const fields = validateIncidentFields(input, service);
+    if (!fields.title) throw invalid("incident.title is required");
+    if (!fields.type) throw invalid("incident.type is required");
+    const status = input.status ?? "investigating";
+    if (!INCIDENT_STATUSES.includes(status) ||
+        CLOSED_INCIDENT_STATUSES.includes(status)) {
+      throw invalid("status must be investigating, identified or monitoring");
+    }
+    const message = validateText(
+        input.message ?? fields.description ?? fields.title,
+        "message",
+        MAX_MESSAGE_CHARS,
+        true,
+    );
+
+    const incidentRef = db.collection(INCIDENTS_COLLECTION).doc();
+    const incident = {
+      serviceId: service.id,
+      serviceName: service.name,
+      type: fields.type,
+      status: status,
+      title: fields.title,
+      description: fields.description ?? "",
+      startTime: now,
+      endTime: null,
+      createdAt: now,
+      updatedAt: now,
+      updates: [buildIncidentUpdate(message, status)],
+      affectedComponents: fields.affectedComponents ?? [],
+      automated: false,
+      createdBy: uid,
+      updatedBy: uid,
+    };
+    await incidentRef.set(incident);
+    return {id: incidentRef.id, ...incident};
+  }
+
+  if (!["update", "addUpdate", "resolve"].includes(action)) {
+    throw invalid("action must be create, update, addUpdate or resolve");
+  }
+  if (typeof input.id !== "string" || !input.id) {
+    throw invalid("incident.id is required");
+  }
+
+  const incidentRef = db.collection(INCIDENTS_COLLECTION).doc(input.id);
+  return db.runTransaction(async (transaction) => {
+    const existing = await transaction.get(incidentRef);
+    if (!existing.exists) {
+      throw new functions.https.HttpsError(
+          "not-found",
+          `Incident ${input.id} does not exist`,
+      );
+    }
+    const current = existing.data();
+    const cacheRef = typeof current.serviceId === "string" ?
+      db.collection(STATUS_CACHE_COLLECTION).doc(current.serviceId) :
+      null;
+    const cached = cacheRef ? await transaction.get(cacheRef) : null;
+    const changes = {updatedAt: now, updatedBy: uid};
+
+    if (action === "update") {
+      // Incidents of since-disabled services can still be edited
+      const service = (await getServiceDefinitions(db, [current.serviceId], {
+        includeDisabled: true,
+      })).get(current.serviceId);
+      Object.assign(changes, validateIncidentFields(input, service));
+    } else {
+      const status = action === "resolve" ?
+        "resolved" :
+        input.status ?? current.status;
+      if (!INCIDENT_STATUSES.includes(status)) {
+        throw invalid(`status must be one of ${INCIDENT_STATUSES.join(", ")}`);
+      }
+      const message = validateText(
+          input.message ?? (action === "resolve" ?
+            "This incident has been resolved" :
+            null),
+          "message",
+          MAX_MESSAGE_CHARS,
+          true,
+      );
+
+      changes.status = status;
+      changes.updates = [
+        ...(current.updates || []),
+        buildIncidentUpdate(message, status),
+      ];
+      // Closing sets the end time once; reopening clears it
+      if (CLOSED_INCIDENT_STATUSES.includes(status)) {
+        changes.endTime = current.endTime || now;
+      } else {
+        changes.endTime = null;
+      }
+
+      // Stop the scheduled check from updating an incident closed by hand,
+      // and hand it back when the incident is reopened
+      const cachedData = cached?.exists ? cached.data() : {};
+      const closing = CLOSED_INCIDENT_STATUSES.includes(status);
+      if (closing && cachedData.activeIncidentId === input.id) {
+        transaction.set(cacheRef, {
+          activeIncidentId: null,
+          closedIncidentId: input.id,
+        }, {merge: true});
+      } else if (!closing && cachedData.closedIncidentId === input.id &&
+          !cachedData.activeIncidentId) {
+        transaction.set(cacheRef, {
+          activeIncidentId: input.id,
+          closedIncidentId: null,
+        }, {merge: true});
+      }
+    }
+
+    transaction.set(incidentRef, changes, {merge: true});
+    return {id: input.id, ...current, ...changes};
+  });
+}
+
+module.exports = {
+  INCIDENTS_COLLECTION,
+  INCIDENT_TYPES,
+  INCIDENT_STATUSES,
+  markClosedIncidents,
+  syncIncidentForService,
+  syncIncidents,
+  syncUserReportIncident,
+  manageIncidents,
+};
+
+// Suggestions For Features and Additions Later:
+// - Add incident severity levels
@@ -0,0 +1,378 @@
+// Filename: maintenance.js
+// Purpose: Scheduled maintenance windows for services and components
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: firebase-functions, firebase-admin, catalog.js
+// Platform Compatibility: Firebase Cloud Functions
+
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+const {getServiceDefinitions} = require("./catalog");
+
+// MARK: - Constants
+const MAINTENANCE_WINDOWS_COLLECTION = "maintenance_windows";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Recurring windows repeat every period from their first start time
+const RECURRENCE_PERIODS = {
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS,
+};
+
+const MAX_WINDOW_DURATION_MS = 7 * DAY_MS;
+const MAX_SERVICE_IDS = 50;
+const MAX_MESSAGE_LENGTH = 500;
+const DEFAULT_MESSAGE = "Scheduled maintenance in progress";
+
+// MARK: - Occurrences
+/**
+ * Returns the occurrence of a window that is in progress at, or is the
+ * next one after, a given time
+ * @param {Object} window - Window with startMs, endMs and recurrence
+ * @param {number} nowMs - Time in milliseconds
+ * @return {Object|null} startMs and endMs, or null if no occurrence is left
+ */
+function getOccurrence(window, nowMs) {
+  const durationMs = window.endMs - window.startMs;
+  const periodMs = RECURRENCE_PERIODS[window.recurrence?.frequency];
+
+  if (!periodMs || nowMs < window.startMs) {
+    return window.endMs > nowMs ?
+      {startMs: window.startMs, endMs: window.endMs} :
+      null;
+  }
+
+  let startMs = window.startMs +
+    Math.floor((nowMs - window.startMs) / periodMs) * periodMs;
+  if (startMs + durationMs <= nowMs) startMs += periodMs;
+
+  const untilMs = window.recurrence.untilMs ?? null;
+  if (untilMs !== null && startMs > untilMs) return null;
+  return {startMs, endMs: startMs + durationMs};
+}
+
+/**
+ * Checks whether a window is in progress
+ * @param {Object} window - Maintenance window
+ * @param {number} nowMs - Time in milliseconds
+ * @return {boolean} True if an occurrence covers nowMs
+ */
+function isWindowActive(window, nowMs) {
+  const occurrence = getOccurrence(window, nowMs);
+  return occurrence !== null && occurrence.startMs <= nowMs;
+}
+
+/**
+ * Finds the maintenance in progress for a service. A window without
+ * componentIds covers the whole service; otherwise only the listed
+ * components are in maintenance.
+ * @param {Array} windows - Scheduled maintenance windows
+ * @param {Object} service - Service definition
+ * @param {number} nowMs - Time in milliseconds
+ * @return {Object|null} windowIds, message, wholeService and componentIds
+ */
+function findActiveMaintenance(windows, service, nowMs = Date.now()) {
+  const active = (windows || []).filter((window) =>
+    window.serviceIds.includes(service.id) && isWindowActive(window, nowMs),
+  );
+  if (active.length === 0) return null;
+
+  const componentIds = new Set();
+  let wholeService = false;
+  for (const window of active) {
+    if (window.componentIds.length === 0) wholeService = true;
+    window.componentIds.forEach((id) => componentIds.add(id));
+  }
+
+  return {
+    windowIds: active.map((window) => window.id),
+    message: active[0].message,
+    wholeService: wholeService,
+    componentIds: componentIds,
+  };
+}
+
+/**
+ * Marks the components covered by maintenance
+ * @param {Array} componentStatuses - Component status objects
+ * @param {Object|null} maintenance - Active maintenance for the service
+ * @return {Array} Component status objects
+ */
+function applyComponentMaintenance(componentStatuses, maintenance) {
+  if (!maintenance) return componentStatuses;
+  return componentStatuses.map((component) =>
+    maintenance.wholeService || maintenance.componentIds.has(component.id) ?
+      {...component, status: "maintenance", errorMessage: maintenance.message} :
+      component,
+  );
+}
+
+// MARK: - Loading
+/**
+ * Converts a window document to the form used for matching
+ * @param {string} id - Document id
+ * @param {Object} data - Document data
+ * @return {Object} Window with millisecond times
+ */
+function fromFirestore(id, data) {
+  return {
+    id: id,
+    title: data.title || "",
+    serviceIds: data.serviceIds || [],
+    componentIds: data.componentIds || [],
+    startMs: data.startTime.toMillis(),
+    endMs: data.endTime.toMillis(),
+    recurrence: data.recurrence ?
+      {
+        frequency: data.recurrence.frequency,
+        untilMs: data.recurrence.until?.toMillis() ?? null,
+      } :
+      null,
+    message: data.message || DEFAULT_MESSAGE,
+  };
+}
+
+/**
+ * Loads the windows that are not cancelled and still have an occurrence.
+ * Read failures are logged and treated as "no maintenance" so checks keep
+ * reporting real statuses.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {number} nowMs - Time in milliseconds
+ * @return {Promise<Array>} Maintenance windows
+ */
+async function loadMaintenanceWindows(db, nowMs = Date.now()) {
+  try {
+    const snapshot = await db.collection(MAINTENANCE_WINDOWS_COLLECTION)
+        .where("status", "==", "scheduled")
+        .get();
+    return snapshot.docs
+        .map((doc) => fromFirestore(doc.id, doc.data()))
+        .filter((window) => getOccurrence(window, nowMs) !== null);
+  } catch (e) {
+    console.warn("Could not load maintenance windows:", e.message);
+    return [];
+  }
+}
+
+// MARK: - Validation
+/**
+ * Creates an invalid-argument error for the callable
+ * @param {string} message - Error message
+ * @return {functions.https.HttpsError} Error
+ */
+function invalid(message) {
+  return new functions.https.HttpsError("invalid-argument", message);
+}
+
+/**
+ * Parses a date from an ISO 8601 string or milliseconds
+ * @param {*} value - Date value
+ * @param {string} name - Field name for error messages
+ * @return {number} Time in milliseconds
+ */
+function parseTime(value, name) {
+  const ms = typeof value === "number" ? value : Date.parse(value);
+  if (!Number.isFinite(ms)) throw invalid(`${name} must be an ISO 8601 date`);
+  return ms;
+}
+
+/**
+ * Validates and normalizes a maintenance window from an admin
+ * @param {Object} input - Window from the callable
+ * @param {Map} definitions - Catalog definitions by service id
+ * @param {number} nowMs - Current time in milliseconds
+ * @return {Object} Window with millisecond times
+ */
+function validateMaintenanceWindow(input, definitions, nowMs = Date.now()) {
+  if (typeof input !== "object" || input === null) {
+    throw invalid("window must be an object");
+  }
+
+  const serviceIds = input.serviceIds;
+  if (!Array.isArray(serviceIds) || serviceIds.length === 0 ||
+      serviceIds.length > MAX_SERVICE_IDS) {
+    throw invalid(`serviceIds must list 1 to ${MAX_SERVICE_IDS} services`);
+  }
+  const unknown = serviceIds.filter((id) => !definitions.has(id));
+  if (unknown.length > 0) {
+    throw invalid(`Unknown service(s): ${unknown.join(", ")}`);
+  }
+
+  const componentIds = input.componentIds ?? [];
+  if (!Array.isArray(componentIds)) {
+    throw invalid("componentIds must be an array");
+  }
+  const knownComponents = new Set(serviceIds.flatMap((id) =>
+    (definitions.get(id).components || []).map((c) => c.id),
+  ));
+  const unknownComponents = componentIds.filter((id) =>
+    !knownComponents.has(id),
+  );
+  if (unknownComponents.length > 0) {
+    throw invalid(`Unknown component(s): ${unknownComponents.join(", ")}`);
+  }
+
+  const startMs = parseTime(input.startTime, "startTime");
+  const endMs = parseTime(input.endTime, "endTime");
+  if (endMs <= startMs) throw invalid("endTime must be after startTime");
+  if (endMs - startMs > MAX_WINDOW_DURATION_MS) {
+    throw invalid("A maintenance window can last at most 7 days");
+  }
+
+  let recurrence = null;
+  if (input.recurrence != null) {
+    const periodMs = RECURRENCE_PERIODS[input.recurrence.frequency];
+    if (!periodMs) {
+      throw invalid(
+          `recurrence.frequency must be one of ` +
+          `${Object.keys(RECURRENCE_PERIODS).join(", ")}`,
+      );
+    }
+    if (endMs - startMs >= periodMs) {
+      throw invalid("A recurring window must be shorter than its period");
+    }
+    recurrence = {
+      frequency: input.recurrence.frequency,
+      untilMs: input.recurrence.until == null ?
+        null :
+        parseTime(input.recurrence.until, "recurrence.until"),
+    };
+    if (recurrence.untilMs !== null && recurrence.untilMs < startMs) {
+      throw invalid("recurrence.until must be after startTime");
+    }
+  }
+
+  const message = input.message ?? DEFAULT_MESSAGE;
+  if (typeof message !== "string" || message.length > MAX_MESSAGE_LENGTH) {
+    throw invalid(`message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+  }
+  const title = input.title ?? "Scheduled maintenance";
+  if (typeof title !== "string" || title.length > 200) {
+    throw invalid("title must be at most 200 characters");
+  }
+
+  const window = {
+    title: title.trim(),
+    serviceIds: [...new Set(serviceIds)],
+    componentIds: [...new Set(componentIds)],
+    startMs: startMs,
+    endMs: endMs,
+    recurrence: recurrence,
+    message: message.trim() || DEFAULT_MESSAGE,
+  };
+  if (getOccurrence(window, nowMs) === null) {
+    throw invalid("The window has already ended");
+  }
+  return window;
+}
+
+// MARK: - Management
+/**
+ * Creates or cancels a maintenance window for the admin callable
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} action - create or cancel
+ * @param {Object} input - Window (create) or object with id (cancel)
+ * @param {string} uid - Uid of the admin making the change
+ * @return {Promise<Object>} Saved window with ISO 8601 times
+ */
+async function manageMaintenanceWindows(db, action, input, uid) {
+  const collection = db.collection(MAINTENANCE_WINDOWS_COLLECTION);
+  const now = admin.firestore.FieldValue.serverTimestamp();
+
+  if (action === "create") {
+    const definitions = await getServiceDefinitions(
+        db,
+        Array.isArray(input?.serviceIds) ? input.serviceIds : [],
+    );
+    const window = validateMaintenanceWindow(input, definitions);
+    const docRef = collection.doc();
+    await docRef.set({
+      title: window.title,
+      serviceIds: window.serviceIds,
+      componentIds: window.componentIds,
+      startTime: admin.firestore.Timestamp.fromMillis(window.startMs),
+      endTime: admin.firestore.Timestamp.fromMillis(window.endMs),
+      recurrence: window.recurrence ?
+        {
+          frequency: window.recurrence.frequency,
+          until: window.recurrence.untilMs === null ?
+            null :
+            admin.firestore.Timestamp.fromMillis(window.recurrence.untilMs),
+        } :
+        null,
+      message: window.message,
+      status: "scheduled",
+      createdAt: now,
+      createdBy: uid,
+      updatedAt: now,
+    });
+    return formatWindow({...window, id: docRef.id, status: "scheduled"});
+  }
+
+  if (action === "cancel") {
+    if (typeof input?.id !== "string" || input.id.length === 0) {
+      throw invalid("window.id is required");
+    }
+    const docRef = collection.doc(input.id);
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+      if (!doc.exists) {
+        throw new functions.https.HttpsError(
+            "not-found",
+            `Maintenance window ${input.id} does not exist`,
+        );
+      }
+      transaction.update(docRef, {
+        status: "cancelled",
+        cancelledAt: now,
+        cancelledBy: uid,
+        updatedAt: now,
+      });
+      return formatWindow({
+        ...fromFirestore(doc.id, doc.data()),
+        status: "cancelled",
+      });
+    });
+  }
+
+  throw invalid("action must be create or cancel");
+}
+
+/**
+ * Converts a window to a callable-safe object with ISO 8601 times
+ * @param {Object} window - Window with millisecond times
+ * @return {Object} Window
+ */
+function formatWindow(window) {
+  const toIso = (ms) => (ms == null ? null : new Date(ms).toISOString());
+  return {
+    id: window.id,
+    title: window.title,
+    status: window.status,
+    serviceIds: window.serviceIds,
+    componentIds: window.componentIds,
+    startTime: toIso(window.startMs),
+    endTime: toIso(window.endMs),
+    recurrence: window.recurrence ?
+      {
+        frequency: window.recurrence.frequency,
+        until: toIso(window.recurrence.untilMs),
+      } :
+      null,
+    message: window.message,
+  };
+}
+
+module.exports = {
+  MAINTENANCE_WINDOWS_COLLECTION,
+  getOccurrence,
+  findActiveMaintenance,
+  applyComponentMaintenance,
+  loadMaintenanceWindows,
+  validateMaintenanceWindow,
+  manageMaintenanceWindows,
+};
+
+// Suggestions For Features and Additions Later:
+// - Notify subscribers before a window starts
+// - Support monthly recurrence on a weekday (e.g. first Sunday)
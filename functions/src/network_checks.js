@@ -0,0 +1,416 @@
+// Filename: network_checks.js
+// Purpose: TCP connect, DNS resolution and TLS certificate probes
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: url_guard.js
+// Platform Compatibility: Firebase Cloud Functions
+
+const dns = require("dns");
+const net = require("net");
+const tls = require("tls");
+const {
+  URL_NOT_ALLOWED,
+  describeHostProblem,
+  resolvePublicAddress,
+} = require("./url_guard");
+
+// MARK: - Constants
+const NETWORK_CHECK_TYPES = ["tcp", "dns", "tls"];
+const DNS_RECORD_TYPES = ["A", "AAAA", "CNAME", "MX", "NS", "TXT"];
+const DEFAULT_TIMEOUT_MS = 10000;
+const MAX_TIMEOUT_MS = 30000;
+const MAX_EXPECTED_VALUES = 20;
+const DEFAULT_TLS_PORT = 443;
+const DEFAULT_TLS_WARN_DAYS = 14;
+const MAX_TLS_WARN_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOSTNAME_PATTERN =
+  /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)*[a-z0-9-]{1,63}\.?$/i;
+
+// MARK: - Validation
+/**
+ * Validates a host to probe
+ * @param {*} host - Hostname or IP address
+ * @param {string} field - Field name for error messages
+ * @return {string} Normalized host
+ */
+function validateHost(host, field) {
+  if (typeof host !== "string" ||
+      (!HOSTNAME_PATTERN.test(host) && !net.isIP(host))) {
+    throw new Error(`${field} must be a hostname or IP address`);
+  }
+  const problem = describeHostProblem(host);
+  if (problem) throw new Error(`${field} ${problem}`);
+  return host.toLowerCase().replace(/\.$/, "");
+}
+
+/**
+ * Validates a port number
+ * @param {*} port - Port number
+ * @param {string} field - Field name for error messages
+ * @return {number} Port number
+ */
+function validatePort(port, field) {
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`${field} must be 1-65535`);
+  }
+  return port;
+}
+
+/**
+ * Validates the `check` settings of a tcp, dns or tls service. Hosts
+ * default to the hostname of the service URL. Throws an Error describing
+ * the first invalid field.
+ * @param {string} checkType - tcp, dns or tls
+ * @param {*} check - Check settings from the catalog
+ * @param {string} url - Service URL
+ * @return {Object} Normalized check settings
+ */
+function validateNetworkCheck(checkType, check, url) {
+  if (check != null &&
+      (typeof check !== "object" || Array.isArray(check))) {
+    throw new Error("check must be an object");
+  }
+  const input = check || {};
+  const urlHost = new URL(url).hostname.replace(/^\[|\]$/g, "");
+
+  let timeoutMs = DEFAULT_TIMEOUT_MS;
+  if (input.timeoutMs != null) {
+    if (!Number.isInteger(input.timeoutMs) || input.timeoutMs < 1000 ||
+        input.timeoutMs > MAX_TIMEOUT_MS) {
+      throw new Error(`check.timeoutMs must be 1000-${MAX_TIMEOUT_MS}`);
+    }
+    timeoutMs = input.timeoutMs;
+  }
+
+  if (checkType === "tcp") {
+    if (input.port == null) throw new Error("check.port is required for tcp");
+    return {
+      host: validateHost(input.host ?? urlHost, "check.host"),
+      port: validatePort(input.port, "check.port"),
+      timeoutMs: timeoutMs,
+    };
+  }
+
+  if (checkType === "dns") {
+    const recordType = String(input.recordType ?? "A").toUpperCase();
+    if (!DNS_RECORD_TYPES.includes(recordType)) {
+      throw new Error(
+          `check.recordType must be one of ${DNS_RECORD_TYPES.join(", ")}`,
+      );
+    }
+    const expectedValues = input.expectedValues ?? [];
+    if (!Array.isArray(expectedValues) ||
+        expectedValues.length > MAX_EXPECTED_VALUES ||
+        !expectedValues.every((v) => typeof v === "string" && v.length > 0 &&
+          v.length <= 500)) {
+      throw new Error(
+          `check.expectedValues must be at most ${MAX_EXPECTED_VALUES} strings`,
+      );
+    }
+    return {
+      hostname: validateHost(input.hostname ?? urlHost, "check.hostname"),
+      recordType: recordType,
+      expectedValues: expectedValues.map((v) =>
+        normalizeRecordValue(recordType, v)),
+      timeoutMs: timeoutMs,
+    };
+  }
+
+  if (checkType === "tls") {
+    const warnDays = input.warnDays ?? DEFAULT_TLS_WARN_DAYS;
+    if (!Number.isInteger(warnDays) || warnDays < 0 ||
+        warnDays > MAX_TLS_WARN_DAYS) {
+      throw new Error(`check.warnDays must be 0-${MAX_TLS_WARN_DAYS}`);
+    }
+    return {
+      host: validateHost(input.host ?? urlHost, "check.host"),
+      port: validatePort(input.port ?? DEFAULT_TLS_PORT, "check.port"),
+      warnDays: warnDays,
+      timeoutMs: timeoutMs,
+    };
+  }
+
+  throw new Error(
+      `checkType must be one of ${NETWORK_CHECK_TYPES.join(", ")}`,
+  );
+}
+
+// MARK: - Error Mapping
+/**
+ * Maps a failed probe to a status and error message
+ * @param {Error} error - Socket, DNS or guard error
+ * @return {Object} Object with status and errorMessage
+ */
+function describeProbeError(error) {
+  if (error.code === URL_NOT_ALLOWED) {
+    return {status: "unknown", errorMessage: error.message};
+  }
+  if (error.code === "ETIMEDOUT" || error.code === "ETIMEOUT") {
+    return {status: "down", errorMessage: "Connection timeout"};
+  }
+  if (error.code === "ENOTFOUND" || error.code === "ENODATA") {
+    return {status: "down", errorMessage: "DNS lookup failed"};
+  }
+  if (error.code === "ECONNREFUSED") {
+    return {status: "down", errorMessage: "Connection refused"};
+  }
+  return {status: "down", errorMessage: error.message || "Unknown error"};
+}
+
+/**
+ * Creates the error used when a socket does not connect in time
+ * @return {Error} Error with code ETIMEDOUT
+ */
+function timeoutError() {
+  const error = new Error("Connection timeout");
+  error.code = "ETIMEDOUT";
+  return error;
+}
+
+// MARK: - TCP
+/**
+ * Opens a TCP connection to host:port and closes it once connected
+ * @param {Object} check - Normalized tcp check settings
+ * @return {Promise<Object>} Probe outcome
+ */
+async function probeTcp(check) {
+  const address = await resolvePublicAddress(check.host);
+
+  await new Promise((resolve, reject) => {
+    const socket = net.connect({host: address, port: check.port});
+    socket.setTimeout(check.timeoutMs, () => {
+      socket.destroy();
+      reject(timeoutError());
+    });
+    socket.once("connect", () => {
+      socket.end();
+      resolve();
+    });
+    socket.once("error", reject);
+  });
+
+  return {status: "operational", errorMessage: null};
+}
+
+// MARK: - DNS
+/**
+ * Normalizes a DNS record for comparison: hostnames are lowercased without
+ * the trailing dot, TXT records are compared as written
+ * @param {string} recordType - DNS record type
+ * @param {string} value - Record value
+ * @return {string} Normalized value
+ */
+function normalizeRecordValue(recordType, value) {
+  if (recordType === "TXT") return value;
+  return value.trim().toLowerCase().replace(/\.$/, "");
+}
+
+/**
+ * Resolves the configured record and compares it with the expected values.
+ * No records is down; when some expected values are missing the service is
+ * degraded, and down when none of them are present.
+ * @param {Object} check - Normalized dns check settings
+ * @return {Promise<Object>} Probe outcome with the resolved records
+ */
+async function probeDns(check) {
+  const resolver = new dns.promises.Resolver({
+    timeout: check.timeoutMs,
+    tries: 1,
+  });
+  const answers = await resolver.resolve(check.hostname, check.recordType);
+  const records = answers.map((answer) => {
+    if (check.recordType === "MX") return answer.exchange;
+    if (check.recordType === "TXT") return answer.join("");
+    return answer;
+  }).map((value) => normalizeRecordValue(check.recordType, value));
+
+  const missing = check.expectedValues.filter((v) => !records.includes(v));
+  let status = "operational";
+  let errorMessage = null;
+  if (records.length === 0) {
+    status = "down";
+    errorMessage = `No ${check.recordType} records`;
+  } else if (missing.length > 0) {
+    status = missing.length === check.expectedValues.length ?
+      "down" :
+      "degraded";
+    errorMessage = `Missing ${check.recordType} record(s): ` +
+      missing.join(", ");
+  }
+
+  return {status, errorMessage, dnsRecords: records};
+}
+
+// MARK: - TLS
+/**
+ * Fetches the certificate a host presents, without rejecting invalid ones
+ * so expiry and hostname problems can be reported precisely
+ * @param {string} host - Hostname (sent as SNI)
+ * @param {number} port - Port number
+ * @param {number} timeoutMs - Connection timeout
+ * @return {Promise<Object>} Peer certificate and authorizationError
+ */
+async function fetchCertificate(host, port, timeoutMs) {
+  const address = await resolvePublicAddress(host);
+
+  return new Promise((resolve, reject) => {
+    const socket = tls.connect({
+      host: address,
+      port: port,
+      servername: net.isIP(host) ? undefined : host,
+      rejectUnauthorized: false,
+    });
+    socket.setTimeout(timeoutMs, () => {
+      socket.destroy();
+      reject(timeoutError());
+    });
+    socket.once("secureConnect", () => {
+      const certificate = socket.getPeerCertificate();
+      const authorizationError = socket.authorizationError || null;
+      socket.end();
+      resolve({certificate, authorizationError});
+    });
+    socket.once("error", reject);
+  });
+}
+
+/**
+ * Classifies a certificate: expired, not yet valid, issued for another
+ * host or untrusted is down; expiring within warnDays is degraded
+ * @param {string} host - Hostname the certificate must cover
+ * @param {Object} certificate - Peer certificate from tls
+ * @param {string|null} authorizationError - Chain verification error code
+ * @param {number} warnDays - Days before expiry to report degraded
+ * @param {number} now - Current time in milliseconds
+ * @return {Object} status, errorMessage and certificate summary
+ */
+function classifyCertificate(
+    host,
+    certificate,
+    authorizationError,
+    warnDays,
+    now = Date.now(),
+) {
+  if (!certificate || !certificate.valid_to) {
+    return {
+      status: "down",
+      errorMessage: "No certificate presented",
+      certificate: null,
+    };
+  }
+
+  const validFrom = new Date(certificate.valid_from);
+  const validTo = new Date(certificate.valid_to);
+  const daysRemaining = Math.floor((validTo.getTime() - now) / DAY_MS);
+  const summary = {
+    host: host,
+    subject: certificate.subject?.CN || null,
+    issuer: certificate.issuer?.O || certificate.issuer?.CN || null,
+    validFrom: validFrom.toISOString(),
+    validTo: validTo.toISOString(),
+    daysRemaining: daysRemaining,
+  };
+  const result = (status, errorMessage) =>
+    ({status, errorMessage, certificate: summary});
+  const expiryDate = summary.validTo.slice(0, 10);
+
+  if (validTo.getTime() <= now) {
+    return result("down", `Certificate expired on ${expiryDate}`);
+  }
+  if (validFrom.getTime() > now) {
+    return result("down", "Certificate is not yet valid");
+  }
+  if (tls.checkServerIdentity(host, certificate)) {
+    return result("down", `Certificate does not match ${host}`);
+  }
+  if (authorizationError) {
+    return result("down", `Certificate not trusted (${authorizationError})`);
+  }
+  if (daysRemaining < warnDays) {
+    return result(
+        "degraded",
+        `Certificate expires in ${daysRemaining} day(s) (${expiryDate})`,
+    );
+  }
+  return result("operational", null);
+}
+
+/**
+ * Inspects the certificate presented by host:port
+ * @param {Object} check - Normalized tls check settings
+ * @return {Promise<Object>} Probe outcome with the certificate summary
+ */
+async function probeTls(check) {
+  const {certificate, authorizationError} =
+    await fetchCertificate(check.host, check.port, check.timeoutMs);
+  return classifyCertificate(
+      check.host,
+      certificate,
+      authorizationError,
+      check.warnDays,
+  );
+}
+
+/**
+ * Inspects the certificate of each component URL of a tls service, so one
+ * service can watch every domain of an app
+ * @param {Array} components - Component definitions
+ * @param {Object} check - Normalized tls check settings (warnDays, timeout)
+ * @return {Promise<Array>} Status, errorMessage and certificate per component
+ */
+async function probeComponentCertificates(components, check) {
+  return Promise.all(components.map(async (comp) => {
+    const url = new URL(comp.url);
+    const host = url.hostname.replace(/^\[|\]$/g, "");
+    try {
+      const {certificate, authorizationError} = await fetchCertificate(
+          host,
+          url.port ? Number(url.port) : DEFAULT_TLS_PORT,
+          check.timeoutMs,
+      );
+      return classifyCertificate(
+          host,
+          certificate,
+          authorizationError,
+          check.warnDays,
+      );
+    } catch (error) {
+      return {...describeProbeError(error), certificate: null};
+    }
+  }));
+}
+
+// MARK: - Dispatch
+const PROBES = {
+  tcp: probeTcp,
+  dns: probeDns,
+  tls: probeTls,
+};
+
+/**
+ * Runs the probe for a tcp, dns or tls service. Failures to connect or
+ * resolve are returned as a down (or unknown, when blocked) outcome.
+ * @param {string} checkType - tcp, dns or tls
+ * @param {Object} check - Normalized check settings
+ * @return {Promise<Object>} success, status, errorMessage and probe details
+ */
+async function runNetworkProbe(checkType, check) {
+  try {
+    const outcome = await PROBES[checkType](check);
+    return {success: true, ...outcome};
+  } catch (error) {
+    return {success: false, ...describeProbeError(error)};
+  }
+}
+
+module.exports = {
+  NETWORK_CHECK_TYPES,
+  validateNetworkCheck,
+  classifyCertificate,
+  runNetworkProbe,
+  probeComponentCertificates,
+};
+
+// Suggestions For Features and Additions Later:
+// - Check OCSP stapling and certificate transparency for TLS services
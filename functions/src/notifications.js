@@ -0,0 +1,354 @@
+// Filename: notifications.js
+// Purpose: Outbound alert notifications for service status transitions
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: axios, nodemailer, url_guard.js
+// Platform Compatibility: Firebase Cloud Functions
+
+const axios = require("axios");
+const {GUARDED_REQUEST_OPTIONS} = require("./url_guard");
+
+// MARK: - Constants
+const NOTIFICATION_CHANNELS_COLLECTION = "notification_channels";
+const CHANNEL_TYPES = ["webhook", "discord", "slack", "email"];
+const NOTIFICATION_TIMEOUT_MS = 5000;
+
+// Embed colors match the status colors used by the Flutter client
+const STATUS_COLORS = {
+  "operational": 0x10B981,
+  "degraded": 0xF59E0B,
+  "flapping": 0xF97316,
+  "down": 0xEF4444,
+};
+
+const STATUS_EMOJI = {
+  "operational": "🟢",
+  "degraded": "🟡",
+  "flapping": "🟠",
+  "down": "🔴",
+};
+
+// Default message template; channels can override it with `template`
+const DEFAULT_TEMPLATE = [
+  "{{emoji}} {{headline}}",
+  "Response time: {{responseTimeMs}}ms",
+  "Error: {{errorMessage}}",
+  "Affected components: {{components}}",
+  "Impacted services: {{impactedServices}}",
+  "{{serviceUrl}}",
+].join("\n");
+
+// MARK: - Alert Events
+/**
+ * Builds an alert event for a service check result
+ * @param {string} event - degraded, down, recovered, flapping or escalated
+ * @param {string} previousStatus - Status subscribers were last told about
+ * @param {Object} result - Current service check result
+ * @return {Object} Alert event
+ */
+function buildAlertEvent(event, previousStatus, result) {
+  return {
+    event: event,
+    tier: "primary",
+    previousStatus: previousStatus,
+    status: event === "flapping" ? "flapping" : result.status,
+    service: {
+      id: result.id,
+      name: result.name,
+      url: result.url,
+      type: result.type,
+    },
+    responseTimeMs: result.responseTimeMs || 0,
+    errorMessage: result.errorMessage || null,
+    affectedComponents: (result.components || [])
+        .filter((c) => c.status === "degraded" || c.status === "down")
+        .map((c) => ({
+          id: c.id,
+          name: c.name,
+          status: c.status,
+          errorMessage: c.errorMessage || null,
+        })),
+    impactedServices: result.impactedServices || [],
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Builds the one-line summary of an alert event
+ * @param {Object} alert - Alert event
+ * @return {string} Headline
+ */
+function buildHeadline(alert) {
+  const name = alert.service.name;
+  switch (alert.event) {
+    case "recovered":
+      return `${name} has recovered (was ${alert.previousStatus})`;
+    case "flapping":
+      return `${name} is flapping between statuses`;
+    case "escalated":
+      return `${name} is still ${alert.status} and unacknowledged`;
+    default:
+      return `${name} is ${alert.status} (was ${alert.previousStatus})`;
+  }
+}
+
+// MARK: - Message Rendering
+/**
+ * Renders a message template for an alert event
+ * @param {Object} alert - Alert event
+ * @param {string} template - Template with {{placeholder}} tokens
+ * @return {string} Rendered message without lines for empty values
+ */
+function renderMessage(alert, template = DEFAULT_TEMPLATE) {
+  const values = {
+    emoji: STATUS_EMOJI[alert.status] || "",
+    headline: buildHeadline(alert),
+    serviceId: alert.service.id,
+    serviceName: alert.service.name,
+    serviceUrl: alert.service.url,
+    status: alert.status,
+    previousStatus: alert.previousStatus,
+    event: alert.event,
+    responseTimeMs: String(alert.responseTimeMs),
+    errorMessage: alert.errorMessage || "",
+    components: alert.affectedComponents
+        .map((c) => `${c.name} (${c.status})`)
+        .join(", "),
+    impactedServices: (alert.impactedServices || [])
+        .map((s) => s.name)
+        .join(", "),
+    timestamp: alert.timestamp,
+  };
+
+  return template
+      .split("\n")
+      .map((line) => {
+        const tokens = [...line.matchAll(/{{(\w+)}}/g)].map((m) => m[1]);
+        // Drop lines whose placeholders are all empty (e.g. no error)
+        if (tokens.length > 0 && tokens.every((t) => !values[t])) return null;
+        return line.replace(/{{(\w+)}}/g, (_, key) => values[key] ?? "");
+      })
+      .filter((line) => line !== null)
+      .join("\n")
+      .trim();
+}
+
+/**
+ * Builds a short subject line for an alert event
+ * @param {Object} alert - Alert event
+ * @return {string} Subject line
+ */
+function buildSubject(alert) {
+  const label = alert.event === "recovered" ?
+    "Resolved" :
+    alert.event.toUpperCase();
+  return `[${label}] ${buildHeadline(alert)}`;
+}
+
+// MARK: - Channel Senders
+/**
+ * Posts the raw alert event as JSON to a generic webhook
+ * @param {Object} channel - Channel configuration
+ * @param {Object} alert - Alert event
+ * @param {string} message - Rendered message
+ * @return {Promise} Request promise
+ */
+function sendWebhook(channel, alert, message) {
+  return axios.post(channel.url, {...alert, message}, {
+    timeout: NOTIFICATION_TIMEOUT_MS,
+    headers: {
+      "User-Agent": "InfinitumDownDetector/1.0",
+      ...(channel.headers || {}),
+    },
+    // Refuse private addresses on every connection, including redirects
+    ...GUARDED_REQUEST_OPTIONS,
+  });
+}
+
+/**
+ * Posts an embed to a Discord webhook
+ * @param {Object} channel - Channel configuration
+ * @param {Object} alert - Alert event
+ * @param {string} message - Rendered message
+ * @return {Promise} Request promise
+ */
+function sendDiscord(channel, alert, message) {
+  return axios.post(channel.url, {
+    username: "Infinitum Down Detector",
+    embeds: [{
+      title: buildSubject(alert),
+      description: message.slice(0, 4000),
+      url: alert.service.url,
+      color: STATUS_COLORS[alert.status],
+      timestamp: alert.timestamp,
+    }],
+  }, {timeout: NOTIFICATION_TIMEOUT_MS, ...GUARDED_REQUEST_OPTIONS});
+}
+
+/**
+ * Posts a message to a Slack incoming webhook
+ * @param {Object} channel - Channel configuration
+ * @param {Object} alert - Alert event
+ * @param {string} message - Rendered message
+ * @return {Promise} Request promise
+ */
+function sendSlack(channel, alert, message) {
+  return axios.post(channel.url, {
+    text: `*${buildSubject(alert)}*\n${message}`,
+  }, {timeout: NOTIFICATION_TIMEOUT_MS, ...GUARDED_REQUEST_OPTIONS});
+}
+
+let mailTransport = null;
+
+/**
+ * Sends an email through SMTP. Configured with the SMTP_HOST, SMTP_PORT,
+ * SMTP_USER, SMTP_PASS and SMTP_FROM environment variables.
+ * @param {Object} channel - Channel configuration
+ * @param {Object} alert - Alert event
+ * @param {string} message - Rendered message
+ * @return {Promise} Send promise
+ */
+async function sendEmail(channel, alert, message) {
+  if (!process.env.SMTP_HOST) {
+    throw new Error("SMTP_HOST is not configured");
+  }
+
+  if (!mailTransport) {
+    // Loaded lazily so runs without email channels don't pay for it
+    const nodemailer = require("nodemailer");
+    const port = Number(process.env.SMTP_PORT || 587);
+    mailTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: port,
+      secure: port === 465,
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      } : undefined,
+    });
+  }
+
+  return mailTransport.sendMail({
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    to: channel.to,
+    subject: buildSubject(alert),
+    text: message,
+  });
+}
+
+const SENDERS = {
+  "webhook": sendWebhook,
+  "discord": sendDiscord,
+  "slack": sendSlack,
+  "email": sendEmail,
+};
+
+// MARK: - Channel Loading
+/**
+ * Checks that a channel document is usable
+ * @param {Object} channel - Channel document data
+ * @return {boolean} True if the channel can be sent to
+ */
+function isValidChannel(channel) {
+  if (!CHANNEL_TYPES.includes(channel.type)) return false;
+  if (channel.type === "email") {
+    return (typeof channel.to === "string" && channel.to.length > 0) ||
+      (Array.isArray(channel.to) && channel.to.length > 0);
+  }
+  return typeof channel.url === "string" && channel.url.startsWith("https://");
+}
+
+/**
+ * Checks whether a channel subscribes to an alert event.
+ * `services` limits the channel to service ids (empty = all services),
+ * `events` limits it to event names (empty = all events) and `tier`
+ * separates primary channels from escalation channels.
+ * @param {Object} channel - Channel configuration
+ * @param {Object} alert - Alert event
+ * @return {boolean} True if the channel wants this alert
+ */
+function isSubscribed(channel, alert) {
+  const services = channel.services || [];
+  const events = channel.events || [];
+  return (channel.tier || "primary") === (alert.tier || "primary") &&
+    (services.length === 0 || services.includes(alert.service.id)) &&
+    (events.length === 0 || events.includes(alert.event));
+}
+
+/**
+ * Loads enabled notification channels
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @return {Promise<Array>} Channel configurations with their ids
+ */
+async function loadNotificationChannels(db) {
+  const snapshot = await db.collection(NOTIFICATION_CHANNELS_COLLECTION).get();
+  const channels = [];
+
+  for (const doc of snapshot.docs) {
+    const channel = {id: doc.id, ...doc.data()};
+    if (channel.enabled === false) continue;
+    if (!isValidChannel(channel)) {
+      console.warn(`Skipping invalid notification channel ${doc.id}`);
+      continue;
+    }
+    channels.push(channel);
+  }
+
+  return channels;
+}
+
+// MARK: - Delivery
+/**
+ * Delivers alert events to every subscribed channel. Failures are logged
+ * and never thrown so a broken webhook cannot fail the health check.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Array} alerts - Alert events
+ * @return {Promise<number>} Number of notifications delivered
+ */
+async function sendStatusNotifications(db, alerts) {
+  if (alerts.length === 0) return 0;
+
+  let channels;
+  try {
+    channels = await loadNotificationChannels(db);
+  } catch (e) {
+    console.warn("Could not load notification channels:", e.message);
+    return 0;
+  }
+
+  const deliveries = [];
+  for (const alert of alerts) {
+    for (const channel of channels) {
+      if (!isSubscribed(channel, alert)) continue;
+      const message = renderMessage(alert, channel.template || undefined);
+      deliveries.push(
+          Promise.resolve()
+              .then(() => SENDERS[channel.type](channel, alert, message))
+              .catch((e) => {
+                console.warn(
+                    `Notification to ${channel.id} (${channel.type}) failed:`,
+                    e.message,
+                );
+                throw e;
+              }),
+      );
+    }
+  }
+
+  const results = await Promise.allSettled(deliveries);
+  const delivered = results.filter((r) => r.status === "fulfilled").length;
+  console.log(`Delivered ${delivered}/${deliveries.length} notifications`);
+  return delivered;
+}
+
+module.exports = {
+  NOTIFICATION_CHANNELS_COLLECTION,
+  DEFAULT_TEMPLATE,
+  buildAlertEvent,
+  renderMessage,
+  sendStatusNotifications,
+};
+
+// Suggestions For Features and Additions Later:
+// - Add SMS and push notification channels
+// - Store a delivery log for troubleshooting
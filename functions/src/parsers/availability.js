@@ -0,0 +1,36 @@
+// Filename: availability.js
+// Purpose: Availability parser for services without a public status page
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: parsers/common.js
+// Platform Compatibility: Firebase Cloud Functions
+
+const {markAllComponents} = require("./common");
+
+// MARK: - Parser
+/**
+ * Derives every component's status from the main page HTTP status.
+ * Used for vendors like TikTok that don't provide detailed status, so a
+ * page that loads is assumed to mean its components are operational.
+ * @param {Object} context - Parser context
+ * @param {Array} context.components - Array of component definitions
+ * @param {number} context.httpStatus - HTTP status code of the main page
+ * @return {Promise<Array>} Array of component status objects
+ */
+async function parse({components, httpStatus}) {
+  if (httpStatus >= 200 && httpStatus < 400) {
+    return markAllComponents(components, "operational");
+  }
+  return markAllComponents(
+      components,
+      "unknown",
+      httpStatus >= 400 ? `HTTP ${httpStatus}` : null,
+  );
+}
+
+module.exports = {
+  parse,
+};
+
+// Suggestions For Features and Additions Later:
+// - Probe a dedicated endpoint per component
@@ -0,0 +1,75 @@
+// Filename: common.js
+// Purpose: Shared helpers for status page parsers
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: firebase-admin
+// Platform Compatibility: Firebase Cloud Functions
+
+const admin = require("firebase-admin");
+
+// MARK: - Component Status Construction
+/**
+ * Builds a component status object from a component definition
+ * @param {Object} comp - Component definition (id, name, url, type)
+ * @param {string} status - Component status
+ * @param {Object} extras - Optional errorMessage, responseTimeMs, lastChecked
+ * @return {Object} Component status object
+ */
+function buildComponentStatus(comp, status, extras = {}) {
+  return {
+    id: comp.id,
+    name: comp.name,
+    url: comp.url,
+    type: comp.type,
+    status: status,
+    lastChecked: extras.lastChecked || admin.firestore.Timestamp.now(),
+    responseTimeMs: extras.responseTimeMs || 0,
+    errorMessage: extras.errorMessage || null,
+  };
+}
+
+/**
+ * Builds status objects for all components with the same status
+ * @param {Array} components - Array of component definitions
+ * @param {string} status - Status to assign to every component
+ * @param {string|null} errorMessage - Error message for every component
+ * @return {Array} Array of component status objects
+ */
+function markAllComponents(components, status, errorMessage = null) {
+  const now = admin.firestore.Timestamp.now();
+  return components.map((comp) => buildComponentStatus(comp, status, {
+    lastChecked: now,
+    errorMessage: errorMessage,
+  }));
+}
+
+// MARK: - Search Helpers
+/**
+ * Returns the lowercase terms used to find a component in page content.
+ * Uses the component's `searchTerms` when defined, otherwise its name plus
+ * the name with each configured vendor prefix removed.
+ * @param {Object} comp - Component definition
+ * @param {Array<string>} stripPrefixes - Vendor prefixes (e.g. "aws ")
+ * @return {Array<string>} Unique, non-empty search terms
+ */
+function getSearchTerms(comp, stripPrefixes = []) {
+  if (Array.isArray(comp.searchTerms) && comp.searchTerms.length > 0) {
+    return comp.searchTerms.map((term) => term.toLowerCase());
+  }
+
+  const nameLower = comp.name.toLowerCase();
+  const terms = [nameLower];
+  for (const prefix of stripPrefixes) {
+    terms.push(nameLower.replace(prefix.toLowerCase(), "").trim());
+  }
+  return [...new Set(terms.filter(Boolean))];
+}
+
+module.exports = {
+  buildComponentStatus,
+  markAllComponents,
+  getSearchTerms,
+};
+
+// Suggestions For Features and Additions Later:
+// - Add fuzzy matching for component names
@@ -0,0 +1,136 @@
+// Filename: firebase.js
+// Purpose: Firebase status page parser with functional Auth check
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: axios, parsers/html_keyword.js, triple_check.js
+// Platform Compatibility: Firebase Cloud Functions
+
+const axios = require("axios");
+const htmlKeyword = require("./html_keyword");
+const {buildComponentStatus} = require("./common");
+const {tripleCheckValidation} = require("../triple_check");
+
+// MARK: - Firebase Auth Functional Check
+/**
+ * Performs a functional check of Firebase Auth by attempting to verify a token
+ * This is a lightweight check that doesn't require actual authentication
+ * @return {Promise<Object>} Check result
+ */
+async function checkFirebaseAuthFunctional() {
+  const startTime = Date.now();
+
+  try {
+    // Check Firebase Auth REST API endpoint (public token verification)
+    // A good indicator of Auth service health
+    const authCheckUrl = "https://www.googleapis.com/identitytoolkit/v3/" +
+      "relyingparty/getProjectConfig";
+
+    // Make a lightweight request to Firebase Auth API
+    // Doesn't require authentication; returns project config if service is up
+    const response = await axios.get(authCheckUrl, {
+      timeout: 5000,
+      validateStatus: (status) => status < 500, // Accept any status < 500
+      params: {
+        // Dummy key - we're just checking if the endpoint responds
+        key: "AIzaSyDummyKey",
+      },
+    });
+
+    const endTime = Date.now();
+    const responseTime = endTime - startTime;
+
+    // If we get a response (even 400/403), Auth service is operational
+    // 400/403 means the service is up but our request is invalid (expected)
+    // 5xx means the service is down
+    if (response.status < 500) {
+      return {
+        status: "operational",
+        statusCode: response.status,
+        responseTimeMs: responseTime,
+        errorMessage: null,
+      };
+    } else {
+      return {
+        status: "down",
+        statusCode: response.status,
+        responseTimeMs: responseTime,
+        errorMessage: `HTTP ${response.status}`,
+      };
+    }
+  } catch (error) {
+    const endTime = Date.now();
+    const responseTime = endTime - startTime;
+
+    // Network errors or timeouts indicate service issues
+    if (error.code === "ECONNABORTED" || error.message.includes("timeout")) {
+      return {
+        status: "down",
+        statusCode: null,
+        responseTimeMs: responseTime,
+        errorMessage: "Connection timeout",
+      };
+    } else if (error.response && error.response.status >= 500) {
+      return {
+        status: "down",
+        statusCode: error.response.status,
+        responseTimeMs: responseTime,
+        errorMessage: `HTTP ${error.response.status}`,
+      };
+    } else {
+      // Other errors (like 400/403) mean service is up
+      return {
+        status: "operational",
+        statusCode: error.response?.status || null,
+        responseTimeMs: responseTime,
+        errorMessage: null,
+      };
+    }
+  }
+}
+
+// MARK: - Parser
+/**
+ * Parses the Firebase status page. Firebase Authentication is verified with
+ * a functional check first; the status page is only used for it when the
+ * functional check cannot run.
+ * @param {Object} context - Parser context (see html_keyword.js)
+ * @return {Promise<Array>} Array of component status objects
+ */
+async function parse(context) {
+  const componentStatuses = await htmlKeyword.parse(context);
+
+  return Promise.all(componentStatuses.map(async (compStatus, index) => {
+    if (compStatus.id !== "firebase-authentication") {
+      return compStatus;
+    }
+
+    try {
+      // Perform functional check with triple-check validation
+      const authCheckResult = await tripleCheckValidation(
+          checkFirebaseAuthFunctional,
+          1000, // 1 second delay between checks
+      );
+
+      return buildComponentStatus(
+          context.components[index],
+          authCheckResult.status,
+          {
+            responseTimeMs: authCheckResult.responseTimeMs,
+            errorMessage: authCheckResult.errorMessage,
+          },
+      );
+    } catch (e) {
+      console.warn(`Firebase Auth functional check failed: ${e.message}`);
+      // Fall back to the status page result
+      return compStatus;
+    }
+  }));
+}
+
+module.exports = {
+  checkFirebaseAuthFunctional,
+  parse,
+};
+
+// Suggestions For Features and Additions Later:
+// - Add functional checks for Firestore and Hosting
@@ -0,0 +1,182 @@
+// Filename: google_workspace.js
+// Purpose: Google Workspace status via the dashboard incidents.json feed
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: firebase-admin, axios, parsers/common.js, url_guard.js
+// Platform Compatibility: Firebase Cloud Functions
+
+const admin = require("firebase-admin");
+const axios = require("axios");
+const {buildComponentStatus} = require("./common");
+const {GUARDED_REQUEST_OPTIONS} = require("../url_guard");
+
+// MARK: - Constants
+const GOOGLE_WORKSPACE_INCIDENTS_URL =
+  "https://www.google.com/appsstatus/dashboard/incidents.json";
+
+// Maps our google-* component ids to Workspace product titles in the feed
+const WORKSPACE_PRODUCT_TITLES = {
+  "google-apps-script": ["apps script", "google apps script"],
+  "google-appsheet": ["appsheet"],
+  "google-gmail": ["gmail"],
+  "google-calendar": ["google calendar"],
+  "google-docs": ["google docs"],
+  "google-drive": ["google drive"],
+  "google-forms": ["google forms"],
+  "google-sheets": ["google sheets"],
+  "google-slides": ["google slides"],
+};
+
+// Lower numbers are worse; used to pick the worst active incident
+const STATUS_PRIORITY = {
+  "down": 0,
+  "degraded": 1,
+  "operational": 2,
+};
+
+// MARK: - Incident Classification
+/**
+ * Checks whether a Workspace incident is still ongoing
+ * @param {Object} incident - Incident from incidents.json
+ * @param {Date} now - Reference time
+ * @return {boolean} True if the incident has not ended
+ */
+function isActiveIncident(incident, now = new Date()) {
+  if (!incident.end) return true;
+  const end = new Date(incident.end);
+  return Number.isNaN(end.getTime()) || end > now;
+}
+
+/**
+ * Maps a Workspace incident's impact and severity to a component status.
+ * Service outages and high severity incidents are reported as down, other
+ * disruptions as degraded. Informational notices do not change status.
+ * @param {Object} incident - Incident from incidents.json
+ * @return {string} Component status
+ */
+function statusForIncident(incident) {
+  const impact = (incident.status_impact || "").toUpperCase();
+  const severity = (incident.severity || "").toLowerCase();
+
+  if (impact === "SERVICE_INFORMATION") return "operational";
+  if (impact === "SERVICE_OUTAGE" || severity === "high") return "down";
+  return "degraded";
+}
+
+/**
+ * Builds a short message for an incident from its latest public update
+ * @param {Object} incident - Incident from incidents.json
+ * @return {string} Incident message
+ */
+function messageForIncident(incident) {
+  const text = incident.external_desc ||
+    incident.most_recent_update?.text ||
+    "Active incident reported";
+  // Descriptions can be multi-line markdown; keep the first line only
+  return text.split("\n").map((line) => line.trim()).find(Boolean) ||
+    "Active incident reported";
+}
+
+/**
+ * Checks whether an incident affects one of our components
+ * @param {Object} incident - Incident from incidents.json
+ * @param {string} componentId - Our google-* component id
+ * @return {boolean} True if the component's product is affected
+ */
+function incidentAffectsComponent(incident, componentId) {
+  const titles = WORKSPACE_PRODUCT_TITLES[componentId] || [];
+  const products = incident.affected_products ||
+    (incident.service_name ? [{title: incident.service_name}] : []);
+
+  return products.some((product) =>
+    typeof product.title === "string" &&
+    titles.includes(product.title.toLowerCase()),
+  );
+}
+
+// MARK: - Component Parsing
+/**
+ * Maps Workspace incidents onto our google-* component definitions.
+ * Only active incidents affect status; resolved incidents are ignored.
+ * @param {Array} incidents - Incidents from incidents.json
+ * @param {Array} components - Array of component definitions
+ * @param {Date} now - Reference time
+ * @return {Array} Array of component status objects
+ */
+function mapWorkspaceIncidents(incidents, components, now = new Date()) {
+  const timestamp = admin.firestore.Timestamp.now();
+  const activeIncidents = incidents.filter((incident) =>
+    isActiveIncident(incident, now),
+  );
+
+  return components.map((comp) => {
+    const affecting = activeIncidents
+        .filter((incident) => incidentAffectsComponent(incident, comp.id))
+        .filter((incident) => statusForIncident(incident) !== "operational");
+
+    let status = "operational";
+    for (const incident of affecting) {
+      const incidentStatus = statusForIncident(incident);
+      if (STATUS_PRIORITY[incidentStatus] < STATUS_PRIORITY[status]) {
+        status = incidentStatus;
+      }
+    }
+
+    return buildComponentStatus(comp, status, {
+      lastChecked: timestamp,
+      errorMessage: affecting.length > 0 ?
+        affecting.map(messageForIncident).join("; ") :
+        null,
+    });
+  });
+}
+
+/**
+ * Fetches the Workspace incidents feed and maps it onto our components
+ * @param {Array} components - Array of component definitions
+ * @param {string} feedUrl - incidents.json URL
+ * @return {Promise<Array>} Array of component status objects
+ */
+async function parseGoogleWorkspaceComponents(
+    components,
+    feedUrl = GOOGLE_WORKSPACE_INCIDENTS_URL,
+) {
+  const response = await axios.get(feedUrl, {
+    timeout: 10000,
+    maxRedirects: 5,
+    headers: {
+      "User-Agent": "InfinitumDownDetector/1.0",
+      "Accept": "application/json",
+    },
+    ...GUARDED_REQUEST_OPTIONS,
+  });
+
+  if (!Array.isArray(response.data)) {
+    throw new Error("Unexpected Google Workspace incidents feed format");
+  }
+
+  return mapWorkspaceIncidents(response.data, components);
+}
+
+// MARK: - Parser
+/**
+ * Registry entry point. Uses `parserOptions.feedUrl` when set.
+ * @param {Object} context - Parser context
+ * @param {Array} context.components - Array of component definitions
+ * @param {Object} context.options - Parser options from the service
+ * @return {Promise<Array>} Array of component status objects
+ */
+async function parse({components, options = {}}) {
+  return parseGoogleWorkspaceComponents(components, options.feedUrl);
+}
+
+module.exports = {
+  GOOGLE_WORKSPACE_INCIDENTS_URL,
+  isActiveIncident,
+  mapWorkspaceIncidents,
+  parseGoogleWorkspaceComponents,
+  parse,
+};
+
+// Suggestions For Features and Additions Later:
+// - Load product titles from products.json instead of a static map
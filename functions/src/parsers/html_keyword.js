@@ -0,0 +1,89 @@
+// Filename: html_keyword.js
+// Purpose: Keyword proximity parser for HTML status pages
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: parsers/common.js
+// Platform Compatibility: Firebase Cloud Functions
+
+const {buildComponentStatus, getSearchTerms} = require("./common");
+
+// MARK: - Default Options
+// Overridden per service through `parserOptions` on the service definition
+const DEFAULT_OPTIONS = {
+  windowChars: 300,
+  stripPrefixes: [],
+  downKeywords: [],
+  degradedKeywords: ["service disruption", "outage", "down", "degraded"],
+  downMessage: "Service disruption reported",
+  degradedMessage: "Service issue reported",
+};
+
+// MARK: - Component Classification
+/**
+ * Classifies a component by looking for status keywords near its name.
+ * The first search term found in the page anchors the keyword window.
+ * Down keywords win over degraded keywords, which win over operational.
+ * A component found on the page without any keyword is assumed operational;
+ * a component not found at all is unknown.
+ * @param {string} bodyLower - Lowercased page content
+ * @param {Object} comp - Component definition
+ * @param {Object} options - Parser options
+ * @return {Object} Object with status and errorMessage
+ */
+function classifyComponent(bodyLower, comp, options) {
+  const searchTerms = getSearchTerms(comp, options.stripPrefixes);
+  const term = searchTerms.find((t) => bodyLower.includes(t));
+
+  if (!term) {
+    return {status: "unknown", errorMessage: null};
+  }
+
+  const index = bodyLower.indexOf(term);
+  const surroundingText = bodyLower.substring(
+      Math.max(0, index - options.windowChars),
+      Math.min(bodyLower.length, index + options.windowChars),
+  );
+  const hasAny = (keywords) => keywords.some((k) =>
+    surroundingText.includes(k),
+  );
+
+  if (hasAny(options.downKeywords)) {
+    return {status: "down", errorMessage: options.downMessage};
+  }
+  if (hasAny(options.degradedKeywords)) {
+    return {status: "degraded", errorMessage: options.degradedMessage};
+  }
+  return {status: "operational", errorMessage: null};
+}
+
+// MARK: - Parser
+/**
+ * Parses component statuses from an HTML status page
+ * @param {Object} context - Parser context
+ * @param {Array} context.components - Array of component definitions
+ * @param {string} context.responseBody - Status page HTML
+ * @param {Object} context.options - Parser options from the service
+ * @return {Promise<Array>} Array of component status objects
+ */
+async function parse({components, responseBody, options = {}}) {
+  const resolvedOptions = {...DEFAULT_OPTIONS, ...options};
+  const bodyLower = (responseBody || "").toLowerCase();
+
+  return components.map((comp) => {
+    const {status, errorMessage} = classifyComponent(
+        bodyLower,
+        comp,
+        resolvedOptions,
+    );
+    return buildComponentStatus(comp, status, {errorMessage});
+  });
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  classifyComponent,
+  parse,
+};
+
+// Suggestions For Features and Additions Later:
+// - Strip script/style tags before searching to reduce false positives
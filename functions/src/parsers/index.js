@@ -0,0 +1,99 @@
+// Filename: index.js
+// Purpose: Status page parser registry
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: parsers/*.js
+// Platform Compatibility: Firebase Cloud Functions
+
+const {markAllComponents} = require("./common");
+
+// MARK: - Parser Registry
+// Maps the `parser` field of a service definition to a parse function.
+// Every parser receives a context of {service, components, responseBody,
+// httpStatus, options} and resolves to an array of component statuses.
+const PARSERS = new Map();
+
+/**
+ * Registers a status page parser
+ * @param {string} name - Parser name referenced by service definitions
+ * @param {Function} parse - Async function(context) => component statuses
+ */
+function registerParser(name, parse) {
+  if (typeof parse !== "function") {
+    throw new Error(`Parser "${name}" must be a function`);
+  }
+  PARSERS.set(name, parse);
+}
+
+/**
+ * Looks up a registered parser
+ * @param {string} name - Parser name
+ * @return {Function|undefined} Parse function
+ */
+function getParser(name) {
+  return PARSERS.get(name);
+}
+
+/**
+ * Lists registered parser names
+ * @return {Array<string>} Parser names
+ */
+function getParserNames() {
+  return [...PARSERS.keys()];
+}
+
+// MARK: - Built-in Parsers
+registerParser("html-keyword", require("./html_keyword").parse);
+registerParser("statuspage", require("./statuspage").parse);
+registerParser("google-workspace", require("./google_workspace").parse);
+registerParser("rss", require("./rss").parse);
+registerParser("firebase", require("./firebase").parse);
+registerParser("availability", require("./availability").parse);
+
+// MARK: - Component Status Parsing
+/**
+ * Parses component statuses for a service using the parser named by its
+ * `parser` field. Services without a parser report unknown components.
+ * @param {Object} service - Service definition
+ * @param {Array} components - Array of component definitions
+ * @param {string} responseBody - Response body of the service URL
+ * @param {number} httpStatus - HTTP status code of the service URL
+ * @return {Promise<Array>} Array of component status objects
+ */
+async function parseComponentStatuses(
+    service,
+    components,
+    responseBody,
+    httpStatus,
+) {
+  // If HTTP status indicates page is down, mark all components as down
+  if (httpStatus >= 500) {
+    return markAllComponents(components, "down", `HTTP ${httpStatus}`);
+  }
+
+  const parse = service.parser ? getParser(service.parser) : null;
+  if (!parse) {
+    if (service.parser) {
+      console.warn(`Unknown parser "${service.parser}" for ${service.id}`);
+    }
+    return markAllComponents(components, "unknown");
+  }
+
+  return parse({
+    service: service,
+    components: components,
+    responseBody: responseBody,
+    httpStatus: httpStatus,
+    options: service.parserOptions || {},
+  });
+}
+
+module.exports = {
+  registerParser,
+  getParser,
+  getParserNames,
+  parseComponentStatuses,
+};
+
+// Suggestions For Features and Additions Later:
+// - Load third-party parser modules from configuration
@@ -0,0 +1,142 @@
+// Filename: rss.js
+// Purpose: RSS 2.0 / Atom feed parser for vendor status feeds
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: axios, parsers/common.js, url_guard.js
+// Platform Compatibility: Firebase Cloud Functions
+
+const axios = require("axios");
+const {buildComponentStatus, getSearchTerms} = require("./common");
+const {GUARDED_REQUEST_OPTIONS} = require("../url_guard");
+
+// MARK: - Default Options
+// Overridden per service through `parserOptions` on the service definition
+const DEFAULT_OPTIONS = {
+  lookbackHours: 24,
+  stripPrefixes: [],
+  resolvedKeywords: ["resolved", "operating normally", "recovered"],
+  downKeywords: ["outage", "service disruption", "unavailable"],
+  degradedKeywords: [
+    "degraded",
+    "performance issues",
+    "increased error",
+    "elevated",
+    "delay",
+    "investigating",
+  ],
+};
+
+// MARK: - Feed Parsing
+/**
+ * Extracts the text of the first matching tag, unwrapping CDATA sections
+ * @param {string} xml - XML fragment
+ * @param {Array<string>} tags - Tag names to try in order
+ * @return {string} Tag text or an empty string
+ */
+function extractTag(xml, tags) {
+  for (const tag of tags) {
+    const match = xml.match(
+        new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, "i"),
+    );
+    if (match) {
+      return match[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1").trim();
+    }
+  }
+  return "";
+}
+
+/**
+ * Parses RSS <item> or Atom <entry> elements into plain objects
+ * @param {string} xml - Feed document
+ * @return {Array<Object>} Items with title, description and date
+ */
+function parseFeedItems(xml) {
+  const blocks = xml.match(/<(item|entry)[\s>][\s\S]*?<\/\1>/gi) || [];
+
+  return blocks.map((block) => {
+    const dateText = extractTag(block, ["pubDate", "updated", "published"]);
+    const date = dateText ? new Date(dateText) : null;
+    return {
+      title: extractTag(block, ["title"]),
+      description: extractTag(block, ["description", "summary", "content"]),
+      date: date && !Number.isNaN(date.getTime()) ? date : null,
+    };
+  });
+}
+
+/**
+ * Classifies a feed item by keyword. Resolution notices win so a resolved
+ * outage does not keep a component red.
+ * @param {Object} item - Feed item
+ * @param {Object} options - Parser options
+ * @return {string} Component status
+ */
+function classifyItem(item, options) {
+  const text = `${item.title} ${item.description}`.toLowerCase();
+  const hasAny = (keywords) => keywords.some((k) => text.includes(k));
+
+  if (hasAny(options.resolvedKeywords)) return "operational";
+  if (hasAny(options.downKeywords)) return "down";
+  if (hasAny(options.degradedKeywords)) return "degraded";
+  return "operational";
+}
+
+// MARK: - Parser
+/**
+ * Parses component statuses from a status feed. The newest item mentioning
+ * a component within the lookback window decides its status; components
+ * without recent items are operational since the feed loaded.
+ * @param {Object} context - Parser context
+ * @param {Array} context.components - Array of component definitions
+ * @param {string} context.responseBody - Service URL response body
+ * @param {Object} context.options - Parser options; `feedUrl` fetches a
+ *   separate feed instead of using the service URL response
+ * @return {Promise<Array>} Array of component status objects
+ */
+async function parse({components, responseBody, options = {}}) {
+  const resolvedOptions = {...DEFAULT_OPTIONS, ...options};
+  let xml = responseBody || "";
+
+  if (resolvedOptions.feedUrl) {
+    const response = await axios.get(resolvedOptions.feedUrl, {
+      timeout: 10000,
+      maxRedirects: 5,
+      responseType: "text",
+      headers: {
+        "User-Agent": "InfinitumDownDetector/1.0",
+      },
+      ...GUARDED_REQUEST_OPTIONS,
+    });
+    xml = String(response.data);
+  }
+
+  const cutoff = Date.now() - resolvedOptions.lookbackHours * 3600 * 1000;
+  const recentItems = parseFeedItems(xml)
+      .filter((item) => item.date && item.date.getTime() >= cutoff)
+      .sort((a, b) => b.date - a.date);
+
+  return components.map((comp) => {
+    const searchTerms = getSearchTerms(comp, resolvedOptions.stripPrefixes);
+    const latest = recentItems.find((item) => {
+      const text = `${item.title} ${item.description}`.toLowerCase();
+      return searchTerms.some((term) => text.includes(term));
+    });
+
+    if (!latest) {
+      return buildComponentStatus(comp, "operational");
+    }
+
+    const status = classifyItem(latest, resolvedOptions);
+    return buildComponentStatus(comp, status, {
+      errorMessage: status === "operational" ? null : latest.title,
+    });
+  });
+}
+
+module.exports = {
+  parseFeedItems,
+  parse,
+};
+
+// Suggestions For Features and Additions Later:
+// - Support per-component feed URLs
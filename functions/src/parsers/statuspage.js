@@ -0,0 +1,199 @@
+// Filename: statuspage.js
+// Purpose: Atlassian Statuspage JSON API adapter for third-party services
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: firebase-admin, axios, parsers/common.js, url_guard.js
+// Platform Compatibility: Firebase Cloud Functions
+
+const admin = require("firebase-admin");
+const axios = require("axios");
+const {buildComponentStatus} = require("./common");
+const {GUARDED_REQUEST_OPTIONS} = require("../url_guard");
+
+// MARK: - Status Mapping
+// Maps Statuspage component statuses to our component status model
+const STATUSPAGE_STATUS_MAP = {
+  "operational": "operational",
+  "degraded_performance": "degraded",
+  "partial_outage": "degraded",
+  "major_outage": "down",
+  // Planned vendor work; maintenance components do not raise the service
+  // status, open incidents or send alerts
+  "under_maintenance": "maintenance",
+};
+
+// Fallback messages when a component has issues but no linked incident
+const STATUSPAGE_STATUS_MESSAGES = {
+  "degraded_performance": "Degraded performance reported",
+  "partial_outage": "Partial outage reported",
+  "major_outage": "Major outage reported",
+  "under_maintenance": "Under maintenance",
+};
+
+// MARK: - API Requests
+/**
+ * Builds a Statuspage API URL from the status page base URL
+ * @param {string} baseUrl - Status page URL (e.g. https://discordstatus.com/)
+ * @param {string} path - API path relative to /api/v2/
+ * @return {string} Absolute API URL
+ */
+function buildApiUrl(baseUrl, path) {
+  return new URL(`api/v2/${path}`, baseUrl.endsWith("/") ?
+    baseUrl :
+    `${baseUrl}/`).toString();
+}
+
+/**
+ * Fetches a JSON document from the Statuspage API
+ * @param {string} baseUrl - Status page URL
+ * @param {string} path - API path relative to /api/v2/
+ * @return {Promise<Object>} Parsed JSON response
+ */
+async function fetchStatuspageJson(baseUrl, path) {
+  const response = await axios.get(buildApiUrl(baseUrl, path), {
+    timeout: 10000,
+    maxRedirects: 5,
+    headers: {
+      "User-Agent": "InfinitumDownDetector/1.0",
+      "Accept": "application/json",
+    },
+    ...GUARDED_REQUEST_OPTIONS,
+  });
+
+  if (typeof response.data !== "object" || response.data === null) {
+    throw new Error(`Unexpected Statuspage response for ${path}`);
+  }
+  return response.data;
+}
+
+/**
+ * Fetches the Statuspage summary with its unresolved incidents.
+ * summary.json already embeds unresolved incidents; the dedicated
+ * incidents endpoint is only requested when a page omits them.
+ * @param {string} baseUrl - Status page URL
+ * @return {Promise<Object>} Object with components and incidents arrays
+ */
+async function fetchStatuspageSummary(baseUrl) {
+  const summary = await fetchStatuspageJson(baseUrl, "summary.json");
+  let incidents = summary.incidents;
+
+  if (!Array.isArray(incidents)) {
+    try {
+      const unresolved = await fetchStatuspageJson(
+          baseUrl,
+          "incidents/unresolved.json",
+      );
+      incidents = unresolved.incidents;
+    } catch (e) {
+      console.warn(
+          `Could not load unresolved incidents from ${baseUrl}:`,
+          e.message,
+      );
+    }
+  }
+
+  return {
+    components: Array.isArray(summary.components) ? summary.components : [],
+    incidents: Array.isArray(incidents) ? incidents : [],
+  };
+}
+
+// MARK: - Component Parsing
+/**
+ * Finds the vendor component matching one of our component definitions.
+ * Matches on `statuspageName` when the definition sets one, otherwise on
+ * the component name (case-insensitive).
+ * @param {Array} vendorComponents - Components from summary.json
+ * @param {Object} comp - Our component definition
+ * @return {Object|undefined} Matching vendor component
+ */
+function findVendorComponent(vendorComponents, comp) {
+  const targetName = (comp.statuspageName || comp.name).toLowerCase();
+  return vendorComponents.find((vc) =>
+    typeof vc.name === "string" && vc.name.toLowerCase() === targetName,
+  );
+}
+
+/**
+ * Collects the titles of unresolved incidents affecting a vendor component
+ * @param {Array} incidents - Unresolved incidents from the Statuspage API
+ * @param {Object} vendorComponent - Vendor component
+ * @return {Array<string>} Incident titles
+ */
+function getIncidentTitles(incidents, vendorComponent) {
+  return incidents
+      .filter((incident) => (incident.components || []).some((c) =>
+        c.id === vendorComponent.id ||
+        (vendorComponent.group === true && c.group_id === vendorComponent.id),
+      ))
+      .map((incident) => incident.name)
+      .filter((name) => typeof name === "string" && name.length > 0);
+}
+
+/**
+ * Maps a Statuspage summary onto our component definitions
+ * @param {Object} summary - Object with components and incidents arrays
+ * @param {Array} components - Array of component definitions
+ * @return {Array} Array of component status objects
+ */
+function mapStatuspageSummary(summary, components) {
+  const now = admin.firestore.Timestamp.now();
+
+  return components.map((comp) => {
+    const vendorComponent = findVendorComponent(summary.components, comp);
+    let status = "unknown";
+    let errorMessage = null;
+
+    if (vendorComponent) {
+      status = STATUSPAGE_STATUS_MAP[vendorComponent.status] || "unknown";
+
+      if (status !== "operational") {
+        const titles = getIncidentTitles(summary.incidents, vendorComponent);
+        errorMessage = titles.length > 0 ?
+          titles.join("; ") :
+          STATUSPAGE_STATUS_MESSAGES[vendorComponent.status] || null;
+      }
+    }
+
+    return buildComponentStatus(comp, status, {
+      lastChecked: now,
+      errorMessage: errorMessage,
+    });
+  });
+}
+
+/**
+ * Fetches a Statuspage-hosted status page and maps it onto our components
+ * @param {string} baseUrl - Status page URL
+ * @param {Array} components - Array of component definitions
+ * @return {Promise<Array>} Array of component status objects
+ */
+async function parseStatuspageComponents(baseUrl, components) {
+  const summary = await fetchStatuspageSummary(baseUrl);
+  return mapStatuspageSummary(summary, components);
+}
+
+// MARK: - Parser
+/**
+ * Registry entry point. Uses `parserOptions.baseUrl` when set, otherwise
+ * the service URL is assumed to be the Statuspage root.
+ * @param {Object} context - Parser context
+ * @param {Object} context.service - Service definition
+ * @param {Array} context.components - Array of component definitions
+ * @param {Object} context.options - Parser options from the service
+ * @return {Promise<Array>} Array of component status objects
+ */
+async function parse({service, components, options = {}}) {
+  return parseStatuspageComponents(options.baseUrl || service.url, components);
+}
+
+module.exports = {
+  STATUSPAGE_STATUS_MAP,
+  fetchStatuspageSummary,
+  mapStatuspageSummary,
+  parseStatuspageComponents,
+  parse,
+};
+
+// Suggestions For Features and Additions Later:
+// - Surface scheduled maintenances from scheduled-maintenances/upcoming.json
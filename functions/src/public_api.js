@@ -0,0 +1,872 @@
+// Filename: public_api.js
+// Purpose: Read-only public REST status API (Statuspage-style JSON)
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: firebase-admin, catalog.js, status_cache.js, incidents.js,
+//   badges.js, feeds.js, rollups.js, maintenance.js
+// Platform Compatibility: Firebase Cloud Functions
+
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const {SERVICE_TYPES, loadServiceCatalog} = require("./catalog");
+const {
+  STATUS_CACHE_COLLECTION,
+  STATUS_HISTORY_COLLECTION,
+  LAST_UPDATE_DOC_ID,
+  loadCachedStatuses,
+} = require("./status_cache");
+const {INCIDENTS_COLLECTION} = require("./incidents");
+const {
+  isUptimeWindow,
+  buildServiceBadge,
+  buildNotFoundBadge,
+  buildInvalidWindowBadge,
+} = require("./badges");
+const {
+  FEED_FORMATS,
+  FEED_ID_PREFIX,
+  buildFeedItems,
+  renderFeed,
+} = require("./feeds");
+const {
+  HOURLY_COLLECTION,
+  DAILY_COLLECTION,
+  ROLLUPS_COLLECTION,
+  parseMonth,
+  computeMonthlySla,
+} = require("./rollups");
+const {getOccurrence, loadMaintenanceWindows} = require("./maintenance");
+
+// MARK: - Constants
+const PAGE_ID = "infinitum-down-detector";
+const PAGE_NAME = "Infinitum Down Detector";
+const SERVICE_ID_SEGMENT = "([a-z0-9][a-z0-9-]{0,62})";
+const DEFAULT_HISTORY_HOURS = 24;
+const MAX_HISTORY_DAYS = 31;
+const MAX_HISTORY_ENTRIES = 1000;
+const MAX_INCIDENTS = 50;
+
+// Cache-Control max-age per route, in seconds
+const STATUS_MAX_AGE = 60;
+const HISTORY_MAX_AGE = 300;
+const STATUS_BADGE_MAX_AGE = 120;
+const UPTIME_BADGE_MAX_AGE = 3600;
+const FEED_MAX_AGE = 300;
+const ROLLUP_MAX_AGE = 300;
+
+// Default and maximum range per rollup period, in days
+const ROLLUP_RANGES = {
+  hour: {collection: HOURLY_COLLECTION, defaultDays: 1, maxDays: 7},
+  day: {collection: DAILY_COLLECTION, defaultDays: 30, maxDays: 366},
+};
+
+// Statuspage component statuses for our service statuses
+const COMPONENT_STATUS_MAP = {
+  "operational": "operational",
+  "degraded": "degraded_performance",
+  "down": "major_outage",
+  "maintenance": "under_maintenance",
+};
+
+// Statuspage incident impact for our incident types
+const INCIDENT_IMPACT_MAP = {
+  "outage": "major",
+  "degraded": "minor",
+  "maintenance": "maintenance",
+  "security": "critical",
+};
+
+// MARK: - Errors
+/**
+ * Creates an error that is returned to the client with an HTTP status
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @return {Error} Error with statusCode
+ */
+function apiError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// MARK: - Formatting
+/**
+ * Converts a Firestore timestamp to an ISO 8601 string
+ * @param {*} value - Timestamp, Date or null
+ * @return {string|null} ISO 8601 string
+ */
+function toIso(value) {
+  if (!value) return null;
+  if (typeof value.toDate === "function") return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  return null;
+}
+
+/**
+ * Maps one of our statuses to a Statuspage component status. Statuses
+ * Statuspage has no equivalent for (unknown) are passed through.
+ * @param {string} status - Service or component status
+ * @return {string} Component status
+ */
+function toComponentStatus(status) {
+  return COMPONENT_STATUS_MAP[status] || status || "unknown";
+}
+
+/**
+ * Builds the Statuspage-style component entries for a service and its
+ * components. Services with components become groups; child ids are
+ * prefixed with the service id so they are unique across the page.
+ * @param {Object} service - Service definition
+ * @param {Object|undefined} cached - Cached status document
+ * @param {number} position - Position of the service on the page
+ * @return {Array<Object>} Component entries, group first
+ */
+function buildComponents(service, cached, position) {
+  const updatedAt = toIso(cached?.lastChecked);
+  const cachedComponents = new Map(
+      (cached?.components || []).map((c) => [c.id, c]),
+  );
+  const children = (service.components || []).map((comp, index) => {
+    const status = cachedComponents.get(comp.id)?.status || "unknown";
+    return {
+      id: `${service.id}.${comp.id}`,
+      name: comp.name,
+      status: toComponentStatus(status),
+      raw_status: status,
+      description: cachedComponents.get(comp.id)?.errorMessage || null,
+      position: index + 1,
+      group: false,
+      group_id: service.id,
+      updated_at: toIso(cachedComponents.get(comp.id)?.lastChecked) ||
+        updatedAt,
+    };
+  });
+
+  const status = cached?.status || "unknown";
+  const entry = {
+    id: service.id,
+    name: service.name,
+    status: toComponentStatus(status),
+    raw_status: status,
+    description: cached?.errorMessage || null,
+    position: position,
+    group: children.length > 0,
+    group_id: null,
+    components: children.map((c) => c.id),
+    updated_at: updatedAt,
+    url: service.url,
+    type: service.type,
+    response_time_ms: cached?.responseTimeMs ?? null,
+    consecutive_failures: cached?.consecutiveFailures ?? 0,
+    last_up_time: toIso(cached?.lastUpTime),
+    impacted_by: (cached?.impactedBy || []).map((d) => d.id),
+    root_cause: cached?.rootCause?.id || null,
+  };
+
+  return [entry, ...children];
+}
+
+/**
+ * Summarizes the page status like Statuspage's status indicator
+ * @param {Array<string>} statuses - Service statuses
+ * @return {Object} Object with indicator and description
+ */
+function buildPageStatus(statuses) {
+  if (statuses.includes("down")) {
+    return {indicator: "major", description: "Major Service Outage"};
+  }
+  if (statuses.includes("degraded")) {
+    return {indicator: "minor", description: "Minor Service Outage"};
+  }
+  if (statuses.includes("maintenance")) {
+    return {indicator: "maintenance", description: "Service Under Maintenance"};
+  }
+  return {indicator: "none", description: "All Systems Operational"};
+}
+
+/**
+ * Converts an incident document to a Statuspage-style incident
+ * @param {string} id - Incident id
+ * @param {Object} data - Incident document data
+ * @return {Object} Incident
+ */
+function formatIncident(id, data) {
+  const components = [{id: data.serviceId, name: data.serviceName}];
+  for (const componentId of data.affectedComponents || []) {
+    components.push({id: `${data.serviceId}.${componentId}`});
+  }
+  // Services impacted by this root-cause incident
+  for (const serviceId of data.impactedServices || []) {
+    components.push({id: serviceId});
+  }
+
+  return {
+    id: id,
+    name: data.title || "",
+    status: data.status || "investigating",
+    impact: INCIDENT_IMPACT_MAP[data.type] || "none",
+    created_at: toIso(data.createdAt || data.startTime),
+    updated_at: toIso(data.updatedAt),
+    started_at: toIso(data.startTime),
+    resolved_at: toIso(data.endTime),
+    incident_updates: (data.updates || [])
+        .map((update) => ({
+          status: update.status || data.status,
+          body: update.message || "",
+          created_at: toIso(update.timestamp),
+        }))
+        .reverse(),
+    components: components,
+    automated: data.automated === true,
+  };
+}
+
+/**
+ * Converts a maintenance window to a Statuspage-style scheduled
+ * maintenance for its current or next occurrence
+ * @param {Object} window - Maintenance window
+ * @param {number} nowMs - Current time in milliseconds
+ * @return {Object} Scheduled maintenance
+ */
+function formatMaintenance(window, nowMs) {
+  const {startMs, endMs} = getOccurrence(window, nowMs);
+  const components = window.componentIds.length > 0 ?
+    window.serviceIds.flatMap((serviceId) =>
+      window.componentIds.map((id) => ({id: `${serviceId}.${id}`})),
+    ) :
+    window.serviceIds.map((id) => ({id: id}));
+
+  return {
+    id: window.id,
+    name: window.title,
+    status: startMs <= nowMs ? "in_progress" : "scheduled",
+    impact: "maintenance",
+    scheduled_for: new Date(startMs).toISOString(),
+    scheduled_until: new Date(endMs).toISOString(),
+    recurrence: window.recurrence?.frequency || null,
+    incident_updates: [{
+      status: "scheduled",
+      body: window.message,
+      created_at: new Date(window.startMs).toISOString(),
+    }],
+    components: components,
+  };
+}
+
+/**
+ * Builds the page object shared by every response
+ * @param {string|null} updatedAt - Time of the last scheduled check
+ * @return {Object} Page
+ */
+function buildPage(updatedAt) {
+  return {
+    id: PAGE_ID,
+    name: PAGE_NAME,
+    url: process.env.PUBLIC_STATUS_PAGE_URL || null,
+    time_zone: "Etc/UTC",
+    updated_at: updatedAt,
+  };
+}
+
+// MARK: - Data Access
+/**
+ * Loads the time of the last scheduled check
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @return {Promise<string|null>} ISO 8601 time
+ */
+async function loadLastUpdate(db) {
+  const doc = await db.collection(STATUS_CACHE_COLLECTION)
+      .doc(LAST_UPDATE_DOC_ID)
+      .get();
+  return doc.exists ? toIso(doc.data().timestamp) : null;
+}
+
+/**
+ * Loads the most recent incidents, newest first
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {number} limit - Maximum incidents to load
+ * @return {Promise<Array>} Incidents
+ */
+async function loadRecentIncidents(db, limit = MAX_INCIDENTS) {
+  const snapshot = await db.collection(INCIDENTS_COLLECTION)
+      .orderBy("startTime", "desc")
+      .limit(limit)
+      .get();
+  return snapshot.docs.map((doc) => formatIncident(doc.id, doc.data()));
+}
+
+/**
+ * Finds an enabled catalog service by id
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} serviceId - Service id
+ * @return {Promise<Object>} Service definition
+ */
+async function findService(db, serviceId) {
+  const services = await loadServiceCatalog(db);
+  const index = services.findIndex((s) => s.id === serviceId);
+  if (index === -1) throw apiError(404, `Unknown service ${serviceId}`);
+  return {service: services[index], position: index + 1};
+}
+
+// MARK: - Route Handlers
+/**
+ * GET /v1/status - Page status, every service and unresolved incidents
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @return {Promise<Object>} Response body and max age
+ */
+async function getStatusSummary(db) {
+  const [
+    services,
+    cachedStatuses,
+    updatedAt,
+    incidents,
+    maintenanceWindows,
+  ] = await Promise.all([
+    loadServiceCatalog(db),
+    loadCachedStatuses(db),
+    loadLastUpdate(db),
+    loadRecentIncidents(db),
+    loadMaintenanceWindows(db),
+  ]);
+  const nowMs = Date.now();
+
+  const components = services.flatMap((service, index) =>
+    buildComponents(service, cachedStatuses.get(service.id), index + 1),
+  );
+  const statuses = services.map((s) =>
+    cachedStatuses.get(s.id)?.status || "unknown",
+  );
+
+  return {
+    body: {
+      page: buildPage(updatedAt),
+      status: buildPageStatus(statuses),
+      components: components,
+      incidents: incidents.filter((i) => i.status !== "resolved"),
+      scheduled_maintenances: maintenanceWindows
+          .map((window) => formatMaintenance(window, nowMs))
+          .sort((a, b) => a.scheduled_for.localeCompare(b.scheduled_for)),
+    },
+    maxAge: STATUS_MAX_AGE,
+  };
+}
+
+/**
+ * GET /v1/services/:id - One service with its components
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} req - HTTP request
+ * @param {Array<string>} params - Route parameters (service id)
+ * @return {Promise<Object>} Response body and max age
+ */
+async function getServiceStatus(db, req, [serviceId]) {
+  const {service, position} = await findService(db, serviceId);
+  const cachedStatuses = await loadCachedStatuses(db, [serviceId]);
+  const [entry, ...children] = buildComponents(
+      service,
+      cachedStatuses.get(serviceId),
+      position,
+  );
+
+  return {
+    body: {
+      page: buildPage(entry.updated_at),
+      component: {...entry, components: children},
+    },
+    maxAge: STATUS_MAX_AGE,
+  };
+}
+
+/**
+ * Parses an optional ISO 8601 query parameter
+ * @param {*} value - Query parameter value
+ * @param {string} name - Parameter name for error messages
+ * @return {Date|null} Parsed date, or null if absent
+ */
+function parseDateParam(value, name) {
+  if (value == null || value === "") return null;
+  const date = new Date(String(value));
+  if (Number.isNaN(date.getTime())) {
+    throw apiError(400, `${name} must be an ISO 8601 date`);
+  }
+  return date;
+}
+
+/**
+ * GET /v1/services/:id/history?from&to - Check history for a service.
+ * Defaults to the last 24 hours; ranges are capped at 31 days.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} req - HTTP request
+ * @param {Array<string>} params - Route parameters (service id)
+ * @return {Promise<Object>} Response body and max age
+ */
+async function getServiceHistory(db, req, [serviceId]) {
+  await findService(db, serviceId);
+
+  const to = parseDateParam(req.query.to, "to") || new Date();
+  const from = parseDateParam(req.query.from, "from") ||
+    new Date(to.getTime() - DEFAULT_HISTORY_HOURS * 60 * 60 * 1000);
+  if (from > to) throw apiError(400, "from must be before to");
+  if (to - from > MAX_HISTORY_DAYS * 24 * 60 * 60 * 1000) {
+    throw apiError(400, `Range must be at most ${MAX_HISTORY_DAYS} days`);
+  }
+
+  const snapshot = await db.collection(STATUS_HISTORY_COLLECTION)
+      .doc(serviceId)
+      .collection("entries")
+      .where("timestamp", ">=", admin.firestore.Timestamp.fromDate(from))
+      .where("timestamp", "<=", admin.firestore.Timestamp.fromDate(to))
+      .orderBy("timestamp")
+      .limit(MAX_HISTORY_ENTRIES)
+      .get();
+
+  return {
+    body: {
+      service_id: serviceId,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      truncated: snapshot.size === MAX_HISTORY_ENTRIES,
+      entries: snapshot.docs.map((doc) => {
+        const entry = doc.data();
+        return {
+          timestamp: toIso(entry.timestamp),
+          status: toComponentStatus(entry.status),
+          raw_status: entry.status,
+          response_time_ms: entry.responseTimeMs ?? null,
+          error_message: entry.errorMessage || null,
+        };
+      }),
+    },
+    maxAge: HISTORY_MAX_AGE,
+  };
+}
+
+/**
+ * GET /v1/incidents - The 50 most recent incidents, newest first
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @return {Promise<Object>} Response body and max age
+ */
+async function getIncidents(db) {
+  const [incidents, updatedAt] = await Promise.all([
+    loadRecentIncidents(db),
+    loadLastUpdate(db),
+  ]);
+
+  return {
+    body: {
+      page: buildPage(updatedAt),
+      incidents: incidents,
+    },
+    maxAge: STATUS_MAX_AGE,
+  };
+}
+
+/**
+ * GET /badge/:id.svg - Shields-style status or uptime badge. Unknown ids
+ * and unsupported uptime windows get an error badge so embedded images
+ * never break.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} req - HTTP request
+ * @param {Array<string>} params - Route parameters (service id)
+ * @return {Promise<Object>} Response body, content type and max age
+ */
+async function getServiceBadge(db, req, [serviceId]) {
+  const services = await loadServiceCatalog(db);
+  const service = services.find((s) => s.id === serviceId);
+  const svg = {contentType: "image/svg+xml; charset=utf-8"};
+
+  if (!service) {
+    return {
+      ...svg,
+      statusCode: 404,
+      body: buildNotFoundBadge(req.query),
+      maxAge: STATUS_BADGE_MAX_AGE,
+    };
+  }
+  if (req.query.uptime && !isUptimeWindow(req.query.uptime)) {
+    return {
+      ...svg,
+      statusCode: 400,
+      body: buildInvalidWindowBadge(req.query),
+      maxAge: STATUS_BADGE_MAX_AGE,
+    };
+  }
+
+  const cachedStatuses = req.query.uptime ?
+    new Map() :
+    await loadCachedStatuses(db, [serviceId]);
+  return {
+    ...svg,
+    body: await buildServiceBadge(
+        db,
+        service,
+        cachedStatuses.get(serviceId),
+        req.query,
+    ),
+    maxAge: req.query.uptime ? UPTIME_BADGE_MAX_AGE : STATUS_BADGE_MAX_AGE,
+    staleWhileRevalidate: 24 * 60 * 60,
+  };
+}
+
+/**
+ * Converts a rollup document to its API representation
+ * @param {Object} rollup - Hourly or daily rollup document
+ * @return {Object} Rollup
+ */
+function formatRollup(rollup) {
+  return {
+    period: rollup.period,
+    start: toIso(rollup.start),
+    end: toIso(rollup.end),
+    checks: rollup.checks,
+    status_counts: rollup.statusCounts,
+    time_in_status_ms: rollup.timeInStatusMs,
+    uptime_percent: rollup.uptimePercent,
+    failure_count: rollup.failureCount,
+    outage_count: rollup.outageCount,
+    response_time_ms: rollup.responseTimeMs,
+  };
+}
+
+/**
+ * GET /v1/services/:id/rollups?period&from&to - Hourly (default, last 24
+ * hours, at most 7 days) or daily (last 30 days, at most 366) rollups
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} req - HTTP request
+ * @param {Array<string>} params - Route parameters (service id)
+ * @return {Promise<Object>} Response body and max age
+ */
+async function getServiceRollups(db, req, [serviceId]) {
+  await findService(db, serviceId);
+
+  const period = req.query.period || "hour";
+  const range = ROLLUP_RANGES[period];
+  if (!range) throw apiError(400, "period must be hour or day");
+
+  const dayMs = 24 * 60 * 60 * 1000;
+  const to = parseDateParam(req.query.to, "to") || new Date();
+  const from = parseDateParam(req.query.from, "from") ||
+    new Date(to.getTime() - range.defaultDays * dayMs);
+  if (from > to) throw apiError(400, "from must be before to");
+  if (to - from > range.maxDays * dayMs) {
+    throw apiError(400, `Range must be at most ${range.maxDays} days`);
+  }
+
+  const snapshot = await db.collection(ROLLUPS_COLLECTION)
+      .doc(serviceId)
+      .collection(range.collection)
+      .where("start", ">=", admin.firestore.Timestamp.fromDate(from))
+      .where("start", "<=", admin.firestore.Timestamp.fromDate(to))
+      .orderBy("start")
+      .get();
+
+  return {
+    body: {
+      service_id: serviceId,
+      period: period,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      rollups: snapshot.docs.map((doc) => formatRollup(doc.data())),
+    },
+    maxAge: ROLLUP_MAX_AGE,
+  };
+}
+
+/**
+ * Parses the month query parameter, defaulting to the current UTC month
+ * @param {*} value - Query parameter value
+ * @return {string} Month, e.g. 2026-10
+ */
+function parseMonthParam(value) {
+  const month = value ? String(value) : new Date().toISOString().slice(0, 7);
+  if (!parseMonth(month)) throw apiError(400, "month must be YYYY-MM");
+  return month;
+}
+
+/**
+ * Converts an SLA report to its API representation
+ * @param {Object} sla - Report from computeMonthlySla
+ * @return {Object} SLA
+ */
+function formatSla(sla) {
+  return {
+    service_id: sla.serviceId,
+    month: sla.month,
+    complete: sla.complete,
+    target_percent: sla.targetPercent,
+    uptime_percent: sla.uptimePercent,
+    met: sla.met,
+    measured_ms: sla.measuredMs,
+    downtime_ms: sla.downtimeMs,
+    allowed_downtime_ms: sla.allowedDowntimeMs,
+    remaining_downtime_ms: sla.remainingDowntimeMs,
+    outage_count: sla.outageCount,
+    time_in_status_ms: sla.timeInStatusMs,
+  };
+}
+
+/**
+ * GET /v1/services/:id/sla?month - Monthly SLA for one service
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} req - HTTP request
+ * @param {Array<string>} params - Route parameters (service id)
+ * @return {Promise<Object>} Response body and max age
+ */
+async function getServiceSla(db, req, [serviceId]) {
+  const month = parseMonthParam(req.query.month);
+  const {service} = await findService(db, serviceId);
+  return {
+    body: formatSla(await computeMonthlySla(db, service, month)),
+    maxAge: ROLLUP_MAX_AGE,
+  };
+}
+
+/**
+ * GET /v1/sla?month - Monthly SLA for every service
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} req - HTTP request
+ * @return {Promise<Object>} Response body and max age
+ */
+async function getSlaSummary(db, req) {
+  const month = parseMonthParam(req.query.month);
+  const services = await loadServiceCatalog(db);
+  const reports = await Promise.all(services.map((service) =>
+    computeMonthlySla(db, service, month),
+  ));
+  return {
+    body: {month: month, services: reports.map(formatSla)},
+    maxAge: ROLLUP_MAX_AGE,
+  };
+}
+
+/**
+ * Returns the public URL of the current request, for feed self links.
+ * PUBLIC_API_URL sets the base when the function sits behind a proxy.
+ * @param {Object} req - HTTP request
+ * @param {string} path - Route path without the /api prefix
+ * @return {string} Absolute URL including the query string
+ */
+function buildRequestUrl(req, path) {
+  const queryIndex = req.originalUrl.indexOf("?");
+  const query = queryIndex === -1 ? "" : req.originalUrl.slice(queryIndex);
+  const base = process.env.PUBLIC_API_URL;
+  return base ?
+    `${base.replace(/\/+$/, "")}${path}${query}` :
+    `https://${req.get("host")}${req.originalUrl}`;
+}
+
+/**
+ * Builds and renders a feed of status changes and incident updates
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} req - HTTP request
+ * @param {string} format - atom, rss or json
+ * @param {Array} services - Services included in the feed
+ * @param {Object} scope - id (feed id suffix), title and path
+ * @return {Promise<Object>} Response body, content type and max age
+ */
+async function buildFeedResult(db, req, format, services, scope) {
+  const [items, updatedAt] = await Promise.all([
+    buildFeedItems(db, services),
+    loadLastUpdate(db),
+  ]);
+  const updated = items[0]?.date ||
+    (updatedAt ? new Date(updatedAt) : new Date(0));
+
+  return {
+    body: renderFeed(format, {
+      id: `${FEED_ID_PREFIX}:feed:${scope.id}`,
+      title: scope.title,
+      description: `Status changes and incident updates from ${PAGE_NAME}`,
+      feedUrl: buildRequestUrl(req, scope.path),
+      homeUrl: process.env.PUBLIC_STATUS_PAGE_URL || null,
+      author: PAGE_NAME,
+      updated: updated,
+      items: items,
+    }),
+    contentType: FEED_FORMATS[format],
+    maxAge: FEED_MAX_AGE,
+  };
+}
+
+/**
+ * GET /v1/feed.{atom,rss,json}?service&type - Feed for every service,
+ * optionally narrowed to one service id or a service type
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} req - HTTP request
+ * @param {Array<string>} params - Route parameters (format)
+ * @return {Promise<Object>} Response body, content type and max age
+ */
+async function getFeed(db, req, [format]) {
+  const {service: serviceId, type} = req.query;
+  if (serviceId) return getServiceFeed(db, req, [String(serviceId), format]);
+  if (type && !SERVICE_TYPES.includes(type)) {
+    throw apiError(400, `type must be one of ${SERVICE_TYPES.join(", ")}`);
+  }
+
+  const services = (await loadServiceCatalog(db))
+      .filter((s) => !type || s.type === type);
+  return buildFeedResult(db, req, format, services, {
+    id: type ? `type:${type}` : "all",
+    title: PAGE_NAME,
+    path: `/v1/feed.${format}`,
+  });
+}
+
+/**
+ * GET /v1/services/:id/feed.{atom,rss,json} - Feed for one service
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} req - HTTP request
+ * @param {Array<string>} params - Route parameters (service id, format)
+ * @return {Promise<Object>} Response body, content type and max age
+ */
+async function getServiceFeed(db, req, [serviceId, format]) {
+  const {service} = await findService(db, serviceId);
+  return buildFeedResult(db, req, format, [service], {
+    id: `service:${service.id}`,
+    title: `${service.name} - ${PAGE_NAME}`,
+    path: `/v1/services/${service.id}/feed.${format}`,
+  });
+}
+
+const ROUTES = [
+  {pattern: /^\/v1\/status$/, handler: getStatusSummary},
+  {
+    pattern: new RegExp(`^/v1/services/${SERVICE_ID_SEGMENT}$`),
+    handler: getServiceStatus,
+  },
+  {
+    pattern: new RegExp(`^/v1/services/${SERVICE_ID_SEGMENT}/history$`),
+    handler: getServiceHistory,
+  },
+  {
+    pattern: new RegExp(`^/v1/services/${SERVICE_ID_SEGMENT}/rollups$`),
+    handler: getServiceRollups,
+  },
+  {
+    pattern: new RegExp(`^/v1/services/${SERVICE_ID_SEGMENT}/sla$`),
+    handler: getServiceSla,
+  },
+  {pattern: /^\/v1\/sla$/, handler: getSlaSummary},
+  {pattern: /^\/v1\/incidents$/, handler: getIncidents},
+  {pattern: /^\/v1\/feed\.(atom|rss|json)$/, handler: getFeed},
+  {
+    pattern: new RegExp(
+        `^/v1/services/${SERVICE_ID_SEGMENT}/feed\\.(atom|rss|json)$`,
+    ),
+    handler: getServiceFeed,
+  },
+  {
+    pattern: new RegExp(`^/badge/${SERVICE_ID_SEGMENT}\\.svg$`),
+    handler: getServiceBadge,
+  },
+];
+
+// MARK: - HTTP Handling
+/**
+ * Sets the CORS headers; the API is public and read-only
+ * @param {Object} res - HTTP response
+ */
+function setCorsHeaders(res) {
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Methods", "GET, HEAD, OPTIONS");
+  res.set("Access-Control-Allow-Headers", "If-None-Match");
+  res.set("Access-Control-Expose-Headers", "ETag");
+  res.set("Access-Control-Max-Age", "3600");
+}
+
+/**
+ * Sends a route result with an ETag and Cache-Control, answering 304 when
+ * the client's copy is current. Object bodies are sent as JSON.
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {Object} result - body, maxAge and optional contentType,
+ *   statusCode and staleWhileRevalidate (seconds)
+ */
+function sendResult(req, res, result) {
+  const {maxAge, statusCode = 200, staleWhileRevalidate = 0} = result;
+  const isText = typeof result.body === "string";
+  const payload = isText ? result.body : JSON.stringify(result.body);
+  const hash = crypto.createHash("sha1").update(payload).digest("base64url");
+  const etag = `W/"${hash}"`;
+
+  res.set("ETag", etag);
+  res.set("Cache-Control", [
+    "public",
+    `max-age=${maxAge}`,
+    `s-maxage=${maxAge}`,
+    ...(staleWhileRevalidate ?
+      [`stale-while-revalidate=${staleWhileRevalidate}`] :
+      []),
+  ].join(", "));
+
+  const ifNoneMatch = req.get("If-None-Match");
+  if (statusCode === 200 && ifNoneMatch &&
+      ifNoneMatch.split(",").some((t) => t.trim() === etag)) {
+    res.status(304).end();
+    return;
+  }
+  res.status(statusCode)
+      .type(result.contentType || "application/json")
+      .send(payload);
+}
+
+/**
+ * Sends an error body in the API's error format
+ * @param {Object} res - HTTP response
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ */
+function sendError(res, statusCode, message) {
+  res.set("Cache-Control", "no-store");
+  res.status(statusCode).json({error: {status: statusCode, message: message}});
+}
+
+/**
+ * Routes a public API request. Paths may be prefixed with /api when the
+ * function is served through a Hosting rewrite.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @return {Promise<void>}
+ */
+async function handlePublicApiRequest(db, req, res) {
+  setCorsHeaders(res);
+
+  if (req.method === "OPTIONS") {
+    res.status(204).end();
+    return;
+  }
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.set("Allow", "GET, HEAD, OPTIONS");
+    sendError(res, 405, "Method not allowed");
+    return;
+  }
+
+  const path = req.path.replace(/^\/api(?=\/)/, "").replace(/\/+$/, "");
+  for (const route of ROUTES) {
+    const match = path.match(route.pattern);
+    if (!match) continue;
+
+    try {
+      sendResult(req, res, await route.handler(db, req, match.slice(1)));
+    } catch (e) {
+      if (e.statusCode) {
+        sendError(res, e.statusCode, e.message);
+      } else {
+        console.error(`Public API error for ${path}:`, e);
+        sendError(res, 500, "Internal error");
+      }
+    }
+    return;
+  }
+
+  sendError(res, 404, "Not found");
+}
+
+module.exports = {
+  handlePublicApiRequest,
+  formatIncident,
+  buildComponents,
+};
+
+// Suggestions For Features and Additions Later:
+// - Add /v1/incidents/:id and an unresolved incidents route
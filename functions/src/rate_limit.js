@@ -0,0 +1,207 @@
+// Filename: rate_limit.js
+// Purpose: Firestore-backed rate limits for on-demand check and report
+//   callables
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: firebase-functions, firebase-admin, auth.js
+// Platform Compatibility: Firebase Cloud Functions
+
+const crypto = require("crypto");
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+const {isAdmin} = require("./auth");
+
+// MARK: - Constants
+const RATE_LIMITS_COLLECTION = "rate_limits";
+
+// Units per window; a batch check costs one unit per service. Every call
+// also counts against its IP, so fresh (anonymous-auth) uids cannot get
+// around the IP budget; anonymous callers stop at the lower IP limit.
+const CHECK_RATE_LIMITS = {
+  user: {max: 120, windowMs: 60 * 1000},
+  ip: {max: 240, windowMs: 60 * 1000},
+  anonymousIp: {max: 60, windowMs: 60 * 1000},
+};
+
+// Reports per caller; IPs get more room since offices and mobile carriers
+// share them
+const REPORT_RATE_LIMITS = {
+  device: [
+    {name: "hour", max: 5, windowMs: 60 * 60 * 1000},
+    {name: "day", max: 20, windowMs: 24 * 60 * 60 * 1000},
+  ],
+  ip: [
+    {name: "hour", max: 20, windowMs: 60 * 60 * 1000},
+    {name: "day", max: 100, windowMs: 24 * 60 * 60 * 1000},
+  ],
+};
+
+// MARK: - Caller Access
+/**
+ * Enforces the optional caller requirements for the check callables.
+ * CHECKS_REQUIRE_APP_CHECK=true requires a valid App Check token and
+ * CHECKS_REQUIRE_AUTH=true requires a signed-in caller.
+ * @param {Object} context - Callable function context
+ */
+function assertCheckCallerAllowed(context) {
+  if (process.env.CHECKS_REQUIRE_APP_CHECK === "true" && !context?.app) {
+    throw new functions.https.HttpsError(
+        "failed-precondition",
+        "A valid App Check token is required",
+    );
+  }
+  if (process.env.CHECKS_REQUIRE_AUTH === "true" && !context?.auth) {
+    throw new functions.https.HttpsError(
+        "unauthenticated",
+        "Authentication is required",
+    );
+  }
+}
+
+/**
+ * Hashes the caller's IP address so raw IPs are never stored
+ * @param {Object} context - Callable function context
+ * @return {string|null} Hash prefix, or null without an IP
+ */
+function hashCallerIp(context) {
+  const ip = context?.rawRequest?.ip;
+  if (!ip) return null;
+  return crypto.createHash("sha256").update(ip).digest("hex").slice(0, 32);
+}
+
+/**
+ * Lists the counters a check call consumes: the uid and the IP for
+ * signed-in callers, the IP alone for anonymous callers. IPs are hashed
+ * so raw addresses are never stored.
+ * @param {Object} context - Callable function context
+ * @return {Array} Objects with key and limit; empty if unidentifiable
+ */
+function identifyCallerCounters(context) {
+  const ipHash = hashCallerIp(context);
+  const ipKey = ipHash && `ip_${ipHash}`;
+
+  if (context?.auth?.uid) {
+    return [
+      {key: `uid_${context.auth.uid}`, limit: CHECK_RATE_LIMITS.user},
+      ...(ipKey ? [{key: ipKey, limit: CHECK_RATE_LIMITS.ip}] : []),
+    ];
+  }
+  return ipKey ? [{key: ipKey, limit: CHECK_RATE_LIMITS.anonymousIp}] : [];
+}
+
+// MARK: - Rate Limiting
+/**
+ * Consumes units from fixed-window counters in one transaction. Every
+ * counter is checked before any is written, so a request refused by one
+ * limit spends nothing; resource-exhausted is thrown for the first
+ * counter whose window budget is used up.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Array} counters - Objects with key (counter document id) and
+ *   limit (max and windowMs)
+ * @param {number} cost - Units to consume from each counter
+ * @return {Promise<void>}
+ */
+async function consumeRateLimits(db, counters, cost = 1) {
+  if (counters.length === 0) return;
+  const refs = counters.map((counter) =>
+    db.collection(RATE_LIMITS_COLLECTION).doc(counter.key));
+
+  await db.runTransaction(async (transaction) => {
+    const docs = await Promise.all(refs.map((ref) => transaction.get(ref)));
+    const nowMs = Date.now();
+
+    const updates = counters.map(({limit}, index) => {
+      const data = docs[index].exists ? docs[index].data() : null;
+      const inWindow = data && nowMs - data.windowStartMs < limit.windowMs;
+      const windowStartMs = inWindow ? data.windowStartMs : nowMs;
+      const count = (inWindow ? data.count : 0) + cost;
+
+      if (count > limit.max) {
+        const retryAfterSeconds =
+          Math.ceil((windowStartMs + limit.windowMs - nowMs) / 1000);
+        throw new functions.https.HttpsError(
+            "resource-exhausted",
+            `Rate limit exceeded, try again in ${retryAfterSeconds}s`,
+            {retryAfterSeconds: retryAfterSeconds},
+        );
+      }
+
+      return {
+        windowStartMs: windowStartMs,
+        count: count,
+        // Lets a Firestore TTL policy clean up idle counters
+        expiresAt: admin.firestore.Timestamp.fromMillis(
+            windowStartMs + limit.windowMs,
+        ),
+      };
+    });
+
+    updates.forEach((update, index) => transaction.set(refs[index], update));
+  });
+}
+
+/**
+ * Applies the caller requirements and rate limits for a check callable.
+ * Admins are exempt from the rate limit. Counter failures are logged and
+ * let the request through so a Firestore hiccup cannot block checks.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} context - Callable function context
+ * @param {number} cost - Units the request costs (services checked)
+ * @return {Promise<void>}
+ */
+async function enforceCheckLimits(db, context, cost = 1) {
+  assertCheckCallerAllowed(context);
+  if (isAdmin(context)) return;
+
+  try {
+    await consumeRateLimits(db, identifyCallerCounters(context), cost);
+  } catch (e) {
+    if (e instanceof functions.https.HttpsError) throw e;
+    console.warn("Could not apply rate limit:", e.message);
+  }
+}
+
+/**
+ * Applies the report limits per IP and per device (signed-in callers count
+ * as their uid's device) in one transaction, so a report refused by any
+ * limit spends none of the others. Admins are exempt. Counter failures
+ * are logged and let the report through.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} context - Callable function context
+ * @param {string|null} deviceId - Installation id sent by the client
+ * @return {Promise<void>}
+ */
+async function enforceReportLimits(db, context, deviceId) {
+  if (isAdmin(context)) return;
+
+  const ipHash = hashCallerIp(context);
+  const deviceKey = context?.auth?.uid ?
+    `uid_${context.auth.uid}` :
+    deviceId && `device_${deviceId}`;
+  const counters = [
+    ...(ipHash ? REPORT_RATE_LIMITS.ip.map((limit) =>
+      ({key: `report_ip_${ipHash}_${limit.name}`, limit})) : []),
+    ...(deviceKey ? REPORT_RATE_LIMITS.device.map((limit) =>
+      ({key: `report_${deviceKey}_${limit.name}`, limit})) : []),
+  ];
+
+  try {
+    await consumeRateLimits(db, counters);
+  } catch (e) {
+    if (e instanceof functions.https.HttpsError) throw e;
+    console.warn("Could not apply report rate limit:", e.message);
+  }
+}
+
+module.exports = {
+  RATE_LIMITS_COLLECTION,
+  CHECK_RATE_LIMITS,
+  REPORT_RATE_LIMITS,
+  hashCallerIp,
+  consumeRateLimits,
+  enforceCheckLimits,
+  enforceReportLimits,
+};
+
+// Suggestions For Features and Additions Later:
+// - Move limits into Firestore so they can be tuned without a deploy
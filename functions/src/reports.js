@@ -0,0 +1,654 @@
+// Filename: reports.js
+// Purpose: User issue report submission, moderation and crowd-sourced
+//   outage detection
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: firebase-functions, firebase-admin, status_cache.js,
+//   incidents.js, catalog.js, rate_limit.js
+// Platform Compatibility: Firebase Cloud Functions
+
+const crypto = require("crypto");
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+const {STATUS_CACHE_COLLECTION} = require("./status_cache");
+const {
+  INCIDENTS_COLLECTION,
+  syncUserReportIncident,
+} = require("./incidents");
+const {getServiceDefinitions} = require("./catalog");
+const {hashCallerIp, enforceReportLimits} = require("./rate_limit");
+
+// MARK: - Constants
+const REPORTS_COLLECTION = "reports";
+const DEFAULT_WINDOW_MINUTES = 15;
+const DEFAULT_BASELINE_DAYS = 7;
+const DEFAULT_MIN_REPORTS = 5;
+const DEFAULT_SPIKE_MULTIPLIER = 3;
+
+const REPORT_FINGERPRINTS_COLLECTION = "report_fingerprints";
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Identical long texts from different callers are copy-pasted spam; short
+// ones ("site not loading") are legitimately repeated during an outage
+const GLOBAL_DUPLICATE_MIN_CHARS = 60;
+const MIN_DESCRIPTION_CHARS = 10;
+const MAX_DESCRIPTION_CHARS = 2000;
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Explicit links: scheme, www. prefix, markdown and HTML anchors
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"')\]]+/gi;
+const MARKUP_LINK_PATTERN = /<a\s|\]\(|\[url/i;
+
+// Report types shown by the client and the words they are normalized from
+const REPORT_TYPES = {
+  down: ["down", "outage", "offline", "unavailable", "not loading"],
+  slow: ["slow", "latency", "lag", "timeout", "timing out"],
+  error: ["error", "errors", "bug", "broken"],
+  other: ["other"],
+};
+
+// Moderation statuses; reports start as "new"
+const REPORT_STATUSES = ["new", "triaged", "linked", "dismissed"];
+const MODERATION_ACTIONS = {
+  triage: "triaged",
+  link: "linked",
+  dismiss: "dismissed",
+};
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 100;
+const MAX_MODERATION_BATCH = 100;
+
+// MARK: - Settings
+/**
+ * Reads a positive number from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @return {number} Setting value
+ */
+function readPositiveNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Returns the anomaly detection settings
+ * @return {Object} windowMinutes, baselineDays, minReports, spikeMultiplier
+ *   and whether incidents are opened
+ */
+function getReportSettings() {
+  return {
+    windowMinutes: readPositiveNumber(
+        "REPORT_WINDOW_MINUTES",
+        DEFAULT_WINDOW_MINUTES,
+    ),
+    baselineDays: readPositiveNumber(
+        "REPORT_BASELINE_DAYS",
+        DEFAULT_BASELINE_DAYS,
+    ),
+    minReports: readPositiveNumber("REPORT_MIN_COUNT", DEFAULT_MIN_REPORTS),
+    spikeMultiplier: readPositiveNumber(
+        "REPORT_SPIKE_MULTIPLIER",
+        DEFAULT_SPIKE_MULTIPLIER,
+    ),
+    openIncidents: process.env.REPORT_INCIDENTS_ENABLED === "true",
+  };
+}
+
+// MARK: - Anomaly Detection
+/**
+ * Decides whether the report count in the current window is anomalous:
+ * at least `minReports` reports and `spikeMultiplier` times the average
+ * count of a window over the baseline period
+ * @param {number} recentCount - Reports in the current window
+ * @param {number} baselineCount - Reports in the baseline period before it
+ * @param {Object} settings - Settings from getReportSettings
+ * @return {Object} anomalous flag and the expected count per window
+ */
+function detectReportAnomaly(recentCount, baselineCount, settings) {
+  const windowsInBaseline =
+    (settings.baselineDays * 24 * 60) / settings.windowMinutes;
+  const expectedCount = baselineCount / windowsInBaseline;
+  return {
+    anomalous: recentCount >= settings.minReports &&
+      recentCount >= expectedCount * settings.spikeMultiplier,
+    expectedCount: Math.round(expectedCount * 100) / 100,
+  };
+}
+
+/**
+ * Counts the reports for a service received in [fromMs, toMs). Needs a
+ * composite index on reports (serviceId, receivedAt).
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} serviceId - Service id
+ * @param {number} fromMs - Window start in milliseconds
+ * @param {number} toMs - Window end in milliseconds
+ * @return {Promise<number>} Report count
+ */
+async function countReports(db, serviceId, fromMs, toMs) {
+  const snapshot = await db.collection(REPORTS_COLLECTION)
+      .where("serviceId", "==", serviceId)
+      .where("receivedAt", ">=", admin.firestore.Timestamp.fromMillis(fromMs))
+      .where("receivedAt", "<", admin.firestore.Timestamp.fromMillis(toMs))
+      .count()
+      .get();
+  return snapshot.data().count;
+}
+
+/**
+ * Compares a service's reports in the sliding window ending now against its
+ * baseline and stores the outcome on its service_status_cache document as
+ * `userReportedIssue` and `userReports`. With REPORT_INCIDENTS_ENABLED=true
+ * an incident is opened while the flag is raised and resolved when it
+ * clears. Services without a cache document are not monitored and skipped.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} serviceId - Service id
+ * @param {number} nowMs - End of the window in milliseconds
+ * @return {Promise<Object|null>} Report stats, or null if skipped
+ */
+async function evaluateReportAnomaly(db, serviceId, nowMs = Date.now()) {
+  const settings = getReportSettings();
+  const windowStartMs = nowMs - settings.windowMinutes * 60 * 1000;
+  const baselineStartMs = windowStartMs -
+    settings.baselineDays * 24 * 60 * 60 * 1000;
+
+  const [recentCount, baselineCount] = await Promise.all([
+    countReports(db, serviceId, windowStartMs, nowMs + 1),
+    countReports(db, serviceId, baselineStartMs, windowStartMs),
+  ]);
+  const {anomalous, expectedCount} =
+    detectReportAnomaly(recentCount, baselineCount, settings);
+
+  const docRef = db.collection(STATUS_CACHE_COLLECTION).doc(serviceId);
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    if (!doc.exists) return null;
+    const cached = doc.data();
+
+    // Nothing to record while reports stay at normal levels
+    if (!anomalous && !cached.userReportedIssue) return null;
+
+    const stats = {
+      count: recentCount,
+      baselineCount: baselineCount,
+      expectedCount: expectedCount,
+      windowMinutes: settings.windowMinutes,
+      since: anomalous ?
+        (cached.userReports?.since ||
+          admin.firestore.Timestamp.fromMillis(nowMs)) :
+        null,
+      evaluatedAt: admin.firestore.Timestamp.fromMillis(nowMs),
+    };
+    const update = {userReportedIssue: anomalous, userReports: stats};
+
+    if (settings.openIncidents || cached.userReportIncidentId) {
+      update.userReportIncidentId = syncUserReportIncident(
+          db,
+          transaction,
+          {id: serviceId, name: cached.name || serviceId},
+          cached.userReportIncidentId || null,
+          {
+            flagged: anomalous,
+            count: recentCount,
+            windowMinutes: settings.windowMinutes,
+          },
+      );
+    }
+
+    transaction.set(docRef, update, {merge: true});
+    if (anomalous !== (cached.userReportedIssue === true)) {
+      console.log(`User reported issue for ${serviceId}: ${anomalous} ` +
+        `(${recentCount} reports, ${expectedCount} expected)`);
+    }
+    return stats;
+  });
+}
+
+// MARK: - Report Validation
+/**
+ * Builds an invalid-argument error for callers
+ * @param {string} message - Error message
+ * @return {functions.https.HttpsError} Error to throw
+ */
+function invalid(message) {
+  return new functions.https.HttpsError("invalid-argument", message);
+}
+
+/**
+ * Normalizes a report type to one of REPORT_TYPES, mapping common synonyms
+ * and falling back to "other"
+ * @param {*} reportType - Report type from the client
+ * @return {string} down, slow, error or other
+ */
+function normalizeReportType(reportType) {
+  const value = typeof reportType === "string" ?
+    reportType.trim().toLowerCase().replace(/[_-]+/g, " ") :
+    "";
+  const match = Object.entries(REPORT_TYPES).find(([, words]) =>
+    words.includes(value),
+  );
+  return match ? match[0] : "other";
+}
+
+/**
+ * Collects the hosts of explicit links in a text
+ * @param {string} text - Text to scan
+ * @return {Array<string>|null} Lowercase hosts, or null for markup links
+ */
+function findLinkHosts(text) {
+  if (MARKUP_LINK_PATTERN.test(text)) return null;
+  return (text.match(LINK_PATTERN) || []).map((link) => {
+    try {
+      const withScheme = /^https?:/i.test(link) ? link : `http://${link}`;
+      return new URL(withScheme).hostname.toLowerCase();
+    } catch (e) {
+      return "";
+    }
+  });
+}
+
+/**
+ * Returns the hosts a report about a service may link to (its own URL and
+ * its components' URLs, so users can paste the page that fails)
+ * @param {Object} service - Service definition
+ * @return {Set<string>} Allowed hosts
+ */
+function getAllowedLinkHosts(service) {
+  const hosts = new Set();
+  for (const url of [service.url, ...(service.components || [])
+      .map((c) => c.url)]) {
+    try {
+      hosts.add(new URL(url).hostname.toLowerCase());
+    } catch (e) {
+      // Catalog URLs are validated, so this is not expected
+    }
+  }
+  return hosts;
+}
+
+/**
+ * Validates and normalizes a report from the client. Rejects links to
+ * other sites, the usual form of report spam.
+ * @param {Object} input - Report fields from the client
+ * @param {Object} service - Catalog definition of the reported service
+ * @return {Object} Normalized report fields
+ */
+function validateReport(input, service) {
+  const description = typeof input.description === "string" ?
+    input.description.replace(/\s+/g, " ").trim() :
+    "";
+  if (description.length < MIN_DESCRIPTION_CHARS ||
+      description.length > MAX_DESCRIPTION_CHARS) {
+    throw invalid(`description must be ${MIN_DESCRIPTION_CHARS}-` +
+      `${MAX_DESCRIPTION_CHARS} characters`);
+  }
+
+  const reporterName = input.reporterName == null ?
+    "" :
+    String(input.reporterName).replace(/\s+/g, " ").trim();
+  if (reporterName.length > 100) {
+    throw invalid("reporterName must be at most 100 characters");
+  }
+
+  const reporterEmail = input.reporterEmail == null ?
+    "" :
+    String(input.reporterEmail).trim().toLowerCase();
+  if (reporterEmail &&
+      (reporterEmail.length > 254 || !EMAIL_PATTERN.test(reporterEmail))) {
+    throw invalid("reporterEmail must be a valid email address");
+  }
+
+  if (input.deviceId != null &&
+      (typeof input.deviceId !== "string" ||
+       !DEVICE_ID_PATTERN.test(input.deviceId))) {
+    throw invalid("deviceId must be 16-64 letters, digits, - or _");
+  }
+
+  const allowedHosts = getAllowedLinkHosts(service);
+  const linkHosts = findLinkHosts(`${description} ${reporterName}`);
+  if (linkHosts === null ||
+      linkHosts.some((host) => !allowedHosts.has(host))) {
+    throw invalid("Reports cannot contain links to other sites");
+  }
+
+  return {
+    reportType: normalizeReportType(input.reportType),
+    reporterName: reporterName || "Anonymous",
+    reporterEmail: reporterEmail,
+    description: description,
+    deviceId: input.deviceId || null,
+  };
+}
+
+// MARK: - Duplicate Detection
+/**
+ * Normalizes report text for duplicate detection (case, punctuation and
+ * whitespace are ignored)
+ * @param {string} text - Report description
+ * @return {string} Normalized text
+ */
+function normalizeReportText(text) {
+  return text.toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, " ")
+      .trim();
+}
+
+/**
+ * Hashes values into a fingerprint document id
+ * @param {...string} parts - Values to hash
+ * @return {string} Hex digest prefix
+ */
+function fingerprint(...parts) {
+  return crypto.createHash("sha256")
+      .update(parts.join("\n"))
+      .digest("hex")
+      .slice(0, 40);
+}
+
+/**
+ * Stores a report unless the same caller already sent its text for the
+ * service, or anyone already sent its long text for the service, in the
+ * last 24 hours. The fingerprints and the report are written in one
+ * transaction, so a failed write never blocks a resubmission.
+ * Fingerprint documents carry expiresAt for a TTL policy.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} report - Report document to store
+ * @param {string|null} callerKey - IP hash, device or uid of the caller
+ * @param {number} nowMs - Current time in milliseconds
+ * @return {Promise<FirebaseFirestore.DocumentReference>} Stored report
+ */
+async function addReportUnlessDuplicate(db, report, callerKey, nowMs) {
+  const text = normalizeReportText(report.description);
+  const ids = [];
+  if (callerKey) {
+    ids.push(`caller_${fingerprint(report.serviceId, callerKey, text)}`);
+  }
+  if (text.length >= GLOBAL_DUPLICATE_MIN_CHARS) {
+    ids.push(`text_${fingerprint(report.serviceId, text)}`);
+  }
+
+  const refs = ids.map((id) =>
+    db.collection(REPORT_FINGERPRINTS_COLLECTION).doc(id),
+  );
+  const reportRef = db.collection(REPORTS_COLLECTION).doc();
+  await db.runTransaction(async (transaction) => {
+    const docs = await Promise.all(refs.map((ref) => transaction.get(ref)));
+    const duplicate = docs.some((doc) => doc.exists &&
+      doc.data().expiresAt?.toMillis?.() > nowMs);
+    if (duplicate) {
+      throw new functions.https.HttpsError(
+          "already-exists",
+          "This report was already submitted",
+      );
+    }
+
+    const expiresAt = admin.firestore.Timestamp.fromMillis(
+        nowMs + DUPLICATE_WINDOW_MS,
+    );
+    refs.forEach((ref) => transaction.set(ref, {expiresAt}));
+    transaction.set(reportRef, report);
+  });
+  return reportRef;
+}
+
+// MARK: - Report Submission
+/**
+ * Validates, throttles and stores a user report. The service name comes
+ * from the catalog and `timestamp`/`receivedAt` are server timestamps.
+ * Order of checks: fields and links (invalid reports spend no budget),
+ * rate limits, then duplicates (which do spend budget, so repeated spam
+ * runs into the limits).
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} data - Callable data: serviceId, reportType,
+ *   description, reporterName, reporterEmail and deviceId
+ * @param {Object} context - Callable function context
+ * @return {Promise<Object>} Stored report id and normalized reportType
+ */
+async function submitReport(db, data, context) {
+  const input = data || {};
+  if (typeof input.serviceId !== "string" || !input.serviceId) {
+    throw invalid("serviceId is required");
+  }
+  const service = (await getServiceDefinitions(db, [input.serviceId]))
+      .get(input.serviceId);
+  if (!service) {
+    throw new functions.https.HttpsError(
+        "not-found",
+        `Unknown service ${input.serviceId}`,
+    );
+  }
+
+  const report = validateReport(input, service);
+  await enforceReportLimits(db, context, report.deviceId);
+
+  const nowMs = Date.now();
+  const ipHash = hashCallerIp(context);
+  const callerKey = context?.auth?.uid ||
+    (ipHash && `ip_${ipHash}`) ||
+    report.deviceId;
+  const now = admin.firestore.Timestamp.fromMillis(nowMs);
+  const reportRef = await addReportUnlessDuplicate(db, {
+    serviceId: service.id,
+    serviceName: service.name,
+    reportType: report.reportType,
+    reporterName: report.reporterName,
+    reporterEmail: report.reporterEmail,
+    description: report.description,
+    timestamp: now,
+    receivedAt: now,
+    status: "new",
+    reporterUid: context?.auth?.uid || null,
+  }, callerKey, nowMs);
+
+  return {id: reportRef.id, reportType: report.reportType};
+}
+
+// MARK: - Report Moderation
+/**
+ * Parses an optional date filter from an ISO 8601 string
+ * @param {*} value - Date value
+ * @param {string} name - Filter name for error messages
+ * @return {admin.firestore.Timestamp|null} Timestamp or null if unset
+ */
+function parseDateFilter(value, name) {
+  if (value == null) return null;
+  const ms = typeof value === "string" ? Date.parse(value) : NaN;
+  if (Number.isNaN(ms)) throw invalid(`${name} must be an ISO 8601 date`);
+  return admin.firestore.Timestamp.fromMillis(ms);
+}
+
+/**
+ * Lists reports for admins, newest first, filtered by service, moderation
+ * status, report type and receive time. Reports without `receivedAt`
+ * (older than onReportCreated) are not listed. Filter combinations need
+ * composite indexes, which Firebase links to on first use.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} filters - serviceId, status, reportType, since, until,
+ *   limit (default 50, at most 100) and pageToken from a previous page
+ * @return {Promise<Object>} reports and nextPageToken (null on last page)
+ */
+async function listReports(db, filters) {
+  const input = filters || {};
+  let query = db.collection(REPORTS_COLLECTION);
+
+  if (input.serviceId != null) {
+    if (typeof input.serviceId !== "string") {
+      throw invalid("serviceId must be a string");
+    }
+    query = query.where("serviceId", "==", input.serviceId);
+  }
+  if (input.status != null) {
+    if (!REPORT_STATUSES.includes(input.status)) {
+      throw invalid(`status must be one of ${REPORT_STATUSES.join(", ")}`);
+    }
+    query = query.where("status", "==", input.status);
+  }
+  if (input.reportType != null) {
+    if (!Object.keys(REPORT_TYPES).includes(input.reportType)) {
+      throw invalid(
+          `reportType must be one of ${Object.keys(REPORT_TYPES).join(", ")}`,
+      );
+    }
+    query = query.where("reportType", "==", input.reportType);
+  }
+  const since = parseDateFilter(input.since, "since");
+  const until = parseDateFilter(input.until, "until");
+  if (since) query = query.where("receivedAt", ">=", since);
+  if (until) query = query.where("receivedAt", "<=", until);
+
+  const limit = input.limit ?? DEFAULT_LIST_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+    throw invalid(`limit must be between 1 and ${MAX_LIST_LIMIT}`);
+  }
+  query = query.orderBy("receivedAt", "desc").limit(limit);
+
+  if (input.pageToken != null) {
+    const cursor = typeof input.pageToken === "string" && input.pageToken ?
+      await db.collection(REPORTS_COLLECTION).doc(input.pageToken).get() :
+      null;
+    if (!cursor?.exists) throw invalid("pageToken is invalid");
+    query = query.startAfter(cursor);
+  }
+
+  const snapshot = await query.get();
+  const reports = snapshot.docs.map((doc) => ({id: doc.id, ...doc.data()}));
+  return {
+    reports: reports,
+    nextPageToken: reports.length === limit ?
+      reports[reports.length - 1].id :
+      null,
+  };
+}
+
+/**
+ * Marks reports as triaged, linked to an incident or dismissed for admins
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} action - triage, link or dismiss
+ * @param {Object} input - reportIds, incidentId (link only) and an
+ *   optional internal note
+ * @param {string} uid - Uid of the admin moderating
+ * @return {Promise<Object>} Number of reports updated and their status
+ */
+async function moderateReports(db, action, input, uid) {
+  const status = MODERATION_ACTIONS[action];
+  if (!status) throw invalid("action must be triage, link or dismiss");
+
+  const {reportIds, incidentId = null, note = null} = input || {};
+  if (!Array.isArray(reportIds) || reportIds.length === 0 ||
+      reportIds.length > MAX_MODERATION_BATCH ||
+      !reportIds.every((id) => typeof id === "string" && id &&
+        !id.includes("/"))) {
+    throw invalid(`reportIds must be 1-${MAX_MODERATION_BATCH} report ids`);
+  }
+  if (note != null && (typeof note !== "string" || note.length > 1000)) {
+    throw invalid("note must be a string of at most 1000 characters");
+  }
+
+  if (action === "link") {
+    if (typeof incidentId !== "string" || !incidentId ||
+        incidentId.includes("/")) {
+      throw invalid("incidentId is required to link reports");
+    }
+    const incident = await db.collection(INCIDENTS_COLLECTION)
+        .doc(incidentId)
+        .get();
+    if (!incident.exists) {
+      throw new functions.https.HttpsError(
+          "not-found",
+          `Incident ${incidentId} does not exist`,
+      );
+    }
+  }
+
+  const ids = [...new Set(reportIds)];
+  const refs = ids.map((id) => db.collection(REPORTS_COLLECTION).doc(id));
+  const docs = await db.getAll(...refs);
+  const missing = docs.filter((doc) => !doc.exists).map((doc) => doc.id);
+  if (missing.length > 0) {
+    throw new functions.https.HttpsError(
+        "not-found",
+        `Reports not found: ${missing.join(", ")}`,
+    );
+  }
+
+  const batch = db.batch();
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  refs.forEach((ref) => batch.update(ref, {
+    status: status,
+    incidentId: action === "link" ? incidentId : null,
+    moderationNote: note,
+    moderatedAt: now,
+    moderatedBy: uid,
+  }));
+  await batch.commit();
+
+  return {updated: refs.length, status: status};
+}
+
+// MARK: - Triggers
+/**
+ * Handles a new report: stamps reports without one with the server
+ * receive time (legacy clients wrote a local-time `timestamp` string that
+ * cannot be trusted for windows) and re-evaluates its service
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.DocumentSnapshot} snapshot - Created report
+ * @param {string} eventTime - ISO time the report was created
+ * @return {Promise<Object|null>} Report stats, or null if skipped
+ */
+async function handleReportCreated(db, snapshot, eventTime) {
+  const report = snapshot.data();
+  if (typeof report.serviceId !== "string" || !report.serviceId ||
+      report.serviceId.includes("/")) {
+    return null;
+  }
+
+  if (!report.receivedAt) {
+    const receivedMs = Date.parse(eventTime) || Date.now();
+    await snapshot.ref.update({
+      receivedAt: admin.firestore.Timestamp.fromMillis(receivedMs),
+    });
+  }
+  return evaluateReportAnomaly(db, report.serviceId, Date.now());
+}
+
+/**
+ * Re-evaluates services whose user report flag is raised so it clears once
+ * reports stop arriving (the trigger only runs on new reports). Errors are
+ * logged per service.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Map} previousStatuses - Previous statuses by service id
+ * @return {Promise<void>}
+ */
+async function refreshUserReportFlags(db, previousStatuses) {
+  const flagged = [...previousStatuses]
+      .filter(([, status]) => status.userReportedIssue)
+      .map(([id]) => id);
+
+  for (const serviceId of flagged) {
+    try {
+      await evaluateReportAnomaly(db, serviceId);
+    } catch (e) {
+      console.warn(`Could not refresh user reports for ${serviceId}:`,
+          e.message);
+    }
+  }
+}
+
+module.exports = {
+  REPORTS_COLLECTION,
+  REPORT_TYPES,
+  REPORT_STATUSES,
+  normalizeReportType,
+  validateReport,
+  submitReport,
+  listReports,
+  moderateReports,
+  detectReportAnomaly,
+  evaluateReportAnomaly,
+  handleReportCreated,
+  refreshUserReportFlags,
+};
+
+// Suggestions For Features and Additions Later:
+// - Weight the baseline by time of day
+// - Alert notification channels when a spike is detected
@@ -0,0 +1,488 @@
+// Filename: rollups.js
+// Purpose: Hourly and daily rollups of service history and monthly SLA
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: firebase-admin, status_cache.js
+// Platform Compatibility: Firebase Cloud Functions
+
+const admin = require("firebase-admin");
+const {STATUS_HISTORY_COLLECTION} = require("./status_cache");
+
+// MARK: - Constants
+const ROLLUPS_COLLECTION = "service_status_rollups";
+const LAST_ROLLUP_DOC_ID = "last_rollup";
+const HOURLY_COLLECTION = "hourly";
+const DAILY_COLLECTION = "daily";
+const ROLLUP_STATUSES = [
+  "operational",
+  "degraded",
+  "down",
+  "maintenance",
+  "unknown",
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Missed runs are caught up to this many hours back
+const MAX_CATCH_UP_HOURS = 24;
+const MAX_ENTRIES_PER_HOUR = 1000;
+const DEFAULT_SLA_TARGET_PERCENT = 99.9;
+
+// MARK: - Period Keys
+/**
+ * Returns the start of the UTC hour containing a time
+ * @param {number} ms - Time in milliseconds
+ * @return {number} Hour start in milliseconds
+ */
+function startOfHour(ms) {
+  return Math.floor(ms / HOUR_MS) * HOUR_MS;
+}
+
+/**
+ * Returns the start of the UTC day containing a time
+ * @param {number} ms - Time in milliseconds
+ * @return {number} Day start in milliseconds
+ */
+function startOfDay(ms) {
+  return Math.floor(ms / DAY_MS) * DAY_MS;
+}
+
+/**
+ * Returns the document id of an hourly rollup (2026-10-19T16)
+ * @param {number} startMs - Hour start in milliseconds
+ * @return {string} Document id
+ */
+function hourKey(startMs) {
+  return new Date(startMs).toISOString().slice(0, 13);
+}
+
+/**
+ * Returns the document id of a daily rollup (2026-10-19)
+ * @param {number} startMs - Day start in milliseconds
+ * @return {string} Document id
+ */
+function dayKey(startMs) {
+  return new Date(startMs).toISOString().slice(0, 10);
+}
+
+// MARK: - Statistics
+/**
+ * Returns an object with a zero for every rollup status
+ * @return {Object} Status counters
+ */
+function emptyStatusCounters() {
+  return Object.fromEntries(ROLLUP_STATUSES.map((s) => [s, 0]));
+}
+
+/**
+ * Maps a history status to a rollup status
+ * @param {string} status - History entry status
+ * @return {string} Rollup status
+ */
+function normalizeStatus(status) {
+  return ROLLUP_STATUSES.includes(status) ? status : "unknown";
+}
+
+/**
+ * Returns a nearest-rank percentile of sorted samples
+ * @param {Array<number>} sorted - Samples in ascending order
+ * @param {number} percent - Percentile (0-100)
+ * @return {number|null} Percentile value
+ */
+function percentile(sorted, percent) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((percent / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+/**
+ * Summarizes response time samples
+ * @param {Array<number>} samples - Response times in milliseconds
+ * @return {Object} samples, avg, p50, p95, p99 and max
+ */
+function summarizeResponseTimes(samples) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+  return {
+    samples: sorted.length,
+    avg: sorted.length ? Math.round(total / sorted.length) : null,
+    p50: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    p99: percentile(sorted, 99),
+    max: sorted.length ? sorted[sorted.length - 1] : null,
+  };
+}
+
+/**
+ * Computes uptime from time spent in each status. Maintenance and unknown
+ * time is excluded and only down time counts against uptime.
+ * @param {Object} timeInStatusMs - Milliseconds per status
+ * @return {Object} measuredMs, downtimeMs and uptimePercent (null if
+ *   nothing was measured)
+ */
+function computeUptime(timeInStatusMs) {
+  const measuredMs = timeInStatusMs.operational + timeInStatusMs.degraded +
+    timeInStatusMs.down;
+  const downtimeMs = timeInStatusMs.down;
+  return {
+    measuredMs: measuredMs,
+    downtimeMs: downtimeMs,
+    uptimePercent: measuredMs > 0 ?
+      ((measuredMs - downtimeMs) / measuredMs) * 100 :
+      null,
+  };
+}
+
+/**
+ * Summarizes history entries for one period. Each entry's status holds
+ * until the next entry; the period starts with the status of the last
+ * entry before it (unknown when there is none).
+ * @param {Array<Object>} entries - Entries in the period, oldest first
+ * @param {Object|null} previousEntry - Last entry before the period
+ * @param {number} startMs - Period start in milliseconds
+ * @param {number} endMs - Period end in milliseconds
+ * @return {Object} Period statistics
+ */
+function summarizeEntries(entries, previousEntry, startMs, endMs) {
+  const statusCounts = emptyStatusCounters();
+  const timeInStatusMs = emptyStatusCounters();
+  const responseTimes = [];
+  let failureCount = 0;
+  let outageCount = 0;
+
+  let status = normalizeStatus(previousEntry?.status);
+  let segmentStartMs = startMs;
+  for (const entry of entries) {
+    const entryMs = entry.timestamp.toMillis();
+    timeInStatusMs[status] += entryMs - segmentStartMs;
+
+    const entryStatus = normalizeStatus(entry.status);
+    statusCounts[entryStatus]++;
+    if (entryStatus === "degraded" || entryStatus === "down") failureCount++;
+    if (entryStatus === "down" && status !== "down") outageCount++;
+    if (entry.responseTimeMs > 0) responseTimes.push(entry.responseTimeMs);
+
+    status = entryStatus;
+    segmentStartMs = entryMs;
+  }
+  timeInStatusMs[status] += endMs - segmentStartMs;
+
+  return {
+    checks: entries.length,
+    statusCounts: statusCounts,
+    timeInStatusMs: timeInStatusMs,
+    uptimePercent: computeUptime(timeInStatusMs).uptimePercent,
+    failureCount: failureCount,
+    outageCount: outageCount,
+    responseTimeMs: summarizeResponseTimes(responseTimes),
+    responseTimesMs: responseTimes.sort((a, b) => a - b),
+  };
+}
+
+/**
+ * Merges hourly rollups into one summary
+ * @param {Array<Object>} rollups - Hourly rollup documents
+ * @return {Object} Combined statistics
+ */
+function mergeRollups(rollups) {
+  const statusCounts = emptyStatusCounters();
+  const timeInStatusMs = emptyStatusCounters();
+  const responseTimes = [];
+  let checks = 0;
+  let failureCount = 0;
+  let outageCount = 0;
+
+  for (const rollup of rollups) {
+    checks += rollup.checks || 0;
+    failureCount += rollup.failureCount || 0;
+    outageCount += rollup.outageCount || 0;
+    for (const status of ROLLUP_STATUSES) {
+      statusCounts[status] += rollup.statusCounts?.[status] || 0;
+      timeInStatusMs[status] += rollup.timeInStatusMs?.[status] || 0;
+    }
+    responseTimes.push(...(rollup.responseTimesMs || []));
+  }
+
+  return {
+    checks: checks,
+    statusCounts: statusCounts,
+    timeInStatusMs: timeInStatusMs,
+    uptimePercent: computeUptime(timeInStatusMs).uptimePercent,
+    failureCount: failureCount,
+    outageCount: outageCount,
+    responseTimeMs: summarizeResponseTimes(responseTimes),
+  };
+}
+
+// MARK: - Rollup Building
+/**
+ * Returns the rollup subcollection of a service
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} serviceId - Service id
+ * @param {string} period - HOURLY_COLLECTION or DAILY_COLLECTION
+ * @return {FirebaseFirestore.CollectionReference} Rollup collection
+ */
+function rollupCollection(db, serviceId, period) {
+  return db.collection(ROLLUPS_COLLECTION).doc(serviceId).collection(period);
+}
+
+/**
+ * Builds the hourly rollup of a service from its history entries
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} serviceId - Service id
+ * @param {number} startMs - Hour start in milliseconds
+ * @return {Promise<Object>} Hourly rollup document
+ */
+async function buildHourlyRollup(db, serviceId, startMs) {
+  const entries = db.collection(STATUS_HISTORY_COLLECTION)
+      .doc(serviceId)
+      .collection("entries");
+  const start = admin.firestore.Timestamp.fromMillis(startMs);
+  const end = admin.firestore.Timestamp.fromMillis(startMs + HOUR_MS);
+
+  const [inHour, before] = await Promise.all([
+    entries.where("timestamp", ">=", start)
+        .where("timestamp", "<", end)
+        .orderBy("timestamp")
+        .limit(MAX_ENTRIES_PER_HOUR)
+        .get(),
+    entries.where("timestamp", "<", start)
+        .orderBy("timestamp", "desc")
+        .limit(1)
+        .get(),
+  ]);
+
+  return {
+    serviceId: serviceId,
+    period: "hour",
+    start: start,
+    end: end,
+    ...summarizeEntries(
+        inHour.docs.map((doc) => doc.data()),
+        before.empty ? null : before.docs[0].data(),
+        startMs,
+        startMs + HOUR_MS,
+    ),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
+
+/**
+ * Builds the daily rollup of a service from its hourly rollups
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} serviceId - Service id
+ * @param {number} startMs - Day start in milliseconds
+ * @return {Promise<Object>} Daily rollup document
+ */
+async function buildDailyRollup(db, serviceId, startMs) {
+  const hourly = rollupCollection(db, serviceId, HOURLY_COLLECTION);
+  const refs = Array.from({length: 24}, (_, hour) =>
+    hourly.doc(hourKey(startMs + hour * HOUR_MS)),
+  );
+  const docs = (await db.getAll(...refs)).filter((doc) => doc.exists);
+
+  return {
+    serviceId: serviceId,
+    period: "day",
+    start: admin.firestore.Timestamp.fromMillis(startMs),
+    end: admin.firestore.Timestamp.fromMillis(startMs + DAY_MS),
+    hours: docs.length,
+    ...mergeRollups(docs.map((doc) => doc.data())),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
+
+/**
+ * Rolls up every complete hour since the last run (at most
+ * MAX_CATCH_UP_HOURS) and writes the daily rollup once a day completes
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Array} services - Service definitions
+ * @param {number} nowMs - Current time in milliseconds
+ * @return {Promise<Object>} Object with hours and days rolled up
+ */
+async function rollupStatusHistory(db, services, nowMs = Date.now()) {
+  const stateRef = db.collection(ROLLUPS_COLLECTION).doc(LAST_ROLLUP_DOC_ID);
+  const state = await stateRef.get();
+  const lastHourMs = state.exists ? state.data().hourStart.toMillis() : null;
+
+  const lastCompleteHourMs = startOfHour(nowMs) - HOUR_MS;
+  const firstHourMs = Math.max(
+      lastHourMs === null ? lastCompleteHourMs : lastHourMs + HOUR_MS,
+      lastCompleteHourMs - (MAX_CATCH_UP_HOURS - 1) * HOUR_MS,
+  );
+
+  let hours = 0;
+  let days = 0;
+  for (let hourMs = firstHourMs; hourMs <= lastCompleteHourMs;
+    hourMs += HOUR_MS) {
+    const rollups = await Promise.all(services.map((service) =>
+      buildHourlyRollup(db, service.id, hourMs),
+    ));
+    const batch = db.batch();
+    for (const rollup of rollups) {
+      batch.set(
+          rollupCollection(db, rollup.serviceId, HOURLY_COLLECTION)
+              .doc(hourKey(hourMs)),
+          rollup,
+      );
+    }
+    batch.set(stateRef, {
+      hourStart: admin.firestore.Timestamp.fromMillis(hourMs),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    await batch.commit();
+    hours++;
+
+    // The last hour of a UTC day completes that day's rollup
+    const dayStartMs = startOfDay(hourMs);
+    if (hourMs + HOUR_MS === dayStartMs + DAY_MS) {
+      const dailyRollups = await Promise.all(services.map((service) =>
+        buildDailyRollup(db, service.id, dayStartMs),
+      ));
+      const dailyBatch = db.batch();
+      for (const rollup of dailyRollups) {
+        dailyBatch.set(
+            rollupCollection(db, rollup.serviceId, DAILY_COLLECTION)
+                .doc(dayKey(dayStartMs)),
+            rollup,
+        );
+      }
+      await dailyBatch.commit();
+      days++;
+    }
+  }
+
+  return {hours, days};
+}
+
+// MARK: - Uptime Windows
+/**
+ * Computes uptime over a trailing window from rollups: hourly rollups for
+ * windows up to two days, otherwise daily rollups plus today's hourly ones
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} serviceId - Service id
+ * @param {number} windowMs - Window length in milliseconds
+ * @param {number} nowMs - Current time in milliseconds (defaults to now)
+ * @return {Promise<number|null>} Uptime percentage, or null without data
+ */
+async function computeWindowUptime(db, serviceId, windowMs, nowMs) {
+  const fromMs = (nowMs ?? Date.now()) - windowMs;
+  const todayMs = startOfDay(nowMs ?? Date.now());
+  const hourly = rollupCollection(db, serviceId, HOURLY_COLLECTION);
+  const since = (ms) => admin.firestore.Timestamp.fromMillis(ms);
+
+  const queries = windowMs <= 2 * DAY_MS ?
+    [hourly.where("start", ">=", since(startOfHour(fromMs))).get()] :
+    [
+      rollupCollection(db, serviceId, DAILY_COLLECTION)
+          .where("start", ">=", since(startOfDay(fromMs)))
+          .where("start", "<", since(todayMs))
+          .get(),
+      hourly.where("start", ">=", since(todayMs)).get(),
+    ];
+
+  const snapshots = await Promise.all(queries);
+  return mergeRollups(snapshots.flatMap((snapshot) =>
+    snapshot.docs.map((doc) => doc.data()),
+  )).uptimePercent;
+}
+
+// MARK: - SLA
+/**
+ * Returns the SLA target for a service: thresholds.slaTargetPercent from
+ * the catalog, then SLA_TARGET_PERCENT, then 99.9
+ * @param {Object} service - Service definition
+ * @return {number} Target uptime percentage
+ */
+function getSlaTarget(service) {
+  const fromEnv = Number(process.env.SLA_TARGET_PERCENT);
+  return service.thresholds?.slaTargetPercent ||
+    (fromEnv > 0 && fromEnv <= 100 ? fromEnv : DEFAULT_SLA_TARGET_PERCENT);
+}
+
+/**
+ * Parses a YYYY-MM month into its UTC start and end
+ * @param {string} month - Month, e.g. 2026-10
+ * @return {Object|null} startMs and endMs, or null if invalid
+ */
+function parseMonth(month) {
+  const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(month || "");
+  if (!match) return null;
+  const year = Number(match[1]);
+  const monthIndex = Number(match[2]) - 1;
+  return {
+    startMs: Date.UTC(year, monthIndex, 1),
+    endMs: Date.UTC(year, monthIndex + 1, 1),
+  };
+}
+
+/**
+ * Computes the SLA of a service for a UTC month from its daily rollups,
+ * plus the hourly rollups of the current day while the month is running
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} service - Service definition
+ * @param {string} month - Month, e.g. 2026-10
+ * @param {number} nowMs - Current time in milliseconds
+ * @return {Promise<Object>} SLA report
+ */
+async function computeMonthlySla(db, service, month, nowMs = Date.now()) {
+  const {startMs, endMs} = parseMonth(month);
+  const todayMs = startOfDay(nowMs);
+  const dailyEndMs = Math.min(endMs, todayMs);
+
+  const [daily, hourly] = await Promise.all([
+    rollupCollection(db, service.id, DAILY_COLLECTION)
+        .where("start", ">=", admin.firestore.Timestamp.fromMillis(startMs))
+        .where("start", "<", admin.firestore.Timestamp.fromMillis(dailyEndMs))
+        .get(),
+    todayMs >= startMs && todayMs < endMs ?
+      rollupCollection(db, service.id, HOURLY_COLLECTION)
+          .where("start", ">=", admin.firestore.Timestamp.fromMillis(todayMs))
+          .get() :
+      null,
+  ]);
+
+  const rollups = [
+    ...daily.docs.map((doc) => doc.data()),
+    ...(hourly ? hourly.docs.map((doc) => doc.data()) : []),
+  ];
+  const merged = mergeRollups(rollups);
+  const {measuredMs, downtimeMs, uptimePercent} =
+    computeUptime(merged.timeInStatusMs);
+  const targetPercent = getSlaTarget(service);
+  const allowedDowntimeMs = Math.floor(
+      measuredMs * (1 - targetPercent / 100),
+  );
+
+  return {
+    serviceId: service.id,
+    month: month,
+    complete: nowMs >= endMs,
+    targetPercent: targetPercent,
+    uptimePercent: uptimePercent,
+    met: uptimePercent === null ? null : uptimePercent >= targetPercent,
+    measuredMs: measuredMs,
+    downtimeMs: downtimeMs,
+    allowedDowntimeMs: allowedDowntimeMs,
+    remainingDowntimeMs: Math.max(allowedDowntimeMs - downtimeMs, 0),
+    outageCount: merged.outageCount,
+    timeInStatusMs: merged.timeInStatusMs,
+  };
+}
+
+module.exports = {
+  ROLLUPS_COLLECTION,
+  HOURLY_COLLECTION,
+  DAILY_COLLECTION,
+  summarizeEntries,
+  mergeRollups,
+  rollupStatusHistory,
+  computeWindowUptime,
+  parseMonth,
+  computeMonthlySla,
+};
+
+// Suggestions For Features and Additions Later:
+// - Add monthly rollup documents once months of daily data exist
+// - Let admins rebuild rollups for a past range after data fixes
@@ -0,0 +1,256 @@
+// Filename: status_cache.js
+// Purpose: Access to the latest service statuses in service_status_cache
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: check_engine.js, maintenance.js, catalog.js,
+//   dependencies.js
+// Platform Compatibility: Firebase Cloud Functions
+
+const {runServiceChecks} = require("./check_engine");
+const {loadMaintenanceWindows} = require("./maintenance");
+const {getServiceDefinitions} = require("./catalog");
+const {
+  parseDependency,
+  annotateDependencyImpact,
+} = require("./dependencies");
+
+// MARK: - Constants
+const STATUS_CACHE_COLLECTION = "service_status_cache";
+const LAST_UPDATE_DOC_ID = "last_update";
+const STATUS_HISTORY_COLLECTION = "service_status_history";
+
+// Slightly longer than the 2 minute schedule, so on-demand checks between
+// scheduled runs are served from the cache
+const DEFAULT_CACHE_MAX_AGE_SECONDS = 180;
+
+// MARK: - Previous Statuses
+/**
+ * Extracts the fields a new check and its history entry build on from a
+ * cached status document
+ * @param {Object} data - Cached status document data
+ * @return {Object} Previous status
+ */
+function toPreviousStatus(data) {
+  return {
+    status: data.status,
+    consecutiveFailures: data.consecutiveFailures || 0,
+    lastUpTime: data.lastUpTime || null,
+    activeIncidentId: data.activeIncidentId || null,
+    closedIncidentId: data.closedIncidentId || null,
+    linkedIncidentId: data.linkedIncidentId || null,
+    errorMessage: data.errorMessage || null,
+    responseTimeMs: data.responseTimeMs ?? null,
+    historyWrittenAt: data.historyWrittenAt || null,
+    userReportedIssue: data.userReportedIssue === true,
+  };
+}
+
+/**
+ * Loads cached status documents. Read failures are logged and treated as
+ * "nothing cached".
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Array<string>|null} serviceIds - Ids to load, or null for all
+ * @return {Promise<Map>} Map of service id to cached document data
+ */
+async function loadCachedStatuses(db, serviceIds = null) {
+  const cachedStatuses = new Map();
+  const collection = db.collection(STATUS_CACHE_COLLECTION);
+
+  try {
+    let docs;
+    if (serviceIds === null) {
+      docs = (await collection.get()).docs;
+    } else {
+      const ids = [...new Set(serviceIds)];
+      docs = ids.length > 0 ?
+        await db.getAll(...ids.map((id) => collection.doc(id))) :
+        [];
+    }
+
+    for (const doc of docs) {
+      // Skip the last_update document and ids that were never checked
+      if (doc.id === LAST_UPDATE_DOC_ID || !doc.exists) continue;
+      cachedStatuses.set(doc.id, doc.data());
+    }
+  } catch (e) {
+    console.warn("Could not load cached statuses:", e.message);
+  }
+
+  return cachedStatuses;
+}
+
+/**
+ * Loads the previous status of services so consecutive failures, uptime
+ * and incidents carry over between checks
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Array<string>|null} serviceIds - Ids to load, or null for all
+ * @return {Promise<Map>} Map of service id to previous status
+ */
+async function loadPreviousStatuses(db, serviceIds = null) {
+  const cachedStatuses = await loadCachedStatuses(db, serviceIds);
+  return new Map([...cachedStatuses].map(([id, data]) =>
+    [id, toPreviousStatus(data)],
+  ));
+}
+
+// MARK: - Cached Checks
+/**
+ * Returns the cache max age for on-demand checks, configurable with the
+ * CHECK_CACHE_MAX_AGE_SECONDS environment variable
+ * @return {number} Max age in milliseconds
+ */
+function getCacheMaxAgeMs() {
+  const seconds = Number(process.env.CHECK_CACHE_MAX_AGE_SECONDS);
+  return Number.isFinite(seconds) && seconds >= 0 ?
+    seconds * 1000 :
+    DEFAULT_CACHE_MAX_AGE_SECONDS * 1000;
+}
+
+/**
+ * Checks whether a cached status is recent enough to serve
+ * @param {Object|undefined} cached - Cached document data
+ * @param {number} maxAgeMs - Max age in milliseconds
+ * @param {number} nowMs - Current time in milliseconds
+ * @return {boolean} True if the cached status can be served
+ */
+function isFresh(cached, maxAgeMs, nowMs = Date.now()) {
+  const checkedAt = cached?.lastChecked;
+  if (!checkedAt || typeof checkedAt.toMillis !== "function") return false;
+  return nowMs - checkedAt.toMillis() <= maxAgeMs;
+}
+
+/**
+ * Lists the services the given services depend on that are not known yet
+ * @param {Array} services - Service definitions
+ * @param {Map} known - Service definitions already loaded, by id
+ * @return {Array<string>} Service ids to load
+ */
+function unknownDependencyIds(services, known) {
+  const ids = services.flatMap((service) => (service.dependencies || [])
+      .map((dependency) => parseDependency(dependency).serviceId));
+  return [...new Set(ids)].filter((id) => !known.has(id));
+}
+
+/**
+ * Annotates live results with their failing dependencies the same way the
+ * scheduled run does. Dependencies outside this call, and the services
+ * they depend on in turn, take part with their cached status; only the
+ * live results are changed.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Array} liveResults - Results probed in this call
+ * @param {Array} otherResults - Results served from the cache in this call
+ * @param {Array} services - Service definitions of this call
+ * @return {Promise<Array>} The live results, annotated
+ */
+async function annotateLiveResults(db, liveResults, otherResults, services) {
+  const definitions = new Map(services.map((s) => [s.id, s]));
+  const statuses = new Map(otherResults.map((r) => [r.id, r]));
+
+  let pending = unknownDependencyIds(services, definitions);
+  while (pending.length > 0) {
+    const [loaded, cached] = await Promise.all([
+      getServiceDefinitions(db, pending),
+      loadCachedStatuses(db, pending),
+    ]);
+    for (const id of pending) {
+      // Disabled and unknown services are not monitored, as in the
+      // scheduled run
+      definitions.set(id, loaded.get(id) || null);
+      if (loaded.has(id) && cached.has(id)) {
+        statuses.set(id, {...cached.get(id), id: id});
+      }
+    }
+    pending = unknownDependencyIds([...loaded.values()], definitions);
+  }
+
+  // Other results are copied so their cached annotations stay as they are
+  const liveIds = new Set(liveResults.map((r) => r.id));
+  const others = [...statuses.values()]
+      .filter((r) => !liveIds.has(r.id))
+      .map((r) => ({
+        id: r.id,
+        name: r.name,
+        status: r.status,
+        components: r.components || [],
+      }));
+  annotateDependencyImpact(
+      [...liveResults, ...others],
+      [...definitions.values()].filter(Boolean),
+  );
+  return liveResults;
+}
+
+/**
+ * Returns check results for on-demand callers, serving the scheduled
+ * run's cached status for catalog services when it is fresh and probing
+ * everything else. Live results get the same dependency annotations as
+ * the scheduled run but are not written back, so the scheduled run stays
+ * the only writer of the cache and incidents.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Array} services - Service definitions to check
+ * @param {Object} options - catalogIds (Set of ids that may be served from
+ *   the cache) and forceRefresh (probe even when fresh)
+ * @return {Promise<Array>} Results with cachedAt and source
+ */
+async function getStatusesWithCache(db, services, options = {}) {
+  const {catalogIds = new Set(), forceRefresh = false} = options;
+  const cachedStatuses = await loadCachedStatuses(
+      db,
+      services.map((s) => s.id).filter((id) => catalogIds.has(id)),
+  );
+  const maxAgeMs = getCacheMaxAgeMs();
+  const nowMs = Date.now();
+
+  const results = new Array(services.length);
+  const stale = [];
+  services.forEach((service, index) => {
+    const cached = cachedStatuses.get(service.id);
+    if (!forceRefresh && isFresh(cached, maxAgeMs, nowMs)) {
+      results[index] = {
+        ...cached,
+        id: service.id,
+        cachedAt: cached.lastChecked,
+        source: "cache",
+      };
+    } else {
+      stale.push(index);
+    }
+  });
+
+  const previousStatuses = new Map([...cachedStatuses].map(([id, data]) =>
+    [id, toPreviousStatus(data)],
+  ));
+  const liveResults = stale.length > 0 ?
+    await runServiceChecks(
+        stale.map((index) => services[index]),
+        previousStatuses,
+        await loadMaintenanceWindows(db),
+    ) :
+    [];
+  if (liveResults.length > 0) {
+    await annotateLiveResults(
+        db,
+        liveResults,
+        results.filter(Boolean),
+        services,
+    );
+  }
+  stale.forEach((index, i) => {
+    results[index] = {...liveResults[i], cachedAt: null, source: "live"};
+  });
+
+  return results;
+}
+
+module.exports = {
+  STATUS_CACHE_COLLECTION,
+  LAST_UPDATE_DOC_ID,
+  STATUS_HISTORY_COLLECTION,
+  loadCachedStatuses,
+  loadPreviousStatuses,
+  annotateLiveResults,
+  getStatusesWithCache,
+};
+
+// Suggestions For Features and Additions Later:
+// - Keep an in-memory copy between warm invocations
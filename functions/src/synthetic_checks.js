@@ -0,0 +1,436 @@
+// Filename: synthetic_checks.js
+// Purpose: Multi-step synthetic transaction checks
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: axios, http_check.js, content_rules.js, url_guard.js
+// Platform Compatibility: Firebase Cloud Functions
+
+const axios = require("axios");
+const {
+  validateCheckConfig,
+  buildRequestConfig,
+  classifyStatusCode,
+  stringifyBody,
+} = require("./http_check");
+const {
+  validateContentRules,
+  evaluateContentRules,
+  isSupportedJsonPath,
+  resolveJsonPath,
+} = require("./content_rules");
+const {URL_NOT_ALLOWED, describeUrlProblem} = require("./url_guard");
+
+// MARK: - Constants
+const MAX_STEPS = 10;
+const MAX_EXTRACTS = 10;
+const EXTRACT_SOURCES = ["json", "header", "cookie"];
+const STEP_REQUEST_FIELDS = [
+  "method",
+  "headers",
+  "body",
+  "expectedStatusCodes",
+  "timeoutMs",
+  "maxRedirects",
+];
+const STEP_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+const VARIABLE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,39}$/;
+const HEADER_NAME_PATTERN = /^[A-Za-z0-9!#$%&'*+.^_`|~-]{1,100}$/;
+
+// {{name}} for extracted values, {{env.SYNTHETIC_NAME}} for secrets such
+// as test account passwords kept in the function's environment
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z0-9_.]+)\s*\}\}/g;
+const ENV_PREFIX = "env.";
+const ENV_NAME_PATTERN = /^SYNTHETIC_[A-Z0-9_]{1,60}$/;
+
+// MARK: - Templates
+/**
+ * Lists the placeholders used in a value
+ * @param {*} value - String, array or object
+ * @return {Array<string>} Placeholder names
+ */
+function listPlaceholders(value) {
+  if (typeof value === "string") {
+    return [...value.matchAll(PLACEHOLDER_PATTERN)].map((m) => m[1]);
+  }
+  if (value !== null && typeof value === "object") {
+    return Object.values(value).flatMap(listPlaceholders);
+  }
+  return [];
+}
+
+/**
+ * Replaces placeholders in every string of a value
+ * @param {*} value - String, array or object
+ * @param {Object} variables - Values extracted by earlier steps
+ * @param {Function} encode - Applied to each substituted value
+ * @return {*} Copy of the value with placeholders replaced
+ */
+function render(value, variables, encode = (v) => v) {
+  if (typeof value === "string") {
+    return value.replace(PLACEHOLDER_PATTERN, (match, name) => {
+      const resolved = name.startsWith(ENV_PREFIX) ?
+        process.env[name.slice(ENV_PREFIX.length)] :
+        variables[name];
+      return encode(resolved ?? "");
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => render(item, variables, encode));
+  }
+  if (value !== null && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+      [key, render(item, variables, encode)]));
+  }
+  return value;
+}
+
+// MARK: - Validation
+/**
+ * Validates the values a step extracts for later steps
+ * @param {*} extract - Extraction definitions
+ * @param {string} label - Step label for error messages
+ * @return {Array} Normalized extraction definitions
+ */
+function validateExtract(extract, label) {
+  if (extract == null) return [];
+  if (!Array.isArray(extract) || extract.length > MAX_EXTRACTS) {
+    throw new Error(
+        `${label}.extract must be an array of at most ${MAX_EXTRACTS}`,
+    );
+  }
+
+  return extract.map((item, index) => {
+    const itemLabel = `${label}.extract[${index}]`;
+    if (item === null || typeof item !== "object" || Array.isArray(item)) {
+      throw new Error(`${itemLabel} must be an object`);
+    }
+    if (typeof item.name !== "string" ||
+        !VARIABLE_NAME_PATTERN.test(item.name)) {
+      throw new Error(`${itemLabel}.name must be a variable name`);
+    }
+    if (!EXTRACT_SOURCES.includes(item.from)) {
+      throw new Error(
+          `${itemLabel}.from must be one of ${EXTRACT_SOURCES.join(", ")}`,
+      );
+    }
+    const validPath = item.from === "json" ?
+      typeof item.path === "string" && isSupportedJsonPath(item.path) :
+      typeof item.path === "string" && HEADER_NAME_PATTERN.test(item.path);
+    if (!validPath) {
+      throw new Error(item.from === "json" ?
+        `${itemLabel}.path must be a JSONPath such as $.data.token` :
+        `${itemLabel}.path must be a ${item.from} name`);
+    }
+    return {name: item.name, from: item.from, path: item.path};
+  });
+}
+
+/**
+ * Validates one step. Request settings are the same as a service's HTTP
+ * `check`; `assert` takes content rules.
+ * @param {*} step - Step definition
+ * @param {number} index - Position in the steps array
+ * @param {string} baseUrl - Service URL that relative step URLs resolve to
+ * @param {Set<string>} known - Variables extracted by earlier steps
+ * @return {Object} Normalized step
+ */
+function validateStep(step, index, baseUrl, known) {
+  const label = `check.steps[${index}]`;
+  if (step === null || typeof step !== "object" || Array.isArray(step)) {
+    throw new Error(`${label} must be an object`);
+  }
+  if (typeof step.id !== "string" || !STEP_ID_PATTERN.test(step.id)) {
+    throw new Error(`${label}.id must be a lowercase slug`);
+  }
+  if (step.name != null &&
+      (typeof step.name !== "string" || step.name.trim().length === 0 ||
+       step.name.length > 100)) {
+    throw new Error(`${label}.name must be a string`);
+  }
+  if (typeof step.url !== "string" || step.url.length === 0 ||
+      step.url.length > 2048) {
+    throw new Error(`${label}.url is required`);
+  }
+
+  // Placeholders are checked with a stand-in value; the rendered URL is
+  // checked again before the request
+  let sampleUrl;
+  let otherSampleUrl;
+  try {
+    sampleUrl = new URL(step.url.replace(PLACEHOLDER_PATTERN, "x"), baseUrl);
+    otherSampleUrl =
+      new URL(step.url.replace(PLACEHOLDER_PATTERN, "y"), baseUrl);
+  } catch (e) {
+    throw new Error(`${label}.url is not a valid URL`);
+  }
+  if (sampleUrl.origin !== otherSampleUrl.origin) {
+    throw new Error(`${label}.url must not use placeholders in the host`);
+  }
+  const urlProblem = describeUrlProblem(sampleUrl);
+  if (urlProblem) throw new Error(`${label}.url ${urlProblem}`);
+
+  const request = {};
+  for (const field of STEP_REQUEST_FIELDS) {
+    if (step[field] != null) request[field] = step[field];
+  }
+  let normalizedRequest;
+  let assertions;
+  try {
+    normalizedRequest = validateCheckConfig(request);
+    assertions = validateContentRules(step.assert);
+  } catch (e) {
+    throw new Error(e.message.replace(/^(check\.|contentRules)/, (m) =>
+      m === "check." ? `${label}.` : `${label}.assert`));
+  }
+
+  for (const name of listPlaceholders([step.url, request])) {
+    const isEnv = name.startsWith(ENV_PREFIX);
+    if (isEnv ?
+      !ENV_NAME_PATTERN.test(name.slice(ENV_PREFIX.length)) :
+      !known.has(name)) {
+      throw new Error(isEnv ?
+        `${label} may only read SYNTHETIC_* environment variables` :
+        `${label} uses {{${name}}} before a step extracts it`);
+    }
+  }
+
+  const extract = validateExtract(step.extract, label);
+  extract.forEach((item) => known.add(item.name));
+
+  return {
+    id: step.id,
+    name: (step.name || step.id).trim(),
+    url: step.url,
+    ...normalizedRequest,
+    assert: assertions,
+    extract: extract,
+  };
+}
+
+/**
+ * Validates the `check` settings of a synthetic service: ordered `steps`
+ * that run one after another, each able to use values extracted by the
+ * steps before it. Throws an Error describing the first invalid field.
+ * @param {*} check - Check settings from the catalog
+ * @param {string} url - Service URL that relative step URLs resolve to
+ * @return {Object} Normalized check settings
+ */
+function validateSyntheticCheck(check, url) {
+  if (check === null || typeof check !== "object" || Array.isArray(check)) {
+    throw new Error("check must be an object with steps");
+  }
+  const steps = check.steps;
+  if (!Array.isArray(steps) || steps.length === 0 ||
+      steps.length > MAX_STEPS) {
+    throw new Error(`check.steps must list 1-${MAX_STEPS} steps`);
+  }
+
+  const known = new Set();
+  const normalized = steps.map((step, index) =>
+    validateStep(step, index, url, known));
+  if (new Set(normalized.map((s) => s.id)).size !== normalized.length) {
+    throw new Error("check.steps ids must be unique");
+  }
+  return {steps: normalized};
+}
+
+/**
+ * Describes the steps of a synthetic check as components, so each step
+ * is reported, aggregated and placed under maintenance like a component
+ * @param {Object} service - Service definition with a synthetic check
+ * @return {Array} Component definitions, one per step
+ */
+function stepComponents(service) {
+  return service.check.steps.map((step) => ({
+    id: step.id,
+    name: step.name,
+    // Placeholders are shown as :name, never as the values they carry
+    url: new URL(step.url.replace(PLACEHOLDER_PATTERN, ":$1"), service.url)
+        .toString(),
+    type: "api",
+  }));
+}
+
+// MARK: - Extraction
+/**
+ * Reads a cookie value from the Set-Cookie headers of a response
+ * @param {Array|string|undefined} setCookie - Set-Cookie header(s)
+ * @param {string} name - Cookie name
+ * @return {string|undefined} Cookie value
+ */
+function readCookie(setCookie, name) {
+  const headers = Array.isArray(setCookie) ? setCookie : [setCookie];
+  for (const header of headers) {
+    if (typeof header !== "string") continue;
+    const [pair] = header.split(";");
+    const separator = pair.indexOf("=");
+    if (separator > 0 && pair.slice(0, separator).trim() === name) {
+      return pair.slice(separator + 1).trim();
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Extracts the values a step passes on to later steps
+ * @param {Array} extract - Normalized extraction definitions
+ * @param {Object} response - axios response
+ * @param {string} body - Response body as a string
+ * @return {Object} Extracted values by name, or missing (the first value
+ *   that could not be found)
+ */
+function extractValues(extract, response, body) {
+  const values = {};
+  let json;
+  for (const item of extract) {
+    let value;
+    if (item.from === "json") {
+      if (json === undefined) {
+        try {
+          json = typeof response.data === "object" ?
+            response.data :
+            JSON.parse(body);
+        } catch (e) {
+          json = null;
+        }
+      }
+      value = resolveJsonPath(json, item.path).value;
+    } else if (item.from === "header") {
+      value = response.headers?.[item.path.toLowerCase()];
+    } else {
+      value = readCookie(response.headers?.["set-cookie"], item.path);
+    }
+
+    if (value === undefined || value === null || typeof value === "object") {
+      return {values, missing: item};
+    }
+    values[item.name] = String(value);
+  }
+  return {values, missing: null};
+}
+
+// MARK: - Execution
+/**
+ * Runs one step: renders it, sends the request, classifies the status
+ * code, evaluates assertions and extracts values
+ * @param {Object} step - Normalized step
+ * @param {string} baseUrl - Service URL
+ * @param {Object} variables - Values extracted by earlier steps
+ * @return {Promise<Object>} status, errorMessage, statusCode,
+ *   responseTimeMs, failedRules and extracted values
+ */
+async function runStep(step, baseUrl, variables) {
+  const startTime = Date.now();
+  const result = (fields) => ({
+    statusCode: null,
+    failedRules: [],
+    values: {},
+    ...fields,
+    responseTimeMs: Date.now() - startTime,
+  });
+
+  const url = new URL(
+      render(step.url, variables, encodeURIComponent),
+      baseUrl,
+  ).toString();
+  const urlProblem = describeUrlProblem(url);
+  if (urlProblem) {
+    return result({status: "unknown", errorMessage: `URL ${urlProblem}`});
+  }
+
+  let response;
+  try {
+    response = await axios.request(buildRequestConfig(url, {
+      ...step,
+      headers: render(step.headers, variables),
+      body: render(step.body, variables),
+    }));
+  } catch (error) {
+    const blocked = [error, error.cause].find((e) =>
+      e?.code === URL_NOT_ALLOWED,
+    );
+    if (blocked) {
+      return result({status: "unknown", errorMessage: blocked.message});
+    }
+    const timedOut = error.code === "ECONNABORTED" ||
+      (error.message || "").includes("timeout");
+    return result({
+      status: "down",
+      statusCode: error.response?.status || null,
+      errorMessage: timedOut ? "Connection timeout" :
+        error.response ? `HTTP ${error.response.status}` :
+        "Connection error",
+    });
+  }
+
+  const body = stringifyBody(response.data);
+  const classified = classifyStatusCode(response.status, step);
+  if (classified.status !== "operational") {
+    return result({...classified, statusCode: response.status});
+  }
+
+  const assertionFailure =
+    evaluateContentRules(step.assert, body, response.data);
+  if (assertionFailure) {
+    return result({...assertionFailure, statusCode: response.status});
+  }
+
+  const {values, missing} = extractValues(step.extract, response, body);
+  if (missing) {
+    return result({
+      status: "down",
+      statusCode: response.status,
+      errorMessage: `Could not extract ${missing.name} from ${missing.from}`,
+    });
+  }
+
+  return result({
+    status: "operational",
+    errorMessage: null,
+    statusCode: response.status,
+    values: values,
+  });
+}
+
+/**
+ * Runs the steps of a synthetic check in order, stopping at the first
+ * step that is not operational; the steps after it are reported as
+ * unknown. Extracted values are kept in memory only and never stored.
+ * @param {Object} service - Service definition with a synthetic check
+ * @return {Promise<Array>} Per-step status, errorMessage, statusCode,
+ *   responseTimeMs and failedRules in step order
+ */
+async function runSyntheticSteps(service) {
+  const variables = {};
+  const results = [];
+  let failedStep = null;
+
+  for (const step of service.check.steps) {
+    if (failedStep) {
+      results.push({
+        status: "unknown",
+        errorMessage: `Skipped after "${failedStep.name}" failed`,
+        statusCode: null,
+        responseTimeMs: 0,
+        failedRules: [],
+      });
+      continue;
+    }
+
+    const {values, ...outcome} = await runStep(step, service.url, variables);
+    Object.assign(variables, values);
+    results.push(outcome);
+    if (outcome.status !== "operational") failedStep = step;
+  }
+
+  return results;
+}
+
+module.exports = {
+  validateSyntheticCheck,
+  stepComponents,
+  runSyntheticSteps,
+};
+
+// Suggestions For Features and Additions Later:
+// - Keep a cookie jar across steps so sessions carry over automatically
@@ -0,0 +1,79 @@
+// Filename: triple_check.js
+// Purpose: Triple-check validation for suspected outages
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: None
+// Platform Compatibility: Firebase Cloud Functions
+
+// MARK: - Triple-Check Validation Helper
+/**
+ * Performs triple-check validation for suspected outages
+ * Requires 3 consecutive failures before marking as down/degraded
+ * @param {Function} checkFunction - Function that performs a single check
+ * @param {number} delayMs - Delay between checks in milliseconds
+ * @return {Promise<Object>} Result of the checks
+ */
+async function tripleCheckValidation(checkFunction, delayMs = 2000) {
+  const results = [];
+
+  // Perform first check
+  try {
+    const result1 = await checkFunction();
+    results.push(result1);
+
+    // If first check passes, return immediately
+    if (result1.status === "operational" || result1.statusCode < 400) {
+      return result1;
+    }
+
+    // First failure - wait and check again
+    await new Promise((resolve) => setTimeout(resolve, delayMs));
+    const result2 = await checkFunction();
+    results.push(result2);
+
+    // If second check passes, return as operational (false positive)
+    if (result2.status === "operational" || result2.statusCode < 400) {
+      return result2;
+    }
+
+    // Second failure - wait and check third time
+    await new Promise((resolve) => setTimeout(resolve, delayMs * 2));
+    const result3 = await checkFunction();
+    results.push(result3);
+
+    // If third check passes, return as operational (transient issue)
+    if (result3.status === "operational" || result3.statusCode < 400) {
+      return result3;
+    }
+
+    // All three checks failed - return worst status
+    const worstStatus = results.reduce((worst, current) => {
+      const statusPriority = {
+        "down": 0,
+        "degraded": 1,
+        "operational": 2,
+        "unknown": 3,
+      };
+      return statusPriority[current.status] < statusPriority[worst.status] ?
+        current :
+        worst;
+    }, results[0]);
+
+    return worstStatus;
+  } catch (error) {
+    // If any check throws, return error result
+    return {
+      status: "down",
+      errorMessage: error.message || "Unknown error",
+      statusCode: null,
+      responseTimeMs: 0,
+    };
+  }
+}
+
+module.exports = {
+  tripleCheckValidation,
+};
+
+// Suggestions For Features and Additions Later:
+// - Make the number of checks configurable
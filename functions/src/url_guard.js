@@ -0,0 +1,232 @@
+// Filename: url_guard.js
+// Purpose: SSRF protection for outbound check requests and connections
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: None
+// Platform Compatibility: Firebase Cloud Functions
+
+const dns = require("dns");
+const net = require("net");
+
+// MARK: - Constants
+const URL_NOT_ALLOWED = "ERR_URL_NOT_ALLOWED";
+const ALLOWED_PROTOCOLS = ["http:", "https:"];
+const ALLOWED_PORTS = [80, 443, 8080, 8443];
+const BLOCKED_HOSTNAMES = [
+  "localhost",
+  "metadata",
+  "metadata.google.internal",
+];
+const BLOCKED_HOST_SUFFIXES = [".localhost", ".internal", ".local"];
+
+// Private, loopback, link-local, metadata and other non-public ranges
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // Link-local, including 169.254.169.254 metadata
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([network, prefix]) =>
+  BLOCKED_RANGES.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96], // NAT64 can reach private IPv4 ranges
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fd00:ec2::", 32],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) =>
+  BLOCKED_RANGES.addSubnet(network, prefix, "ipv6"));
+
+// MARK: - Errors
+/**
+ * Creates the error thrown for URLs that must not be requested
+ * @param {string} message - Reason the URL is not allowed
+ * @return {Error} Error with code ERR_URL_NOT_ALLOWED
+ */
+function notAllowed(message) {
+  const error = new Error(message);
+  error.code = URL_NOT_ALLOWED;
+  return error;
+}
+
+// MARK: - Address Checks
+/**
+ * Checks whether an IP address is in a non-public range
+ * @param {string} address - IPv4 or IPv6 address
+ * @return {boolean} True if requests to the address must be blocked
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  if (family === 4) return BLOCKED_RANGES.check(address, "ipv4");
+
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+  const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return BLOCKED_RANGES.check(mapped[1], "ipv4");
+  if (/^::ffff:/i.test(address)) return true;
+  return BLOCKED_RANGES.check(address, "ipv6");
+}
+
+/**
+ * Describes why a URL may not be requested, without resolving DNS
+ * @param {string|URL} value - URL to check
+ * @return {string|null} Reason the URL is rejected, or null if it is fine
+ */
+function describeUrlProblem(value) {
+  let url;
+  try {
+    url = value instanceof URL ? value : new URL(value);
+  } catch (e) {
+    return "is not a valid URL";
+  }
+
+  if (!ALLOWED_PROTOCOLS.includes(url.protocol)) {
+    return "must use http or https";
+  }
+  if (url.username || url.password) {
+    return "must not contain credentials";
+  }
+  const port = url.port ?
+    Number(url.port) :
+    (url.protocol === "https:" ? 443 : 80);
+  if (!ALLOWED_PORTS.includes(port)) {
+    return `must use port ${ALLOWED_PORTS.join(", ")}`;
+  }
+
+  return describeHostProblem(url.hostname);
+}
+
+/**
+ * Describes why a host may not be connected to, without resolving DNS
+ * @param {string} value - Hostname or IP address (IPv6 may be bracketed)
+ * @return {string|null} Reason the host is rejected, or null if it is fine
+ */
+function describeHostProblem(value) {
+  const hostname = value.toLowerCase().replace(/^\[|\]$/g, "")
+      .replace(/\.$/, "");
+  if (BLOCKED_HOSTNAMES.includes(hostname) ||
+      BLOCKED_HOST_SUFFIXES.some((suffix) => hostname.endsWith(suffix))) {
+    return "must not target an internal host";
+  }
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    return "must not target a private or reserved address";
+  }
+  return null;
+}
+
+/**
+ * Throws unless a URL passes the scheme, port and host checks and every
+ * address its hostname resolves to is public
+ * @param {string} value - URL to check
+ * @return {Promise<void>}
+ */
+async function assertAllowedUrl(value) {
+  const problem = describeUrlProblem(value);
+  if (problem) throw notAllowed(`URL ${problem}`);
+
+  const hostname = new URL(value).hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(hostname)) return;
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, {all: true});
+  } catch (e) {
+    throw notAllowed(`URL host ${hostname} does not resolve`);
+  }
+  if (addresses.some((entry) => isBlockedAddress(entry.address))) {
+    throw notAllowed("URL must not target a private or reserved address");
+  }
+}
+
+/**
+ * Resolves a host for a raw TCP or TLS connection and throws unless it is
+ * public. The caller connects to the returned address so the host cannot
+ * be rebound to a private address between the check and the connection.
+ * @param {string} value - Hostname or IP address
+ * @return {Promise<string>} Public address to connect to
+ */
+async function resolvePublicAddress(value) {
+  const problem = describeHostProblem(value);
+  if (problem) throw notAllowed(`Host ${problem}`);
+
+  const hostname = value.replace(/^\[|\]$/g, "");
+  if (net.isIP(hostname)) return hostname;
+
+  // Lookup errors keep their code (ENOTFOUND) so callers report them as down
+  const addresses = await dns.promises.lookup(hostname, {all: true});
+  if (addresses.some((entry) => isBlockedAddress(entry.address))) {
+    throw notAllowed("Host must not target a private or reserved address");
+  }
+  return addresses[0].address;
+}
+
+// MARK: - Request Hooks
+/**
+ * dns.lookup replacement that refuses to connect to non-public addresses.
+ * Runs for every connection, so DNS rebinding and redirects to internal
+ * hostnames are caught at connect time.
+ * @param {string} hostname - Hostname to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+
+    const entries = Array.isArray(address) ? address : [{address, family}];
+    if (entries.some((entry) => isBlockedAddress(entry.address))) {
+      return callback(notAllowed(
+          `Blocked request to private or reserved address for ${hostname}`,
+      ));
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * axios beforeRedirect hook that applies the URL checks to every redirect.
+ * IP literal hosts never reach the lookup, so they are checked here.
+ * @param {Object} options - Redirect request options
+ */
+function guardRedirect(options) {
+  const host = net.isIP(options.hostname) === 6 ?
+    `[${options.hostname}]` :
+    options.hostname;
+  const port = options.port ? `:${options.port}` : "";
+  const problem = describeUrlProblem(`${options.protocol}//${host}${port}/`);
+  if (problem) throw notAllowed(`Redirect target ${problem}`);
+}
+
+// Spread into axios request configs for outbound check and notification
+// requests
+const GUARDED_REQUEST_OPTIONS = {
+  lookup: guardedLookup,
+  beforeRedirect: guardRedirect,
+};
+
+module.exports = {
+  URL_NOT_ALLOWED,
+  GUARDED_REQUEST_OPTIONS,
+  isBlockedAddress,
+  describeUrlProblem,
+  describeHostProblem,
+  assertAllowedUrl,
+  resolvePublicAddress,
+};
+
+// Suggestions For Features and Additions Later:
+// - Make the allowed ports configurable per deployment
@@ -0,0 +1,72 @@
+// Filename: alert_policy.spec.js
+// Purpose: Tests for alert state persistence and acknowledgements
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: node:test, firebase-admin, alert_policy.js,
+//   helpers/fake_firestore.js
+// Platform Compatibility: Node.js 20
+
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const admin = require("firebase-admin");
+const {createFakeFirestore} = require("./helpers/fake_firestore");
+const {
+  ALERT_STATE_COLLECTION,
+  applyAlertPolicies,
+} = require("../src/alert_policy");
+
+const {Timestamp} = admin.firestore;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Builds a stored alert state for a service that has been down for an hour
+ * @param {Object} overrides - Fields to change
+ * @return {Object} Alert state document
+ */
+function openAlertState(overrides = {}) {
+  return {
+    alertedStatus: "down",
+    lastStatus: "down",
+    failureCount: 10,
+    recentTransitions: [],
+    flapping: false,
+    openedAt: Timestamp.fromMillis(Date.now() - HOUR_MS),
+    acknowledgedAt: null,
+    acknowledgedBy: null,
+    escalatedAt: null,
+    ...overrides,
+  };
+}
+
+const result = {id: "infinitum-live", name: "Infinitum Live", status: "down"};
+const services = [{id: "infinitum-live"}];
+
+describe("applyAlertPolicies", () => {
+  it("escalates open alerts nobody acknowledged", async () => {
+    const db = createFakeFirestore({[ALERT_STATE_COLLECTION]: {
+      "infinitum-live": openAlertState(),
+    }});
+
+    const alerts = await applyAlertPolicies(db, [result], services);
+
+    assert.deepEqual(alerts.map((a) => a.tier), ["escalation"]);
+  });
+
+  it("keeps acknowledgements stored since the run started", async () => {
+    const acknowledgedAt = Timestamp.fromMillis(Date.now() - 60 * 1000);
+    const db = createFakeFirestore({[ALERT_STATE_COLLECTION]: {
+      "infinitum-live": openAlertState({
+        acknowledgedAt: acknowledgedAt,
+        acknowledgedBy: "admin-uid",
+      }),
+    }});
+
+    const alerts = await applyAlertPolicies(db, [result], services);
+    const saved = db.data[ALERT_STATE_COLLECTION]["infinitum-live"];
+
+    assert.deepEqual(alerts, []);
+    assert.equal(saved.acknowledgedBy, "admin-uid");
+    assert.equal(saved.acknowledgedAt.toMillis(), acknowledgedAt.toMillis());
+    assert.equal(saved.escalatedAt, null);
+  });
+});
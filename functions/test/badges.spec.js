@@ -0,0 +1,34 @@
+// Filename: badges.spec.js
+// Purpose: Tests for the SVG status and uptime badges
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: node:test, badges.js, helpers/fake_firestore.js
+// Platform Compatibility: Node.js 20
+
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {createFakeFirestore} = require("./helpers/fake_firestore");
+const {buildServiceBadge} = require("../src/badges");
+
+const SERVICE = {id: "infinitum-view", name: "iView"};
+
+// MARK: - Service Badges
+describe("buildServiceBadge", () => {
+  it("renders an invalid window badge for unsupported uptime", async () => {
+    for (const uptime of ["90d", "constructor"]) {
+      const svg = await buildServiceBadge(
+          createFakeFirestore(), SERVICE, undefined, {uptime},
+      );
+      assert.match(svg, /^<svg /);
+      assert.match(svg, />invalid window</);
+    }
+  });
+
+  it("renders the cached status", async () => {
+    const svg = await buildServiceBadge(
+        createFakeFirestore(), SERVICE, {status: "degraded"}, {},
+    );
+    assert.match(svg, />iView</);
+    assert.match(svg, />degraded</);
+  });
+});
@@ -0,0 +1,107 @@
+// Filename: catalog.spec.js
+// Purpose: Tests for catalog lookups, disabled services and migrations
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: node:test, catalog.js, helpers/fake_firestore.js
+// Platform Compatibility: Node.js 20
+
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {createFakeFirestore} = require("./helpers/fake_firestore");
+const {
+  DEFAULT_SERVICES,
+  MONITORED_SERVICES_COLLECTION,
+  getServiceDefinitions,
+  loadServiceCatalog,
+  validateServiceDefinition,
+} = require("../src/catalog");
+
+/**
+ * Builds a stored catalog entry from a default definition
+ * @param {string} id - Default service id
+ * @param {Object} overrides - Fields to change
+ * @return {Object} Stored definition
+ */
+function stored(id, overrides = {}) {
+  const service = DEFAULT_SERVICES.find((s) => s.id === id);
+  return {...validateServiceDefinition(service), ...overrides};
+}
+
+describe("getServiceDefinitions", () => {
+  it("omits disabled services unless asked for them", async () => {
+    const db = createFakeFirestore({[MONITORED_SERVICES_COLLECTION]: {
+      "infinitum-live": stored("infinitum-live", {enabled: false}),
+    }});
+
+    const enabled = await getServiceDefinitions(db, ["infinitum-live"]);
+    assert.equal(enabled.has("infinitum-live"), false);
+
+    const all = await getServiceDefinitions(db, ["infinitum-live"], {
+      includeDisabled: true,
+    });
+    assert.equal(all.get("infinitum-live").enabled, false);
+  });
+
+  it("does not bring back defaults deleted from a seeded catalog",
+      async () => {
+        const db = createFakeFirestore({[MONITORED_SERVICES_COLLECTION]: {
+          "infinitum-live": stored("infinitum-live"),
+        }});
+
+        const definitions = await getServiceDefinitions(
+            db,
+            ["infinitum-live", "infinitum-crm"],
+        );
+        assert.deepEqual([...definitions.keys()], ["infinitum-live"]);
+      });
+
+  it("falls back to the defaults before the catalog is seeded", async () => {
+    const db = createFakeFirestore();
+
+    const definitions = await getServiceDefinitions(db, ["infinitum-crm"]);
+    assert.equal(definitions.get("infinitum-crm").name, "Infinitum CRM");
+  });
+});
+
+describe("catalog migrations", () => {
+  it("fills in missing defaults once and keeps admin edits", async () => {
+    const board = stored("infinitum-board");
+    delete board.dependencies;
+    const db = createFakeFirestore({[MONITORED_SERVICES_COLLECTION]: {
+      "infinitum-board": {
+        ...board,
+        check: {...board.check, expectedStatusCodes: null},
+      },
+      "infinitum-live": stored("infinitum-live", {dependencies: []}),
+    }});
+
+    await loadServiceCatalog(db);
+    const services = db.data[MONITORED_SERVICES_COLLECTION];
+
+    assert.deepEqual(
+        services["infinitum-board"].check.expectedStatusCodes,
+        ["2xx", "3xx", 401],
+    );
+    assert.equal(services["infinitum-board"].dependencies.length, 3);
+    // An explicit empty list is an admin choice and is kept
+    assert.deepEqual(services["infinitum-live"].dependencies, []);
+    assert.equal(services["infinitum-certificates"].checkType, "tls");
+    // The view service was deleted before the migrations ran
+    assert.equal(services["infinitum-view"], undefined);
+    assert.ok(db.data.catalog_migrations["infinitum-certificates-service"]);
+
+    // Deleting a migrated service is not undone by later runs
+    delete services["infinitum-certificates"];
+    await loadServiceCatalog(db);
+    assert.equal(services["infinitum-certificates"], undefined);
+  });
+
+  it("marks every migration as applied when seeding", async () => {
+    const db = createFakeFirestore();
+
+    const services = await loadServiceCatalog(db);
+
+    assert.equal(services.length, DEFAULT_SERVICES.length);
+    assert.ok(Object.keys(db.data.catalog_migrations).length > 0);
+  });
+});
@@ -0,0 +1,39 @@
+// Filename: feeds.spec.js
+// Purpose: Tests for Atom and RSS feed rendering
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: node:test, feeds.js
+// Platform Compatibility: Node.js 20
+
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {renderFeed} = require("../src/feeds");
+
+/**
+ * Builds an empty feed with the given title
+ * @param {string} title - Feed title
+ * @return {Object} Feed as for renderFeed
+ */
+function feedTitled(title) {
+  return {
+    id: "urn:infinitum-status:test",
+    title: title,
+    description: "Test feed",
+    feedUrl: "https://status.example.com/feed.rss",
+    homeUrl: null,
+    author: "Infinitum Imagery",
+    updated: new Date("2026-10-19T12:00:00Z"),
+    items: [],
+  };
+}
+
+// MARK: - Escaping
+describe("renderFeed", () => {
+  it("drops characters XML 1.0 does not allow", () => {
+    const xml = renderFeed(
+        "rss",
+        feedTitled("A\u0001B\tC\uD800D\uDFFFE\uFFFF <&> \u{1F680}"),
+    );
+    assert.match(xml, /<title>AB\tCDE &lt;&amp;&gt; \u{1F680}<\/title>/u);
+  });
+});
@@ -0,0 +1,146 @@
+// Filename: fake_firestore.js
+// Purpose: Minimal in-memory Firestore for unit tests
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: None
+// Platform Compatibility: Node.js 20
+
+// Supports what the functions use: collection/doc references, get/set
+// (with merge)/update/delete, where/orderBy/limit queries, getAll, batches
+// and transactions. Transactions run once and apply their writes on success,
+// so a thrown error discards them like in Firestore.
+
+// MARK: - Fake Database
+/**
+ * Compares two field values, Timestamps by their time
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @return {number} Negative, zero or positive like a sort comparator
+ */
+function compareValues(a, b) {
+  const value = (v) => (typeof v?.toMillis === "function" ? v.toMillis() : v);
+  const left = value(a);
+  const right = value(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Creates an in-memory Firestore
+ * @param {Object} seed - Documents by collection path, then document id;
+ *   used (and changed) in place
+ * @return {Object} Firestore-like object; `data` holds the documents
+ */
+function createFakeFirestore(seed = {}) {
+  // Kept as given so Timestamps in the seed keep their methods
+  const data = seed;
+  let nextId = 1;
+
+  const write = (ref, value, options = {}) => {
+    const docs = data[ref.path] = data[ref.path] || {};
+    docs[ref.id] = options.merge ? {...docs[ref.id], ...value} : {...value};
+  };
+  const update = (ref, value) => {
+    const docs = data[ref.path] || {};
+    if (!(ref.id in docs)) throw new Error(`No document ${ref.id}`);
+    docs[ref.id] = {...docs[ref.id], ...value};
+  };
+  const remove = (ref) => {
+    delete (data[ref.path] || {})[ref.id];
+  };
+
+  const snapshot = (ref) => {
+    const value = (data[ref.path] || {})[ref.id];
+    return {
+      id: ref.id,
+      ref: ref,
+      exists: value !== undefined,
+      data: () => value,
+    };
+  };
+
+  const docRef = (path, id) => {
+    const ref = {
+      id: id,
+      path: path,
+      get: async () => snapshot(ref),
+      set: async (value, options) => write(ref, value, options),
+      update: async (value) => update(ref, value),
+      delete: async () => remove(ref),
+      collection: (name) => collectionRef(`${path}/${id}/${name}`),
+    };
+    return ref;
+  };
+
+  const query = (path, filters = [], limit = null, order = null) => ({
+    where: (field, op, value) =>
+      query(path, [...filters, {field, op, value}], limit, order),
+    orderBy: (field, direction = "asc") =>
+      query(path, filters, limit, {field, direction}),
+    limit: (count) => query(path, filters, count, order),
+    get: async () => {
+      let docs = Object.keys(data[path] || {})
+          .map((id) => snapshot(docRef(path, id)))
+          .filter((doc) => filters.every(({field, op, value}) => {
+            const actual = doc.data()[field];
+            if (op === "==") return actual === value;
+            if (op === "in") return value.includes(actual);
+            if (actual === undefined) return false;
+            const diff = compareValues(actual, value);
+            if (op === "<") return diff < 0;
+            if (op === "<=") return diff <= 0;
+            if (op === ">") return diff > 0;
+            if (op === ">=") return diff >= 0;
+            throw new Error(`Unsupported operator ${op}`);
+          }));
+      if (order) {
+        const sign = order.direction === "desc" ? -1 : 1;
+        docs.sort((a, b) => sign *
+          compareValues(a.data()[order.field], b.data()[order.field]));
+      }
+      if (limit !== null) docs = docs.slice(0, limit);
+      return {docs, empty: docs.length === 0, size: docs.length};
+    },
+  });
+
+  const collectionRef = (path) => ({
+    ...query(path),
+    doc: (id) => docRef(path, id || `auto${nextId++}`),
+  });
+
+  const batch = () => {
+    const writes = [];
+    return {
+      set: (ref, value, options) => writes.push(() =>
+        write(ref, value, options)),
+      update: (ref, value) => writes.push(() => update(ref, value)),
+      delete: (ref) => writes.push(() => remove(ref)),
+      commit: async () => writes.forEach((apply) => apply()),
+    };
+  };
+
+  return {
+    data: data,
+    collection: collectionRef,
+    batch: batch,
+    getAll: async (...refs) => refs.map(snapshot),
+    runTransaction: async (run) => {
+      const writes = batch();
+      const transaction = {
+        get: async (ref) => snapshot(ref),
+        set: writes.set,
+        update: writes.update,
+        delete: writes.delete,
+      };
+      const result = await run(transaction);
+      await writes.commit();
+      return result;
+    },
+  };
+}
+
+module.exports = {
+  createFakeFirestore,
+};
+
+// Suggestions For Features and Additions Later:
+// - Support cursors for paginated queries
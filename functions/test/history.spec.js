@@ -0,0 +1,95 @@
+// Filename: history.spec.js
+// Purpose: Tests for history write modes and change detection
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: node:test, firebase-admin, history.js
+// Platform Compatibility: Node.js 20
+
+const {describe, it, afterEach} = require("node:test");
+const assert = require("node:assert/strict");
+const admin = require("firebase-admin");
+const {
+  getHistoryWriteMode,
+  shouldWriteHistoryEntry,
+} = require("../src/history");
+
+const {Timestamp} = admin.firestore;
+const NOW_MS = Date.parse("2026-10-19T12:00:00Z");
+const SERVICE = {id: "infinitum-view", thresholds: {}};
+
+/**
+ * Builds a cached status written to history a minute ago
+ * @param {Object} overrides - Fields to change
+ * @return {Object} Previous status
+ */
+function previousStatus(overrides = {}) {
+  return {
+    status: "degraded",
+    errorMessage: "Slow response (1204ms)",
+    responseTimeMs: 1204,
+    historyWrittenAt: Timestamp.fromMillis(NOW_MS - 60 * 1000),
+    ...overrides,
+  };
+}
+
+// MARK: - Write Mode
+describe("getHistoryWriteMode", () => {
+  afterEach(() => delete process.env.HISTORY_WRITE_MODE);
+
+  it("writes changes only unless every check is chosen", () => {
+    assert.equal(getHistoryWriteMode(), "changes");
+    process.env.HISTORY_WRITE_MODE = "all";
+    assert.equal(getHistoryWriteMode(), "all");
+    process.env.HISTORY_WRITE_MODE = "every";
+    assert.equal(getHistoryWriteMode(), "changes");
+  });
+});
+
+// MARK: - Change Detection
+describe("shouldWriteHistoryEntry in change-only mode", () => {
+  afterEach(() => delete process.env.HISTORY_WRITE_MODE);
+
+  it("skips slow checks that only differ in response time", () => {
+    process.env.HISTORY_WRITE_MODE = "changes";
+    const result = {
+      status: "degraded",
+      errorMessage: "Slow response (1388ms)",
+      responseTimeMs: 1388,
+    };
+    assert.equal(
+        shouldWriteHistoryEntry(result, previousStatus(), SERVICE, NOW_MS),
+        false,
+    );
+  });
+
+  it("writes when the HTTP status code changes", () => {
+    process.env.HISTORY_WRITE_MODE = "changes";
+    const previous = previousStatus({
+      status: "down",
+      errorMessage: "HTTP 502",
+      responseTimeMs: 240,
+    });
+    const result = {
+      status: "down",
+      errorMessage: "HTTP 503",
+      responseTimeMs: 240,
+    };
+    assert.equal(
+        shouldWriteHistoryEntry(result, previous, SERVICE, NOW_MS),
+        true,
+    );
+  });
+
+  it("writes when the kind of error changes", () => {
+    process.env.HISTORY_WRITE_MODE = "changes";
+    const result = {
+      status: "degraded",
+      errorMessage: "HTTP 429",
+      responseTimeMs: 1388,
+    };
+    assert.equal(
+        shouldWriteHistoryEntry(result, previousStatus(), SERVICE, NOW_MS),
+        true,
+    );
+  });
+});
@@ -0,0 +1,128 @@
+// Filename: incidents.spec.js
+// Purpose: Tests for automated incidents that admins close by hand
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: node:test, firebase-admin, incidents.js, status_cache.js,
+//   helpers/fake_firestore.js
+// Platform Compatibility: Node.js 20
+
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const admin = require("firebase-admin");
+const {createFakeFirestore} = require("./helpers/fake_firestore");
+const {
+  INCIDENTS_COLLECTION,
+  markClosedIncidents,
+  syncIncidents,
+  manageIncidents,
+} = require("../src/incidents");
+const {
+  STATUS_CACHE_COLLECTION,
+  loadPreviousStatuses,
+} = require("../src/status_cache");
+
+const SERVICE_ID = "infinitum-view";
+const INCIDENT_ID = "incident-1";
+
+/**
+ * Seeds a degraded service with its open automated incident
+ * @return {Object} Fake Firestore
+ */
+function seededDb() {
+  const startTime = admin.firestore.Timestamp.fromMillis(
+      Date.parse("2026-10-19T10:00:00Z"),
+  );
+  return createFakeFirestore({
+    [INCIDENTS_COLLECTION]: {
+      [INCIDENT_ID]: {
+        serviceId: SERVICE_ID,
+        serviceName: "iView",
+        type: "degraded",
+        status: "investigating",
+        startTime: startTime,
+        endTime: null,
+        updates: [{message: "iView is degraded", status: "investigating"}],
+        automated: true,
+      },
+    },
+    [STATUS_CACHE_COLLECTION]: {
+      [SERVICE_ID]: {status: "degraded", activeIncidentId: INCIDENT_ID},
+    },
+  });
+}
+
+/**
+ * Snapshots the incidents collection for comparison
+ * @param {Object} db - Fake Firestore
+ * @return {Object} Plain copy of the incident documents
+ */
+function incidentsSnapshot(db) {
+  return JSON.parse(JSON.stringify(db.data[INCIDENTS_COLLECTION]));
+}
+
+/**
+ * Syncs incidents for one result and stores it like the scheduled check
+ * @param {Object} db - Fake Firestore
+ * @param {string} status - Status of this check
+ * @param {Map} previousStatuses - Previous statuses, loaded if omitted
+ * @return {Promise<Object>} Stored result
+ */
+async function runScheduledCheck(db, status, previousStatuses = null) {
+  const previous = previousStatuses || await loadPreviousStatuses(db);
+  const result = {id: SERVICE_ID, name: "iView", status: status};
+  const batch = db.batch();
+
+  await markClosedIncidents(db, previous);
+  syncIncidents(db, batch, [result], previous);
+  batch.set(
+      db.collection(STATUS_CACHE_COLLECTION).doc(SERVICE_ID),
+      result,
+      {merge: true},
+  );
+  await batch.commit();
+  return result;
+}
+
+// MARK: - Manual Resolution
+describe("incidents resolved by hand", () => {
+  it("stay as resolved through status flips and recovery", async () => {
+    const db = seededDb();
+    await manageIncidents(db, "resolve", {
+      id: INCIDENT_ID,
+      message: "Fixed by hand",
+    }, "admin-uid");
+    const resolved = incidentsSnapshot(db);
+
+    const down = await runScheduledCheck(db, "down");
+    const degraded = await runScheduledCheck(db, "degraded");
+    const recovered = await runScheduledCheck(db, "operational");
+
+    assert.deepEqual(incidentsSnapshot(db), resolved);
+    assert.equal(resolved[INCIDENT_ID].status, "resolved");
+    assert.equal(down.activeIncidentId, null);
+    assert.equal(degraded.closedIncidentId, INCIDENT_ID);
+    assert.equal(recovered.closedIncidentId, null);
+
+    // A new failure after the recovery opens a new incident
+    const failed = await runScheduledCheck(db, "down");
+    assert.notEqual(failed.activeIncidentId, null);
+    assert.notEqual(failed.activeIncidentId, INCIDENT_ID);
+  });
+
+  it("are left alone by a run that loaded statuses earlier", async () => {
+    const db = seededDb();
+    const staleStatuses = await loadPreviousStatuses(db);
+    await manageIncidents(db, "addUpdate", {
+      id: INCIDENT_ID,
+      status: "postmortem",
+      message: "Postmortem published",
+    }, "admin-uid");
+    const closed = incidentsSnapshot(db);
+
+    await runScheduledCheck(db, "down", staleStatuses);
+    await runScheduledCheck(db, "operational");
+
+    assert.deepEqual(incidentsSnapshot(db), closed);
+    assert.equal(closed[INCIDENT_ID].status, "postmortem");
+  });
+});
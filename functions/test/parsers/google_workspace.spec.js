@@ -0,0 +1,70 @@
+// Filename: google_workspace.spec.js
+// Purpose: Fixture tests for the Google Workspace incidents mapping
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: node:test, parsers/google_workspace.js
+// Platform Compatibility: Node.js 20
+
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+  isActiveIncident,
+  mapWorkspaceIncidents,
+} = require("../../src/parsers/google_workspace");
+
+const incidents = JSON.parse(fs.readFileSync(
+    path.join(__dirname, "../fixtures/google_workspace_incidents.json"),
+    "utf8",
+));
+const NOW = new Date("2026-10-19T12:00:00Z");
+const COMPONENT_IDS = [
+  "google-gmail",
+  "google-docs",
+  "google-sheets",
+  "google-drive",
+  "google-calendar",
+  "google-forms",
+];
+
+describe("mapWorkspaceIncidents", () => {
+  const components = COMPONENT_IDS.map((id) => ({
+    id: id,
+    name: id,
+    url: "https://www.google.com/appsstatus/dashboard/",
+    type: "other",
+  }));
+  const statuses = new Map(mapWorkspaceIncidents(incidents, components, NOW)
+      .map((s) => [s.id, s]));
+
+  it("reports outages as down with the first description line", () => {
+    assert.equal(statuses.get("google-gmail").status, "down");
+    assert.equal(
+        statuses.get("google-gmail").errorMessage,
+        "Users are unable to send mail",
+    );
+  });
+
+  it("reports disruptions as degraded for every affected product", () => {
+    for (const id of ["google-docs", "google-sheets"]) {
+      assert.equal(statuses.get(id).status, "degraded");
+      assert.equal(statuses.get(id).errorMessage, "Slow document loading");
+    }
+  });
+
+  it("ignores ended incidents and informational notices", () => {
+    for (const id of ["google-drive", "google-calendar", "google-forms"]) {
+      assert.equal(statuses.get(id).status, "operational");
+      assert.equal(statuses.get(id).errorMessage, null);
+    }
+  });
+});
+
+describe("isActiveIncident", () => {
+  it("treats missing or future end times as active", () => {
+    assert.equal(isActiveIncident({end: null}, NOW), true);
+    assert.equal(isActiveIncident({end: "2026-10-20T00:00:00Z"}, NOW), true);
+    assert.equal(isActiveIncident({end: "2026-10-18T00:00:00Z"}, NOW), false);
+  });
+});
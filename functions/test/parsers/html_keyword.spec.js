@@ -0,0 +1,70 @@
+// Filename: html_keyword.spec.js
+// Purpose: Fixture tests for the HTML keyword proximity parser
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: node:test, parsers/html_keyword.js
+// Platform Compatibility: Node.js 20
+
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {parse} = require("../../src/parsers/html_keyword");
+
+const html = fs.readFileSync(
+    path.join(__dirname, "../fixtures/apple_system_status.html"),
+    "utf8",
+);
+
+/**
+ * Builds a component definition for the Apple service
+ * @param {string} id - Component id
+ * @param {string} name - Component name
+ * @return {Object} Component definition
+ */
+function component(id, name) {
+  return {
+    id: id,
+    name: name,
+    url: "https://www.apple.com/support/systemstatus/",
+    type: "other",
+  };
+}
+
+describe("html-keyword parser", () => {
+  const options = {
+    windowChars: 40,
+    stripPrefixes: ["apple "],
+    downKeywords: ["outage"],
+    degradedKeywords: ["issue", "degraded"],
+  };
+
+  it("classifies components by keywords near their name", async () => {
+    const [appStore, push, mail, maps] = await parse({
+      components: [
+        component("apple-app-store", "App Store"),
+        component("apple-push", "Apple Push Notification Service"),
+        component("apple-icloud-mail", "iCloud Mail"),
+        component("apple-maps", "Maps Display"),
+      ],
+      responseBody: html,
+      options: options,
+    });
+
+    assert.equal(appStore.status, "operational");
+    assert.equal(push.status, "down");
+    assert.equal(push.errorMessage, "Service disruption reported");
+    assert.equal(mail.status, "operational");
+    assert.equal(maps.status, "unknown");
+  });
+
+  it("finds components by name without the vendor prefix", async () => {
+    const [push] = await parse({
+      components: [component("apple-push", "Apple Push Notification")],
+      responseBody: html.replace("Apple Push", "Push"),
+      options: options,
+    });
+
+    assert.equal(push.status, "down");
+  });
+});
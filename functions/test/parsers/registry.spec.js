@@ -0,0 +1,61 @@
+// Filename: registry.spec.js
+// Purpose: Tests for the parser registry dispatch
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: node:test, parsers/index.js
+// Platform Compatibility: Node.js 20
+
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getParserNames,
+  parseComponentStatuses,
+  registerParser,
+} = require("../../src/parsers");
+
+const components = [
+  {id: "api", name: "API", url: "https://example.com/", type: "api"},
+];
+
+describe("parser registry", () => {
+  it("registers the built-in parsers", () => {
+    for (const name of ["html-keyword", "statuspage", "google-workspace",
+      "rss", "firebase", "availability"]) {
+      assert.ok(getParserNames().includes(name), name);
+    }
+  });
+
+  it("dispatches to the parser named by the service", async () => {
+    registerParser("test-fixed", async ({components, options}) =>
+      components.map((c) => ({id: c.id, status: options.status})));
+
+    const [api] = await parseComponentStatuses(
+        {id: "svc", parser: "test-fixed", parserOptions: {status: "degraded"}},
+        components,
+        "",
+        200,
+    );
+    assert.equal(api.status, "degraded");
+  });
+
+  it("marks components down for 5xx pages without parsing", async () => {
+    const [api] = await parseComponentStatuses(
+        {id: "svc", parser: "html-keyword"},
+        components,
+        "API operational",
+        503,
+    );
+    assert.equal(api.status, "down");
+    assert.equal(api.errorMessage, "HTTP 503");
+  });
+
+  it("reports unknown components without a registered parser", async () => {
+    const [api] = await parseComponentStatuses(
+        {id: "svc", parser: "missing"},
+        components,
+        "API",
+        200,
+    );
+    assert.equal(api.status, "unknown");
+  });
+});
@@ -0,0 +1,60 @@
+// Filename: rss.spec.js
+// Purpose: Fixture tests for the RSS / Atom feed parser
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: node:test, parsers/rss.js
+// Platform Compatibility: Node.js 20
+
+const {describe, it, before, after, mock} = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {parse, parseFeedItems} = require("../../src/parsers/rss");
+
+const xml = fs.readFileSync(
+    path.join(__dirname, "../fixtures/aws_status_feed.xml"),
+    "utf8",
+);
+
+describe("parseFeedItems", () => {
+  it("reads titles, descriptions and dates and unwraps CDATA", () => {
+    const items = parseFeedItems(xml);
+
+    assert.equal(items.length, 4);
+    assert.equal(
+        items[0].title,
+        "Service is operating normally: [RESOLVED] Increased error rates",
+    );
+    assert.equal(items[0].date.toISOString(), "2026-10-19T10:30:00.000Z");
+  });
+});
+
+describe("rss parser", () => {
+  before(() => {
+    mock.timers.enable({apis: ["Date"], now: Date.parse("2026-10-19T12:00Z")});
+  });
+  after(() => mock.timers.reset());
+
+  it("lets the newest recent item decide each component", async () => {
+    const components = ["Amazon S3", "Amazon EC2", "Amazon CloudFront",
+      "Amazon SQS"].map((name) => ({
+      id: name.toLowerCase().replace(/\s+/g, "-"),
+      name: name,
+      url: "https://health.aws.amazon.com/health/status",
+      type: "other",
+    }));
+    const [s3, ec2, cloudFront, sqs] = await parse({
+      components: components,
+      responseBody: xml,
+      options: {},
+    });
+
+    // The resolution notice is newer than the error rate report
+    assert.equal(s3.status, "operational");
+    assert.equal(ec2.status, "down");
+    assert.equal(ec2.errorMessage, "Service disruption");
+    // Outside the 24 hour lookback window
+    assert.equal(cloudFront.status, "operational");
+    assert.equal(sqs.status, "operational");
+  });
+});
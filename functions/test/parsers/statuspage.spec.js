@@ -0,0 +1,76 @@
+// Filename: statuspage.spec.js
+// Purpose: Fixture tests for the Statuspage summary mapping
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: node:test, parsers/statuspage.js
+// Platform Compatibility: Node.js 20
+
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {mapStatuspageSummary} = require("../../src/parsers/statuspage");
+
+const summary = JSON.parse(fs.readFileSync(
+    path.join(__dirname, "../fixtures/statuspage_summary.json"),
+    "utf8",
+));
+
+/**
+ * Builds a component definition for the Discord service
+ * @param {string} id - Component id
+ * @param {string} name - Component name
+ * @param {Object} extras - Extra definition fields
+ * @return {Object} Component definition
+ */
+function component(id, name, extras = {}) {
+  return {id, name, url: "https://discordstatus.com/", type: "other",
+    ...extras};
+}
+
+describe("mapStatuspageSummary", () => {
+  const byId = (statuses) => new Map(statuses.map((s) => [s.id, s]));
+
+  it("maps vendor statuses and matches names case-insensitively", () => {
+    const statuses = byId(mapStatuspageSummary(summary, [
+      component("discord-api", "api"),
+      component("discord-gateway", "Gateway"),
+      component("discord-push", "Push Notifications"),
+    ]));
+
+    assert.equal(statuses.get("discord-api").status, "operational");
+    assert.equal(statuses.get("discord-api").errorMessage, null);
+    assert.equal(statuses.get("discord-gateway").status, "degraded");
+    assert.equal(
+        statuses.get("discord-gateway").errorMessage,
+        "Degraded performance reported",
+    );
+    // Planned vendor maintenance is not reported as an issue
+    assert.equal(statuses.get("discord-push").status, "maintenance");
+    assert.equal(
+        statuses.get("discord-push").errorMessage,
+        "Under maintenance",
+    );
+  });
+
+  it("uses unresolved incident titles as the error message", () => {
+    const [mediaProxy, voice] = mapStatuspageSummary(summary, [
+      component("discord-media", "Media Proxy"),
+      component("discord-voice", "Voice US East", {statuspageName: "US East"}),
+    ]);
+
+    assert.equal(mediaProxy.status, "down");
+    assert.equal(mediaProxy.errorMessage, "Images failing to load");
+    assert.equal(voice.status, "degraded");
+    assert.equal(voice.errorMessage, "Voice connection issues in US East");
+  });
+
+  it("reports components missing from the summary as unknown", () => {
+    const [missing] = mapStatuspageSummary(summary, [
+      component("discord-store", "Store"),
+    ]);
+
+    assert.equal(missing.status, "unknown");
+    assert.equal(missing.errorMessage, null);
+  });
+});
@@ -0,0 +1,100 @@
+// Filename: rate_limit.spec.js
+// Purpose: Tests for the check and report callable rate limits
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: node:test, rate_limit.js, helpers/fake_firestore.js
+// Platform Compatibility: Node.js 20
+
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {createFakeFirestore} = require("./helpers/fake_firestore");
+const {
+  RATE_LIMITS_COLLECTION,
+  CHECK_RATE_LIMITS,
+  REPORT_RATE_LIMITS,
+  enforceCheckLimits,
+  enforceReportLimits,
+} = require("../src/rate_limit");
+
+const CALLER_IP = "203.0.113.7";
+
+/**
+ * Builds a callable context for a caller on the shared test IP
+ * @param {string|null} uid - Signed-in uid, or null for anonymous
+ * @return {Object} Callable function context
+ */
+function callerContext(uid) {
+  return {
+    auth: uid ? {uid: uid, token: {}} : undefined,
+    rawRequest: {ip: CALLER_IP},
+  };
+}
+
+// MARK: - Check Limits
+describe("enforceCheckLimits", () => {
+  it("limits one IP even when each call uses a new uid", async () => {
+    const db = createFakeFirestore();
+    const uidBudget = CHECK_RATE_LIMITS.user.max;
+    const callsUnderIpLimit = CHECK_RATE_LIMITS.ip.max / uidBudget;
+
+    for (let i = 0; i < callsUnderIpLimit; i++) {
+      await enforceCheckLimits(db, callerContext(`uid-${i}`), uidBudget);
+    }
+
+    await assert.rejects(
+        enforceCheckLimits(db, callerContext("uid-fresh"), 1),
+        {code: "resource-exhausted"},
+    );
+  });
+
+  it("consumes no counter when the call is refused", async () => {
+    const db = createFakeFirestore();
+    const uidBudget = CHECK_RATE_LIMITS.user.max;
+    await enforceCheckLimits(db, callerContext("uid-a"), uidBudget);
+
+    await assert.rejects(
+        enforceCheckLimits(db, callerContext("uid-a"), 1),
+        {code: "resource-exhausted"},
+    );
+
+    const counts = Object.values(db.data[RATE_LIMITS_COLLECTION])
+        .map((counter) => counter.count);
+    assert.deepEqual(counts, [uidBudget, uidBudget]);
+  });
+
+  it("holds anonymous callers to the lower IP limit", async () => {
+    const db = createFakeFirestore();
+    await enforceCheckLimits(
+        db, callerContext(null), CHECK_RATE_LIMITS.anonymousIp.max,
+    );
+
+    await assert.rejects(
+        enforceCheckLimits(db, callerContext(null), 1),
+        {code: "resource-exhausted"},
+    );
+  });
+});
+
+// MARK: - Report Limits
+describe("enforceReportLimits", () => {
+  it("spends no IP budget on reports refused per device", async () => {
+    const db = createFakeFirestore();
+    const deviceHourMax = REPORT_RATE_LIMITS.device[0].max;
+    for (let i = 0; i < deviceHourMax; i++) {
+      await enforceReportLimits(db, callerContext(null), "device-a");
+    }
+
+    for (let i = 0; i < 3; i++) {
+      await assert.rejects(
+          enforceReportLimits(db, callerContext(null), "device-a"),
+          {code: "resource-exhausted"},
+      );
+    }
+
+    const counters = db.data[RATE_LIMITS_COLLECTION];
+    const ipCounts = Object.keys(counters)
+        .filter((key) => key.startsWith("report_ip_"))
+        .map((key) => counters[key].count);
+    assert.deepEqual(ipCounts, [deviceHourMax, deviceHourMax]);
+  });
+});
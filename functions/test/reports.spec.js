@@ -0,0 +1,107 @@
+// Filename: reports.spec.js
+// Purpose: Tests for report submission and duplicate detection
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: node:test, reports.js, catalog.js,
+//   helpers/fake_firestore.js
+// Platform Compatibility: Node.js 20
+
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {createFakeFirestore} = require("./helpers/fake_firestore");
+const {
+  DEFAULT_SERVICES,
+  MONITORED_SERVICES_COLLECTION,
+  validateServiceDefinition,
+} = require("../src/catalog");
+const {REPORTS_COLLECTION, submitReport} = require("../src/reports");
+
+// Long enough to be checked against every caller's reports
+const LONG_TEXT = "The dashboard has been showing a blank page with a " +
+  "spinner for the last twenty minutes";
+
+/**
+ * Seeds the catalog with two default services
+ * @return {Object} Fake Firestore
+ */
+function seededDb() {
+  const services = {};
+  for (const id of ["infinitum-view", "infinitum-live"]) {
+    services[id] = validateServiceDefinition(
+        DEFAULT_SERVICES.find((s) => s.id === id),
+    );
+  }
+  return createFakeFirestore({[MONITORED_SERVICES_COLLECTION]: services});
+}
+
+/**
+ * Builds a callable context for an anonymous caller
+ * @param {string} ip - Caller IP address
+ * @return {Object} Callable function context
+ */
+function callerContext(ip) {
+  return {rawRequest: {ip: ip}};
+}
+
+/**
+ * Makes the first transaction that writes a report fail on commit
+ * @param {Object} db - Fake Firestore
+ */
+function failFirstReportWrite(db) {
+  const runTransaction = db.runTransaction;
+  let failed = false;
+  db.runTransaction = (run) => runTransaction(async (transaction) => {
+    let writesReport = false;
+    const result = await run({
+      ...transaction,
+      set: (ref, value, options) => {
+        writesReport = writesReport || ref.path === REPORTS_COLLECTION;
+        return transaction.set(ref, value, options);
+      },
+    });
+    if (writesReport && !failed) {
+      failed = true;
+      throw new Error("Commit failed");
+    }
+    return result;
+  });
+}
+
+// MARK: - Duplicates
+describe("submitReport", () => {
+  it("rejects the same long text for the same service", async () => {
+    const db = seededDb();
+    const report = {serviceId: "infinitum-view", description: LONG_TEXT};
+
+    await submitReport(db, report, callerContext("198.51.100.1"));
+    await assert.rejects(
+        submitReport(db, report, callerContext("198.51.100.2")),
+        {code: "already-exists"},
+    );
+    assert.equal(Object.keys(db.data[REPORTS_COLLECTION]).length, 1);
+  });
+
+  it("accepts the same text for a different service", async () => {
+    const db = seededDb();
+    const context = callerContext("198.51.100.1");
+
+    await submitReport(
+        db, {serviceId: "infinitum-view", description: LONG_TEXT}, context,
+    );
+    await submitReport(
+        db, {serviceId: "infinitum-live", description: LONG_TEXT}, context,
+    );
+    assert.equal(Object.keys(db.data[REPORTS_COLLECTION]).length, 2);
+  });
+
+  it("accepts a resubmission after the report failed to save", async () => {
+    const db = seededDb();
+    const report = {serviceId: "infinitum-view", description: LONG_TEXT};
+    const context = callerContext("198.51.100.1");
+    failFirstReportWrite(db);
+
+    await assert.rejects(submitReport(db, report, context), /Commit failed/);
+    const {id} = await submitReport(db, report, context);
+    assert.deepEqual(Object.keys(db.data[REPORTS_COLLECTION]), [id]);
+  });
+});
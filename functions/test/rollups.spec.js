@@ -0,0 +1,215 @@
+// Filename: rollups.spec.js
+// Purpose: Tests for status history rollups and monthly SLA reports
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: node:test, firebase-admin, rollups.js,
+//   helpers/fake_firestore.js
+// Platform Compatibility: Node.js 20
+
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const admin = require("firebase-admin");
+const {createFakeFirestore} = require("./helpers/fake_firestore");
+const {
+  ROLLUPS_COLLECTION,
+  HOURLY_COLLECTION,
+  DAILY_COLLECTION,
+  summarizeEntries,
+  mergeRollups,
+  computeMonthlySla,
+} = require("../src/rollups");
+
+const SERVICE_ID = "infinitum-view";
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Builds a history entry at a time
+ * @param {string} iso - Entry time
+ * @param {string} status - Entry status
+ * @param {number} responseTimeMs - Measured response time
+ * @return {Object} History entry
+ */
+function entryAt(iso, status, responseTimeMs = 0) {
+  return {
+    timestamp: admin.firestore.Timestamp.fromMillis(Date.parse(iso)),
+    status: status,
+    responseTimeMs: responseTimeMs,
+  };
+}
+
+/**
+ * Builds a rollup document for a period
+ * @param {string} iso - Period start
+ * @param {number} lengthMs - Period length
+ * @param {Object} timeInStatusMs - Milliseconds per status
+ * @param {number} outageCount - Outages that started in the period
+ * @return {Object} Rollup document
+ */
+function rollupAt(iso, lengthMs, timeInStatusMs, outageCount = 0) {
+  const startMs = Date.parse(iso);
+  return {
+    serviceId: SERVICE_ID,
+    start: admin.firestore.Timestamp.fromMillis(startMs),
+    end: admin.firestore.Timestamp.fromMillis(startMs + lengthMs),
+    timeInStatusMs: timeInStatusMs,
+    outageCount: outageCount,
+  };
+}
+
+// MARK: - Summaries
+describe("summarizeEntries", () => {
+  const startMs = Date.parse("2026-10-19T10:00:00Z");
+  const endMs = startMs + HOUR_MS;
+
+  it("weights statuses by the time they held", () => {
+    const summary = summarizeEntries([
+      entryAt("2026-10-19T10:15:00Z", "down"),
+      entryAt("2026-10-19T10:30:00Z", "operational", 200),
+      entryAt("2026-10-19T10:45:00Z", "degraded", 400),
+    ], entryAt("2026-10-19T09:00:00Z", "operational"), startMs, endMs);
+
+    assert.deepEqual(summary.timeInStatusMs, {
+      operational: 30 * MINUTE_MS,
+      degraded: 15 * MINUTE_MS,
+      down: 15 * MINUTE_MS,
+      maintenance: 0,
+      unknown: 0,
+    });
+    assert.equal(summary.uptimePercent, 75);
+    assert.equal(summary.checks, 3);
+    assert.equal(summary.failureCount, 2);
+    assert.equal(summary.outageCount, 1);
+    assert.deepEqual(summary.responseTimeMs, {
+      samples: 2, avg: 300, p50: 200, p95: 400, p99: 400, max: 400,
+    });
+  });
+
+  it("leaves maintenance and unknown time out of uptime", () => {
+    const summary = summarizeEntries([
+      entryAt("2026-10-19T10:30:00Z", "maintenance"),
+    ], null, startMs, endMs);
+
+    assert.equal(summary.timeInStatusMs.unknown, 30 * MINUTE_MS);
+    assert.equal(summary.timeInStatusMs.maintenance, 30 * MINUTE_MS);
+    assert.equal(summary.uptimePercent, null);
+  });
+
+  it("counts one outage for consecutive down entries", () => {
+    const summary = summarizeEntries([
+      entryAt("2026-10-19T10:10:00Z", "down"),
+      entryAt("2026-10-19T10:20:00Z", "down"),
+    ], entryAt("2026-10-19T09:59:00Z", "down"), startMs, endMs);
+
+    assert.equal(summary.outageCount, 0);
+    assert.equal(summary.uptimePercent, 0);
+  });
+});
+
+describe("mergeRollups", () => {
+  it("sums periods and recomputes uptime and percentiles", () => {
+    const first = summarizeEntries([
+      entryAt("2026-10-19T10:30:00Z", "down", 100),
+    ], entryAt("2026-10-19T09:00:00Z", "operational"),
+    Date.parse("2026-10-19T10:00:00Z"), Date.parse("2026-10-19T11:00:00Z"));
+    const second = summarizeEntries([
+      entryAt("2026-10-19T11:30:00Z", "operational", 300),
+    ], entryAt("2026-10-19T10:30:00Z", "down"),
+    Date.parse("2026-10-19T11:00:00Z"), Date.parse("2026-10-19T12:00:00Z"));
+
+    const merged = mergeRollups([first, second]);
+
+    assert.equal(merged.checks, 2);
+    assert.equal(merged.timeInStatusMs.operational, HOUR_MS);
+    assert.equal(merged.timeInStatusMs.down, HOUR_MS);
+    assert.equal(merged.uptimePercent, 50);
+    assert.equal(merged.failureCount, 1);
+    assert.equal(merged.outageCount, 1);
+    assert.deepEqual(merged.responseTimeMs, {
+      samples: 2, avg: 200, p50: 100, p95: 300, p99: 300, max: 300,
+    });
+  });
+
+  it("treats missing fields as zero", () => {
+    const merged = mergeRollups([{}, {timeInStatusMs: {operational: 5}}]);
+
+    assert.equal(merged.checks, 0);
+    assert.equal(merged.timeInStatusMs.operational, 5);
+    assert.equal(merged.uptimePercent, 100);
+    assert.equal(merged.responseTimeMs.avg, null);
+  });
+});
+
+// MARK: - SLA
+describe("computeMonthlySla", () => {
+  const service = {id: SERVICE_ID, thresholds: {slaTargetPercent: 99}};
+  const nowMs = Date.parse("2026-10-19T12:00:00Z");
+  const rollupPath = `${ROLLUPS_COLLECTION}/${SERVICE_ID}`;
+
+  /**
+   * Seeds daily rollups around October and hourly rollups around today
+   * @return {Object} Fake Firestore
+   */
+  function seededDb() {
+    return createFakeFirestore({
+      [`${rollupPath}/${DAILY_COLLECTION}`]: {
+        "2026-09-30": rollupAt("2026-09-30T00:00:00Z", DAY_MS, {down: DAY_MS}),
+        "2026-10-01": rollupAt("2026-10-01T00:00:00Z", DAY_MS, {
+          operational: DAY_MS - 10 * MINUTE_MS,
+          down: 10 * MINUTE_MS,
+        }, 1),
+        "2026-10-18": rollupAt("2026-10-18T00:00:00Z", DAY_MS, {
+          operational: DAY_MS,
+        }),
+      },
+      [`${rollupPath}/${HOURLY_COLLECTION}`]: {
+        "2026-10-18T23": rollupAt("2026-10-18T23:00:00Z", HOUR_MS, {
+          operational: HOUR_MS,
+        }),
+        "2026-10-19T10": rollupAt("2026-10-19T10:00:00Z", HOUR_MS, {
+          operational: HOUR_MS,
+        }),
+      },
+    });
+  }
+
+  it("adds today's hourly rollups to the month's daily rollups", async () => {
+    const sla = await computeMonthlySla(seededDb(), service, "2026-10", nowMs);
+    const measuredMs = 2 * DAY_MS + HOUR_MS;
+    const allowedDowntimeMs = Math.floor(measuredMs * 0.01);
+
+    assert.equal(sla.complete, false);
+    assert.equal(sla.targetPercent, 99);
+    assert.equal(sla.measuredMs, measuredMs);
+    assert.equal(sla.downtimeMs, 10 * MINUTE_MS);
+    assert.equal(
+        sla.uptimePercent,
+        ((measuredMs - 10 * MINUTE_MS) / measuredMs) * 100,
+    );
+    assert.equal(sla.met, true);
+    assert.equal(sla.allowedDowntimeMs, allowedDowntimeMs);
+    assert.equal(
+        sla.remainingDowntimeMs,
+        allowedDowntimeMs - 10 * MINUTE_MS,
+    );
+    assert.equal(sla.outageCount, 1);
+  });
+
+  it("reports a finished month from its daily rollups only", async () => {
+    const sla = await computeMonthlySla(seededDb(), service, "2026-09", nowMs);
+
+    assert.equal(sla.complete, true);
+    assert.equal(sla.uptimePercent, 0);
+    assert.equal(sla.met, false);
+    assert.equal(sla.remainingDowntimeMs, 0);
+  });
+
+  it("reports no verdict for a month without rollups", async () => {
+    const sla = await computeMonthlySla(seededDb(), service, "2026-08", nowMs);
+
+    assert.equal(sla.uptimePercent, null);
+    assert.equal(sla.met, null);
+    assert.equal(sla.measuredMs, 0);
+  });
+});
@@ -0,0 +1,89 @@
+// Filename: status_cache.spec.js
+// Purpose: Tests for the dependency annotations of on-demand checks
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: node:test, status_cache.js, catalog.js,
+//   helpers/fake_firestore.js
+// Platform Compatibility: Node.js 20
+
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {createFakeFirestore} = require("./helpers/fake_firestore");
+const {
+  DEFAULT_SERVICES,
+  MONITORED_SERVICES_COLLECTION,
+  validateServiceDefinition,
+} = require("../src/catalog");
+const {
+  STATUS_CACHE_COLLECTION,
+  annotateLiveResults,
+} = require("../src/status_cache");
+
+/**
+ * Returns the normalized default definition of a service
+ * @param {string} id - Default service id
+ * @return {Object} Service definition
+ */
+function definition(id) {
+  return validateServiceDefinition(DEFAULT_SERVICES.find((s) => s.id === id));
+}
+
+/**
+ * Seeds the catalog and a cached Firebase status with authentication down
+ * @return {Object} Fake Firestore
+ */
+function seededDb() {
+  return createFakeFirestore({
+    [MONITORED_SERVICES_COLLECTION]: {
+      "infinitum-view": definition("infinitum-view"),
+      "firebase": definition("firebase"),
+    },
+    [STATUS_CACHE_COLLECTION]: {
+      "firebase": {
+        name: "Firebase",
+        status: "degraded",
+        components: [
+          {id: "firebase-authentication", status: "down"},
+          {id: "firebase-hosting", status: "operational"},
+        ],
+      },
+    },
+  });
+}
+
+// MARK: - Live Results
+describe("annotateLiveResults", () => {
+  it("traces live issues to dependencies outside the call", async () => {
+    const view = {id: "infinitum-view", status: "down", errorMessage: null};
+
+    await annotateLiveResults(
+        seededDb(), [view], [], [definition("infinitum-view")],
+    );
+
+    assert.deepEqual(view.impactedBy, [
+      {id: "firebase.firebase-authentication", status: "down"},
+    ]);
+    assert.deepEqual(view.rootCause, {
+      id: "firebase.firebase-authentication",
+      serviceId: "firebase",
+      status: "down",
+    });
+    assert.equal(view.errorMessage, "Impacted by firebase-authentication");
+  });
+
+  it("leaves cached results of the call unchanged", async () => {
+    const view = {id: "infinitum-view", status: "down", errorMessage: null};
+    const firebase = {id: "firebase", status: "operational", components: []};
+
+    await annotateLiveResults(
+        seededDb(),
+        [view],
+        [firebase],
+        [definition("infinitum-view"), definition("firebase")],
+    );
+
+    assert.deepEqual(view.impactedBy, []);
+    assert.equal(view.rootCause, null);
+    assert.equal(firebase.impactedServices, undefined);
+  });
+});
@@ -0,0 +1,124 @@
+// Filename: url_guard.spec.js
+// Purpose: Tests for the SSRF guard on check URLs, redirects and DNS
+// Author: Kevin Doyle Jr. / Infinitum Imagery LLC
+// Last Modified: 2026-10-19
+// Dependencies: node:test, url_guard.js
+// Platform Compatibility: Node.js 20
+
+const {describe, it, afterEach, mock} = require("node:test");
+const assert = require("node:assert/strict");
+const dns = require("dns");
+const {
+  URL_NOT_ALLOWED,
+  GUARDED_REQUEST_OPTIONS,
+  isBlockedAddress,
+  describeUrlProblem,
+} = require("../src/url_guard");
+
+const PRIVATE_ADDRESS = "must not target a private or reserved address";
+const INTERNAL_HOST = "must not target an internal host";
+
+// MARK: - URL Checks
+describe("describeUrlProblem", () => {
+  it("blocks decimal and hex encoded IPv4 addresses", () => {
+    for (const url of [
+      "http://2130706433/",
+      "http://0x7f000001/",
+      "http://0x7f.0.0.1/",
+      "http://0xA9FEA9FE/latest/meta-data/",
+      "http://3232235777/",
+    ]) {
+      assert.equal(describeUrlProblem(url), PRIVATE_ADDRESS, url);
+    }
+  });
+
+  it("blocks IPv4-mapped IPv6 addresses", () => {
+    for (const url of [
+      "http://[::ffff:127.0.0.1]/",
+      "http://[::ffff:169.254.169.254]/",
+      "http://[::ffff:a00:1]/",
+    ]) {
+      assert.equal(describeUrlProblem(url), PRIVATE_ADDRESS, url);
+    }
+  });
+
+  it("blocks the metadata hosts", () => {
+    for (const url of [
+      "http://metadata/computeMetadata/v1/",
+      "http://metadata.google.internal/computeMetadata/v1/",
+      "http://METADATA.GOOGLE.INTERNAL./",
+    ]) {
+      assert.equal(describeUrlProblem(url), INTERNAL_HOST, url);
+    }
+    assert.equal(
+        describeUrlProblem("http://169.254.169.254/latest/meta-data/"),
+        PRIVATE_ADDRESS,
+    );
+  });
+
+  it("allows public hosts", () => {
+    assert.equal(describeUrlProblem("https://status.example.com/"), null);
+    assert.equal(describeUrlProblem("http://8.8.8.8:8080/"), null);
+  });
+});
+
+describe("isBlockedAddress", () => {
+  it("checks IPv4-mapped IPv6 as IPv4", () => {
+    assert.equal(isBlockedAddress("::ffff:10.0.0.1"), true);
+    assert.equal(isBlockedAddress("::ffff:8.8.8.8"), false);
+  });
+});
+
+// MARK: - Request Hooks
+describe("guardRedirect", () => {
+  const {beforeRedirect} = GUARDED_REQUEST_OPTIONS;
+
+  it("rejects redirects to private addresses", () => {
+    assert.throws(
+        () => beforeRedirect({protocol: "http:", hostname: "10.0.0.5"}),
+        {code: URL_NOT_ALLOWED},
+    );
+    assert.throws(
+        () => beforeRedirect({protocol: "http:", hostname: "::1"}),
+        {code: URL_NOT_ALLOWED},
+    );
+  });
+
+  it("allows redirects to public hosts", () => {
+    assert.doesNotThrow(() => beforeRedirect({
+      protocol: "https:",
+      hostname: "status.example.com",
+    }));
+  });
+});
+
+describe("guardedLookup", () => {
+  const {lookup} = GUARDED_REQUEST_OPTIONS;
+
+  afterEach(() => mock.restoreAll());
+
+  /**
+   * Runs the guarded lookup with DNS answering the given address
+   * @param {string} address - Address the name resolves to
+   * @return {Promise<string>} Resolved address
+   */
+  function lookupResolvingTo(address) {
+    mock.method(dns, "lookup", (hostname, options, callback) =>
+      callback(null, address, 4));
+    return new Promise((resolve, reject) => {
+      lookup("rebind.example.com", {}, (err, resolved) =>
+        err ? reject(err) : resolve(resolved));
+    });
+  }
+
+  it("rejects names that resolve to private addresses", async () => {
+    await assert.rejects(
+        lookupResolvingTo("192.168.1.10"),
+        {code: URL_NOT_ALLOWED},
+    );
+  });
+
+  it("passes public addresses through", async () => {
+    assert.equal(await lookupResolvingTo("93.184.216.34"), "93.184.216.34");
+  });
+});
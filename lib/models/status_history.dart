@@ -1,7 +1,7 @@
 // Filename: status_history.dart
 // Purpose: Data models for service status history tracking
 // Author: Kevin Doyle Jr. / Infinitum Imagery LLC
-// Last Modified: 2025-01-27
+// Last Modified: 2026-10-19
 // Dependencies: models/service_status.dart
 // Platform Compatibility: Web, iOS, Android
 
@@ -54,6 +54,136 @@ class StatusHistoryEntry {
   }
 }
 
+// MARK: - Status Rollup
+// Hourly or daily summary written by the rollupStatusHistory Cloud Function
+class StatusRollup {
+  final DateTime start;
+  final DateTime end;
+  final int checks;
+  final Map<String, int> statusCounts;
+  final Map<String, int> timeInStatusMs;
+  final double? uptimePercent;
+  final int failureCount;
+  final int outageCount;
+  final int responseTimeSamples;
+  final double? averageResponseTime;
+  final int? p95ResponseTime;
+
+  StatusRollup({
+    required this.start,
+    required this.end,
+    this.checks = 0,
+    this.statusCounts = const {},
+    this.timeInStatusMs = const {},
+    this.uptimePercent,
+    this.failureCount = 0,
+    this.outageCount = 0,
+    this.responseTimeSamples = 0,
+    this.averageResponseTime,
+    this.p95ResponseTime,
+  });
+
+  // MARK: - Factory Constructor
+  // Creates a StatusRollup from rollup document data; timestamps must
+  // already be converted to DateTime by the caller
+  factory StatusRollup.fromMap(
+    Map<String, dynamic> data, {
+    required DateTime start,
+    required DateTime end,
+  }) {
+    Map<String, int> toCounts(dynamic value) {
+      if (value is! Map) return {};
+      return value.map((key, count) =>
+          MapEntry(key.toString(), (count as num?)?.toInt() ?? 0));
+    }
+
+    final responseTime = data['responseTimeMs'] is Map
+        ? Map<String, dynamic>.from(data['responseTimeMs'] as Map)
+        : const <String, dynamic>{};
+
+    return StatusRollup(
+      start: start,
+      end: end,
+      checks: (data['checks'] as num?)?.toInt() ?? 0,
+      statusCounts: toCounts(data['statusCounts']),
+      timeInStatusMs: toCounts(data['timeInStatusMs']),
+      uptimePercent: (data['uptimePercent'] as num?)?.toDouble(),
+      failureCount: (data['failureCount'] as num?)?.toInt() ?? 0,
+      outageCount: (data['outageCount'] as num?)?.toInt() ?? 0,
+      responseTimeSamples: (responseTime['samples'] as num?)?.toInt() ?? 0,
+      averageResponseTime: (responseTime['avg'] as num?)?.toDouble(),
+      p95ResponseTime: (responseTime['p95'] as num?)?.toInt(),
+    );
+  }
+
+  // MARK: - Merging
+  // Combines consecutive rollups into one (e.g. today's hourly rollups
+  // into a day). Uptime is weighted by time in status like on the server:
+  // maintenance and unknown time is excluded and only down time counts
+  // against uptime.
+  factory StatusRollup.merge(List<StatusRollup> rollups) {
+    if (rollups.isEmpty) {
+      final now = DateTime.now();
+      return StatusRollup(start: now, end: now);
+    }
+
+    final statusCounts = <String, int>{};
+    final timeInStatusMs = <String, int>{};
+    int checks = 0;
+    int failureCount = 0;
+    int outageCount = 0;
+    int samples = 0;
+    double responseTimeTotal = 0;
+
+    for (final rollup in rollups) {
+      checks += rollup.checks;
+      failureCount += rollup.failureCount;
+      outageCount += rollup.outageCount;
+      rollup.statusCounts.forEach((status, count) {
+        statusCounts[status] = (statusCounts[status] ?? 0) + count;
+      });
+      rollup.timeInStatusMs.forEach((status, ms) {
+        timeInStatusMs[status] = (timeInStatusMs[status] ?? 0) + ms;
+      });
+      if (rollup.averageResponseTime != null) {
+        samples += rollup.responseTimeSamples;
+        responseTimeTotal +=
+            rollup.averageResponseTime! * rollup.responseTimeSamples;
+      }
+    }
+
+    return StatusRollup(
+      start: rollups.first.start,
+      end: rollups.last.end,
+      checks: checks,
+      statusCounts: statusCounts,
+      timeInStatusMs: timeInStatusMs,
+      uptimePercent: computeUptimePercent(timeInStatusMs),
+      failureCount: failureCount,
+      outageCount: outageCount,
+      responseTimeSamples: samples,
+      averageResponseTime: samples > 0 ? responseTimeTotal / samples : null,
+      // Percentiles cannot be combined from summaries
+      p95ResponseTime: rollups.length == 1 ? rollups.first.p95ResponseTime : null,
+    );
+  }
+
+  /// Computes uptime from time spent in each status, matching the Cloud
+  /// Functions: down time against operational, degraded and down time
+  /// Returns null when nothing was measured
+  static double? computeUptimePercent(Map<String, int> timeInStatusMs) {
+    final down = timeInStatusMs['down'] ?? 0;
+    final measured = (timeInStatusMs['operational'] ?? 0) +
+        (timeInStatusMs['degraded'] ?? 0) +
+        down;
+    if (measured <= 0) return null;
+    return (measured - down) / measured * 100;
+  }
+
+  /// Time spent down in this period
+  Duration get downtime => Duration(milliseconds: timeInStatusMs['down'] ?? 0);
+}
+
 // MARK: - Status Statistics
 // Calculated statistics for a service over a time period
 class StatusStatistics {
@@ -67,6 +197,8 @@ class StatusStatistics {
   final Duration? lastOutageDuration;
   final DateTime? lastOutageStart;
   final DateTime? lastOutageEnd;
+  final Duration downtime;
+  final int outageCount;
 
   StatusStatistics({
     required this.totalChecks,
@@ -79,10 +211,36 @@ class StatusStatistics {
     this.lastOutageDuration,
     this.lastOutageStart,
     this.lastOutageEnd,
+    this.downtime = Duration.zero,
+    this.outageCount = 0,
   });
 
+  // MARK: - Rollup Constructor
+  // Calculates statistics from hourly or daily rollups. History entries are
+  // only written when something changes, so uptime is weighted by time in
+  // status instead of counting entries.
+  factory StatusStatistics.fromRollups(List<StatusRollup> rollups) {
+    final merged = StatusRollup.merge(rollups);
+    final counts = merged.statusCounts;
+
+    return StatusStatistics(
+      totalChecks: merged.checks,
+      operationalCount: counts['operational'] ?? 0,
+      degradedCount: counts['degraded'] ?? 0,
+      downCount: counts['down'] ?? 0,
+      unknownCount: (counts['unknown'] ?? 0) + (counts['maintenance'] ?? 0),
+      uptimePercentage: merged.uptimePercent ?? 0.0,
+      averageResponseTime: merged.averageResponseTime ?? 0.0,
+      downtime: merged.downtime,
+      outageCount: merged.outageCount,
+    );
+  }
+
   // MARK: - Factory Constructor
-  // Calculates statistics from a list of history entries
+  // Calculates statistics from a list of history entries by counting them,
+  // which is only meaningful when every check writes an entry; prefer
+  // fromRollups
+  @Deprecated('Entries are written on change only; use StatusStatistics.fromRollups')
   factory StatusStatistics.fromHistory(List<StatusHistoryEntry> history) {
     if (history.isEmpty) {
       return StatusStatistics(
@@ -1,7 +1,7 @@
 // Filename: history_screen.dart
 // Purpose: Screen displaying service status history with graphs and statistics
 // Author: Kevin Doyle Jr. / Infinitum Imagery LLC
-// Last Modified: 2025-01-27
+// Last Modified: 2026-10-19
 // Dependencies: flutter, fl_chart, models/service_status.dart, models/status_history.dart, services/history_service.dart, core/responsive.dart
 // Platform Compatibility: Web, iOS, Android
 
@@ -30,6 +30,7 @@ class HistoryScreen extends StatefulWidget {
 
 class _HistoryScreenState extends State<HistoryScreen> {
   final HistoryService _historyService = HistoryService();
+  List<StatusRollup> _rollups = [];
   List<StatusHistoryEntry> _historyEntries = [];
   StatusStatistics? _statistics;
   bool _isLoading = true;
@@ -49,29 +50,34 @@ class _HistoryScreenState extends State<HistoryScreen> {
     });
 
     try {
-      DateTime startTime;
+      Duration window;
       switch (_selectedTimeRange) {
         case '24h':
-          startTime = DateTime.now().subtract(const Duration(hours: 24));
+          window = const Duration(hours: 24);
           break;
         case '7d':
-          startTime = DateTime.now().subtract(const Duration(days: 7));
+          window = const Duration(days: 7);
           break;
         case '30d':
-          startTime = DateTime.now().subtract(const Duration(days: 30));
+          window = const Duration(days: 30);
           break;
         default:
-          startTime = DateTime.now().subtract(const Duration(hours: 24));
+          window = const Duration(hours: 24);
       }
 
-      final entries = await _historyService.getHistoryEntries(
-        widget.service.id,
-        startTime: startTime,
-      );
+      // History entries are only written on status changes, so statistics
+      // and charts come from the server rollups; entries feed the timeline
+      final results = await Future.wait([
+        _historyService.getRollupsForWindow(widget.service.id, window: window),
+        _historyService.getLatestEntries(widget.service.id),
+      ]);
+      final rollups = results[0] as List<StatusRollup>;
+      final entries = results[1] as List<StatusHistoryEntry>;
 
-      final stats = StatusStatistics.fromHistory(entries);
+      final stats = StatusStatistics.fromRollups(rollups);
 
       setState(() {
+        _rollups = rollups;
         _historyEntries = entries;
         _statistics = stats;
         _isLoading = false;
@@ -172,7 +178,7 @@ class _HistoryScreenState extends State<HistoryScreen> {
       ),
       body: _isLoading
           ? const Center(child: CircularProgressIndicator())
-          : _historyEntries.isEmpty
+          : _rollups.isEmpty && _historyEntries.isEmpty
               ? _buildEmptyState(context)
               : SingleChildScrollView(
                   padding: EdgeInsets.all(responsive.isPhone ? 16 : 24),
@@ -233,18 +239,18 @@ class _HistoryScreenState extends State<HistoryScreen> {
                   Expanded(
                     child: _buildStatCard(
                       context,
-                      'Total Checks',
-                      stats.totalChecks.toString(),
-                      const Color(0xFF6B7280),
-                      Icons.check_circle,
+                      'Downtime',
+                      _formatDuration(stats.downtime),
+                      const Color(0xFFEF4444),
+                      Icons.timer_off,
                     ),
                   ),
                   const SizedBox(width: 12),
                   Expanded(
                     child: _buildStatCard(
                       context,
-                      'Issues',
-                      (stats.degradedCount + stats.downCount).toString(),
+                      'Outages',
+                      stats.outageCount.toString(),
                       const Color(0xFFF59E0B),
                       Icons.warning,
                     ),
@@ -280,18 +286,18 @@ class _HistoryScreenState extends State<HistoryScreen> {
               Expanded(
                 child: _buildStatCard(
                   context,
-                  'Total Checks',
-                  stats.totalChecks.toString(),
-                  const Color(0xFF6B7280),
-                  Icons.check_circle,
+                  'Downtime',
+                  _formatDuration(stats.downtime),
+                  const Color(0xFFEF4444),
+                  Icons.timer_off,
                 ),
               ),
               const SizedBox(width: 12),
               Expanded(
                 child: _buildStatCard(
                   context,
-                  'Issues',
-                  (stats.degradedCount + stats.downCount).toString(),
+                  'Outages',
+                  stats.outageCount.toString(),
                   const Color(0xFFF59E0B),
                   Icons.warning,
                 ),
@@ -300,6 +306,14 @@ class _HistoryScreenState extends State<HistoryScreen> {
           );
   }
 
+  String _formatDuration(Duration duration) {
+    if (duration.inHours > 0) {
+      return '${duration.inHours}h ${duration.inMinutes.remainder(60)}m';
+    }
+    if (duration.inMinutes > 0) return '${duration.inMinutes}m';
+    return '${duration.inSeconds}s';
+  }
+
   Widget _buildStatCard(
     BuildContext context,
     String label,
@@ -350,7 +364,7 @@ class _HistoryScreenState extends State<HistoryScreen> {
 
   // MARK: - Chart Widget
   Widget _buildChart(BuildContext context, Responsive responsive) {
-    if (_historyEntries.isEmpty) return const SizedBox.shrink();
+    if (_rollups.isEmpty) return const SizedBox.shrink();
 
     return Container(
       padding: const EdgeInsets.all(16),
@@ -383,9 +397,8 @@ class _HistoryScreenState extends State<HistoryScreen> {
   }
 
   Widget _buildUptimeChart(BuildContext context) {
-    if (_historyEntries.isEmpty) return const SizedBox.shrink();
+    if (_rollups.isEmpty) return const SizedBox.shrink();
 
-    // Group entries by time intervals for better visualization
     final chartData = _prepareUptimeChartData();
 
     return LineChart(
@@ -452,7 +465,7 @@ class _HistoryScreenState extends State<HistoryScreen> {
           ),
         ),
         minX: 0,
-        maxX: chartData.length.toDouble() - 1,
+        maxX: _rollups.length.toDouble() - 1,
         minY: 0,
         maxY: 100,
         lineBarsData: [
@@ -474,7 +487,7 @@ class _HistoryScreenState extends State<HistoryScreen> {
   }
 
   Widget _buildResponseTimeChart(BuildContext context) {
-    if (_historyEntries.isEmpty) return const SizedBox.shrink();
+    if (_rollups.isEmpty) return const SizedBox.shrink();
 
     final chartData = _prepareResponseTimeChartData();
     final maxResponseTime = chartData.isEmpty
@@ -543,7 +556,7 @@ class _HistoryScreenState extends State<HistoryScreen> {
           ),
         ),
         minX: 0,
-        maxX: chartData.length.toDouble() - 1,
+        maxX: _rollups.length.toDouble() - 1,
         minY: 0,
         maxY: maxResponseTime,
         lineBarsData: [
@@ -565,76 +578,34 @@ class _HistoryScreenState extends State<HistoryScreen> {
   }
 
   // MARK: - Chart Data Preparation
+  // One point per rollup (hourly for 24h, daily otherwise); rollups without
+  // measured time or response samples are left out
   List<FlSpot> _prepareUptimeChartData() {
-    if (_historyEntries.isEmpty) return [];
-
-    // Group entries into time buckets
-    final buckets = <int, List<StatusHistoryEntry>>{};
-    final bucketSize = _getBucketSize();
-
-    for (final entry in _historyEntries) {
-      final bucketIndex = (entry.timestamp.millisecondsSinceEpoch / bucketSize).floor();
-      buckets.putIfAbsent(bucketIndex, () => []).add(entry);
-    }
-
     final spots = <FlSpot>[];
-    final sortedBuckets = buckets.keys.toList()..sort();
-    int xIndex = 0;
-
-    for (final bucketIndex in sortedBuckets) {
-      final entries = buckets[bucketIndex]!;
-      final operationalCount = entries.where((e) => e.status == ServiceHealthStatus.operational).length;
-      final uptimePercentage = entries.isEmpty ? 0.0 : (operationalCount / entries.length * 100);
-      
-      spots.add(FlSpot(xIndex.toDouble(), uptimePercentage));
-      xIndex++;
+
+    for (var i = 0; i < _rollups.length; i++) {
+      final uptimePercent = _rollups[i].uptimePercent;
+      if (uptimePercent != null) {
+        spots.add(FlSpot(i.toDouble(), uptimePercent));
+      }
     }
 
     return spots;
   }
 
   List<FlSpot> _prepareResponseTimeChartData() {
-    if (_historyEntries.isEmpty) return [];
-
-    final buckets = <int, List<StatusHistoryEntry>>{};
-    final bucketSize = _getBucketSize();
+    final spots = <FlSpot>[];
 
-    for (final entry in _historyEntries) {
-      if (entry.responseTimeMs > 0) {
-        final bucketIndex = (entry.timestamp.millisecondsSinceEpoch / bucketSize).floor();
-        buckets.putIfAbsent(bucketIndex, () => []).add(entry);
+    for (var i = 0; i < _rollups.length; i++) {
+      final averageResponseTime = _rollups[i].averageResponseTime;
+      if (averageResponseTime != null) {
+        spots.add(FlSpot(i.toDouble(), averageResponseTime));
       }
     }
 
-    final spots = <FlSpot>[];
-    final sortedBuckets = buckets.keys.toList()..sort();
-    int xIndex = 0;
-
-    for (final bucketIndex in sortedBuckets) {
-      final entries = buckets[bucketIndex]!;
-      if (entries.isEmpty) continue;
-      
-      final avgResponseTime = entries.map((e) => e.responseTimeMs).reduce((a, b) => a + b) / entries.length;
-      spots.add(FlSpot(xIndex.toDouble(), avgResponseTime));
-      xIndex++;
-    }
-
     return spots;
   }
 
-  int _getBucketSize() {
-    switch (_selectedTimeRange) {
-      case '24h':
-        return 3600000; // 1 hour
-      case '7d':
-        return 86400000; // 1 day
-      case '30d':
-        return 86400000; // 1 day
-      default:
-        return 3600000;
-    }
-  }
-
   double _getTimeInterval() {
     switch (_selectedTimeRange) {
       case '24h':
@@ -649,25 +620,10 @@ class _HistoryScreenState extends State<HistoryScreen> {
   }
 
   String _formatChartTime(double value) {
-    if (_historyEntries.isEmpty) return '';
-    
     final index = value.toInt();
-    final buckets = <int, List<StatusHistoryEntry>>{};
-    final bucketSize = _getBucketSize();
-
-    for (final entry in _historyEntries) {
-      final bucketIndex = (entry.timestamp.millisecondsSinceEpoch / bucketSize).floor();
-      buckets.putIfAbsent(bucketIndex, () => []).add(entry);
-    }
-
-    final sortedBuckets = buckets.keys.toList()..sort();
-    if (index >= sortedBuckets.length) return '';
-
-    final bucketIndex = sortedBuckets[index];
-    final entries = buckets[bucketIndex]!;
-    if (entries.isEmpty) return '';
+    if (index < 0 || index >= _rollups.length) return '';
 
-    final timestamp = entries.first.timestamp;
+    final timestamp = _rollups[index].start.toLocal();
     
     switch (_selectedTimeRange) {
       case '24h':
@@ -684,8 +640,8 @@ class _HistoryScreenState extends State<HistoryScreen> {
   Widget _buildHistoryTimeline(BuildContext context, Responsive responsive) {
     if (_historyEntries.isEmpty) return const SizedBox.shrink();
 
-    // Show only recent entries in timeline (last 50)
-    final recentEntries = _historyEntries.take(50).toList();
+    // Latest 50 entries, newest first
+    final recentEntries = _historyEntries;
 
     return Container(
       padding: const EdgeInsets.all(16),
@@ -1,7 +1,7 @@
 // Filename: history_service.dart
 // Purpose: Service for managing service status history and historical data
 // Author: Kevin Doyle Jr. / Infinitum Imagery LLC
-// Last Modified: 2025-01-27
+// Last Modified: 2026-10-19
 // Dependencies: cloud_firestore, models/status_history.dart, models/service_status.dart, core/logger.dart
 // Platform Compatibility: Web, iOS, Android
 
@@ -17,6 +17,7 @@ class HistoryService {
   firestore.FirebaseFirestore? _firestore;
   bool _firestoreAvailable = false;
   static const String _collectionName = 'service_status_history';
+  static const String _rollupsCollectionName = 'service_status_rollups';
   
   // MARK: - Initialization
   // Initializes Firestore connection for history storage
@@ -184,18 +185,156 @@ class HistoryService {
     return getHistoryEntries(serviceId, startTime: startTime, limit: 10000);
   }
   
-  /// Calculates statistics for a service over a time period
+  /// Retrieves the most recent history entries for a service
   /// [serviceId] - ID of the service
-  /// [startTime] - Start of time range
-  /// [endTime] - End of time range (defaults to now)
-  /// Returns StatusStatistics
-  Future<StatusStatistics> getStatistics(
+  /// [limit] - Maximum number of entries to retrieve (defaults to 50)
+  /// Returns list of StatusHistoryEntry, newest first
+  Future<List<StatusHistoryEntry>> getLatestEntries(
+    String serviceId, {
+    int limit = 50,
+  }) async {
+    if (!_firestoreAvailable || _firestore == null) {
+      return [];
+    }
+    
+    try {
+      final snapshot = await _firestore!.collection(_collectionName)
+          .doc(serviceId)
+          .collection('entries')
+          .orderBy('timestamp', descending: true)
+          .limit(limit)
+          .get();
+      
+      final entries = <StatusHistoryEntry>[];
+      for (final doc in snapshot.docs) {
+        try {
+          final data = doc.data();
+          entries.add(StatusHistoryEntry(
+            timestamp: (data['timestamp'] as firestore.Timestamp?)?.toDate() ?? DateTime.now(),
+            status: _parseServiceHealthStatus(data['status'] as String?),
+            responseTimeMs: data['responseTimeMs'] as int? ?? 0,
+            errorMessage: data['errorMessage'] as String?,
+            hasDataFeedIssue: data['hasDataFeedIssue'] as bool? ?? false,
+          ));
+        } catch (e) {
+          Logger.logWarning('Error parsing history entry ${doc.id}: $e', 
+              'history_service.dart', 'getLatestEntries');
+        }
+      }
+      return entries;
+    } catch (e) {
+      Logger.logError('Error retrieving latest history entries', 
+          'history_service.dart', 'getLatestEntries', e);
+      return [];
+    }
+  }
+  
+  // MARK: - Rollup Retrieval
+  /// Retrieves hourly or daily rollups for a service, oldest first
+  /// [serviceId] - ID of the service
+  /// [period] - 'hourly' or 'daily'
+  /// [startTime] - Earliest rollup start to include
+  /// [endTime] - Rollups starting at or after this are excluded (optional)
+  /// Returns list of StatusRollup
+  Future<List<StatusRollup>> getRollups(
     String serviceId, {
+    required String period,
     required DateTime startTime,
     DateTime? endTime,
   }) async {
-    final entries = await getHistoryEntries(serviceId, startTime: startTime, endTime: endTime);
-    return StatusStatistics.fromHistory(entries);
+    if (!_firestoreAvailable || _firestore == null) {
+      Logger.logDebug('Cannot retrieve rollups: Firestore not available', 
+          'history_service.dart', 'getRollups');
+      return [];
+    }
+    
+    try {
+      firestore.Query<Map<String, dynamic>> query = _firestore!
+          .collection(_rollupsCollectionName)
+          .doc(serviceId)
+          .collection(period)
+          .where('start', isGreaterThanOrEqualTo: firestore.Timestamp.fromDate(startTime));
+      if (endTime != null) {
+        query = query.where('start', isLessThan: firestore.Timestamp.fromDate(endTime));
+      }
+      
+      final snapshot = await query.orderBy('start').get();
+      final rollups = <StatusRollup>[];
+      
+      for (final doc in snapshot.docs) {
+        try {
+          final data = doc.data();
+          rollups.add(StatusRollup.fromMap(
+            data,
+            start: (data['start'] as firestore.Timestamp).toDate(),
+            end: (data['end'] as firestore.Timestamp).toDate(),
+          ));
+        } catch (e) {
+          Logger.logWarning('Error parsing rollup ${doc.id}: $e', 
+              'history_service.dart', 'getRollups');
+        }
+      }
+      
+      Logger.logInfo('Retrieved ${rollups.length} $period rollups for $serviceId', 
+          'history_service.dart', 'getRollups');
+      return rollups;
+    } catch (e) {
+      Logger.logError('Error retrieving rollups', 
+          'history_service.dart', 'getRollups', e);
+      return [];
+    }
+  }
+  
+  /// Retrieves rollups covering a trailing window like the Cloud Functions
+  /// do: hourly rollups for windows up to two days, otherwise daily rollups
+  /// plus today's hourly rollups merged into one (UTC days)
+  /// [serviceId] - ID of the service
+  /// [window] - Length of the window ending now
+  /// Returns list of StatusRollup, oldest first
+  Future<List<StatusRollup>> getRollupsForWindow(
+    String serviceId, {
+    required Duration window,
+  }) async {
+    final now = DateTime.now().toUtc();
+    final from = now.subtract(window);
+    
+    if (window <= const Duration(days: 2)) {
+      return getRollups(
+        serviceId,
+        period: 'hourly',
+        startTime: DateTime.utc(from.year, from.month, from.day, from.hour),
+      );
+    }
+    
+    final today = DateTime.utc(now.year, now.month, now.day);
+    final results = await Future.wait([
+      getRollups(
+        serviceId,
+        period: 'daily',
+        startTime: DateTime.utc(from.year, from.month, from.day),
+        endTime: today,
+      ),
+      getRollups(serviceId, period: 'hourly', startTime: today),
+    ]);
+    
+    final todayHours = results[1];
+    return [
+      ...results[0],
+      if (todayHours.isNotEmpty) StatusRollup.merge(todayHours),
+    ];
+  }
+  
+  /// Calculates statistics for a service over a trailing window from its
+  /// rollups, with uptime weighted by time in each status
+  /// [serviceId] - ID of the service
+  /// [window] - Length of the window ending now
+  /// Returns StatusStatistics
+  Future<StatusStatistics> getStatistics(
+    String serviceId, {
+    required Duration window,
+  }) async {
+    final rollups = await getRollupsForWindow(serviceId, window: window);
+    return StatusStatistics.fromRollups(rollups);
   }
   
   // MARK: - History Cleanup
@@ -203,6 +342,9 @@ class HistoryService {
   /// [serviceId] - ID of the service (optional, if null cleans all services)
   /// [daysToKeep] - Number of days of history to keep (defaults to 90)
   /// Returns void
+  /// Firestore rules deny client writes to history, so retention now runs
+  /// server-side in the pruneStatusHistory Cloud Function
+  @Deprecated('History retention runs in the pruneStatusHistory Cloud Function')
   Future<void> cleanupOldHistory({
     String? serviceId,
     int daysToKeep = 90,
@@ -297,7 +439,6 @@ class HistoryService {
 }
 
 // Suggestions For Features and Additions Later:
-// - Add history aggregation for performance
 // - Implement history compression
 // - Add history export functionality
 // - Create history analytics
@@ -1,17 +1,21 @@
 // Filename: report_service.dart
 // Purpose: Service for handling user reports about service issues
 // Author: Kevin Doyle Jr. / Infinitum Imagery LLC
-// Last Modified: 2025-01-27
-// Dependencies: cloud_firestore (optional), logger.dart, shared_preferences
+// Last Modified: 2026-10-19
+// Dependencies: cloud_firestore (optional), cloud_functions, logger.dart, shared_preferences
 // Platform Compatibility: Web, iOS, Android
 
 import 'dart:async';
+import 'dart:math';
 import 'package:cloud_firestore/cloud_firestore.dart' as firestore;
+import 'package:cloud_functions/cloud_functions.dart';
 import 'package:shared_preferences/shared_preferences.dart';
 import '../core/logger.dart';
 
 // MARK: - Report Service
 // Handles submission and storage of user reports with rate limiting to prevent spam
+// Reports are stored by the submitReport Cloud Function, which validates them and
+// enforces the real per-IP/per-device limits; the local limits only spare a round trip
 class ReportService {
   firestore.FirebaseFirestore? _firestore;
   bool _firestoreAvailable = false;
@@ -21,6 +25,7 @@ class ReportService {
   static const int MAX_REPORTS_PER_HOUR = 5;
   static const int MAX_REPORTS_PER_DAY = 20;
   static const String REPORTS_TIMESTAMP_KEY = 'report_timestamps';
+  static const String DEVICE_ID_KEY = 'report_device_id';
 
   // MARK: - Initialization
   // Initializes Firestore if available
@@ -169,6 +174,27 @@ class ReportService {
     }
   }
 
+  // MARK: - Device Identification
+  /// Returns a random installation id sent with reports for per-device rate limiting
+  /// Generated on first use and kept in shared preferences
+  Future<String?> _getDeviceId() async {
+    try {
+      final prefs = await SharedPreferences.getInstance();
+      final existing = prefs.getString(DEVICE_ID_KEY);
+      if (existing != null) {
+        return existing;
+      }
+
+      final random = Random.secure();
+      final deviceId = List.generate(32, (_) => random.nextInt(16).toRadixString(16)).join();
+      await prefs.setString(DEVICE_ID_KEY, deviceId);
+      return deviceId;
+    } catch (e) {
+      Logger.logError('Error reading device id', 'report_service.dart', '_getDeviceId', e);
+      return null;
+    }
+  }
+
   // MARK: - Report Submission
   /// Submits a user report about a service issue
   /// [serviceId] - ID of the service being reported
@@ -178,6 +204,7 @@ class ReportService {
   /// [reporterEmail] - Email of the reporter (optional)
   /// [description] - Description of the issue
   /// Returns true if report was submitted, false if rate limited
+  /// Throws an Exception with the server's message if the report is rejected
   Future<bool> submitReport({
     required String serviceId,
     required String serviceName,
@@ -193,15 +220,14 @@ class ReportService {
           'report_service.dart', 'submitReport');
       return false;
     }
+    // The server stamps the timestamp and takes the service name from its catalog
     final reportData = {
       'serviceId': serviceId,
-      'serviceName': serviceName,
       'reportType': reportType,
       'reporterName': reporterName ?? 'Anonymous',
       'reporterEmail': reporterEmail ?? '',
       'description': description,
-      'timestamp': DateTime.now().toIso8601String(),
-      'status': 'new',
+      'deviceId': await _getDeviceId(),
     };
 
     // Log the report
@@ -212,14 +238,26 @@ class ReportService {
     );
     Logger.logDebug('Report details: $reportData', 'report_service.dart', 'submitReport');
 
-    // Store in Firestore if available
+    // Submit through the Cloud Function if Firebase is available
     if (_firestoreAvailable && _firestore != null) {
       try {
-        await _firestore!.collection('reports').add(reportData);
-        Logger.logInfo('Report stored in Firestore', 'report_service.dart', 'submitReport');
+        await FirebaseFunctions.instance.httpsCallable('submitReport').call(reportData);
+        Logger.logInfo('Report submitted to server', 'report_service.dart', 'submitReport');
+      } on FirebaseFunctionsException catch (e) {
+        if (e.code == 'resource-exhausted') {
+          Logger.logWarning('Report submission blocked by server rate limit', 
+              'report_service.dart', 'submitReport');
+          return false;
+        }
+        if (e.code == 'invalid-argument' || e.code == 'already-exists' || e.code == 'not-found') {
+          Logger.logWarning('Report rejected: ${e.message}', 'report_service.dart', 'submitReport');
+          throw Exception(e.message ?? 'Report rejected');
+        }
+        Logger.logError('Error submitting report', 'report_service.dart', 'submitReport', e);
+        // Continue on server errors - report is still logged
       } catch (e) {
-        Logger.logError('Error storing report in Firestore', 'report_service.dart', 'submitReport', e);
-        // Continue even if Firestore fails - report is still logged
+        Logger.logError('Error submitting report', 'report_service.dart', 'submitReport', e);
+        // Continue even if the call fails - report is still logged
       }
     } else {
       Logger.logInfo('Report logged but not stored (Firestore not available)', 
@@ -72,7 +72,7 @@ class _ReportDialogState extends State<ReportDialog> {
     try {
       final reportService = Provider.of<ReportService>(context, listen: false);
       
-      await reportService.submitReport(
+      final submitted = await reportService.submitReport(
         serviceId: _selectedService!.id,
         serviceName: _selectedService!.name,
         reportType: _reportType,
@@ -81,6 +81,18 @@ class _ReportDialogState extends State<ReportDialog> {
         description: _descriptionController.text.trim(),
       );
 
+      if (!submitted) {
+        if (mounted) {
+          ScaffoldMessenger.of(context).showSnackBar(
+            const SnackBar(
+              content: Text('Too many reports. Please try again later.'),
+              backgroundColor: Colors.orange,
+            ),
+          );
+        }
+        return;
+      }
+
       if (mounted) {
         Navigator.of(context).pop();
         ScaffoldMessenger.of(context).showSnackBar(